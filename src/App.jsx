@@ -1,4 +1,6 @@
+import { useEffect, useState, useCallback } from "react";
 import { DateUtils } from "./utils/dateUtils";
+import { RemuneracaoUtils } from "./utils/remuneracaoUtils";
 import { useData } from "./hooks/useData";
 import { DataService } from "./services/dataService";
 import { Header } from "./components/Header";
@@ -6,6 +8,10 @@ import { SummaryCard } from "./components/SummaryCard";
 import { Controls } from "./components/Controls";
 import { Dashboard } from "./components/Dashboard";
 import { RegistrosTable } from "./components/RegistrosTable";
+import { LotesBancoHoras } from "./components/LotesBancoHoras";
+import { BaterPontoPanel } from "./components/BaterPontoPanel";
+import { ResumoTags } from "./components/ResumoTags";
+import { DuplicidadePanel } from "./components/DuplicidadePanel";
 
 /**
  * Aplicação Principal - Sistema de Controle de Horas Extras
@@ -34,6 +40,10 @@ const App = () => {
   const {
     registros,
     setRegistros,
+    desfazer,
+    refazer,
+    podeDesfazer,
+    podeRefazer,
     mesAtual,
     setMesAtual,
     anoAtual,
@@ -42,8 +52,41 @@ const App = () => {
     setEscalaAtual,
     registrosMes,
     resumo,
+    configuracoes,
+    atualizarConfiguracoes,
+    lixeira,
+    setLixeira,
   } = useData();
 
+  /**
+   * Atalhos de desfazer/refazer: Ctrl+Z e Ctrl+Shift+Z (ou Ctrl+Y)
+   *
+   * Campos de texto mantêm o desfazer nativo do navegador.
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const tecla = e.key.toLowerCase();
+      if (!(e.ctrlKey || e.metaKey) || (tecla !== "z" && tecla !== "y")) return;
+
+      const alvo = e.target;
+      const campoDeTexto =
+        alvo.isContentEditable ||
+        alvo.tagName === "TEXTAREA" ||
+        (alvo.tagName === "INPUT" && ["text", "number", "search"].includes(alvo.type));
+      if (campoDeTexto) return;
+
+      e.preventDefault();
+      if (e.shiftKey || tecla === "y") {
+        refazer();
+      } else {
+        desfazer();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [desfazer, refazer]);
+
   // ===============================
   // HANDLERS DE AÇÕES
   // ===============================
@@ -63,12 +106,54 @@ const App = () => {
       escalaAtual
     );
 
+  /**
+   * Preenche os dias úteis do mês sem registro com o horário padrão
+   */
+  const preencherMes = () =>
+    DataService.preencherMes(
+      registros,
+      setRegistros,
+      mesAtual,
+      anoAtual,
+      escalaAtual,
+      configuracoes.jornadaPadrao
+    );
+
+  /**
+   * Registra a batida de ponto no horário atual (entrada ou saída de hoje)
+   *
+   * @returns {Object} Batida registrada ({ tipo, horario })
+   */
+  const baterPonto = () =>
+    DataService.baterPonto(registros, setRegistros, new Date(), escalaAtual);
+
   /**
    * Remove registro específico
    *
    * @param {string} id - ID único do registro
    */
-  const removerRegistro = (id) => DataService.removerRegistro(setRegistros, id);
+  const removerRegistro = (id) =>
+    DataService.removerRegistro(registros, setRegistros, setLixeira, id);
+
+  /**
+   * Restaura um item da lixeira
+   *
+   * @param {string} id - ID do item da lixeira
+   */
+  const restaurarDaLixeira = (id) =>
+    DataService.restaurarDaLixeira(registros, setRegistros, lixeira, setLixeira, id);
+
+  /**
+   * Exclui definitivamente um item da lixeira
+   *
+   * @param {string} id - ID do item da lixeira
+   */
+  const excluirDaLixeira = (id) => DataService.excluirDaLixeira(setLixeira, id);
+
+  /**
+   * Exclui definitivamente todos os itens da lixeira
+   */
+  const esvaziarLixeira = () => DataService.esvaziarLixeira(setLixeira);
 
   /**
    * Atualiza campo específico de um registro
@@ -78,7 +163,26 @@ const App = () => {
    * @param {any} valor - Novo valor para o campo
    */
   const atualizarRegistro = (id, campo, valor) =>
-    DataService.atualizarRegistro(setRegistros, id, campo, valor);
+    campo === "data"
+      ? DataService.alterarDataRegistro(registros, setRegistros, id, valor)
+      : DataService.atualizarRegistro(setRegistros, id, campo, valor);
+
+  // Data duplicada em resolução no DuplicidadePanel (null = diálogo fechado)
+  const [dataDuplicada, setDataDuplicada] = useState(null);
+  const registrosDuplicados = dataDuplicada
+    ? registros.filter((registro) => registro.data === dataDuplicada)
+    : [];
+  const fecharDuplicidade = useCallback(() => setDataDuplicada(null), []);
+
+  /**
+   * Combina os registros repetidos da data ou mantém apenas um deles
+   *
+   * @param {string} [idMantido] - Registro a manter; ausente, combina as marcações
+   */
+  const resolverDuplicado = (idMantido) => {
+    DataService.resolverDuplicidade(registros, setRegistros, setLixeira, dataDuplicada, idMantido);
+    setDataDuplicada(null);
+  };
 
   /**
    * Manipula mudanças em campos de horário (entrada/saída)
@@ -88,9 +192,27 @@ const App = () => {
    * @param {string} id - ID do registro
    * @param {string} campo - "entrada" ou "saida"
    * @param {string} valor - Horário no formato HH:MM
+   * @param {number} indice - Posição do intervalo no registro
+   */
+  const handleTimeChange = (id, campo, valor, indice) =>
+    DataService.handleTimeChange(registros, setRegistros, id, campo, valor, indice);
+
+  /**
+   * Adiciona um par de marcação (entrada/saída) ao registro
+   *
+   * @param {string} id - ID do registro
    */
-  const handleTimeChange = (id, campo, valor) =>
-    DataService.handleTimeChange(registros, setRegistros, id, campo, valor);
+  const adicionarIntervalo = (id) =>
+    DataService.adicionarIntervalo(registros, setRegistros, id);
+
+  /**
+   * Remove um par de marcação do registro
+   *
+   * @param {string} id - ID do registro
+   * @param {number} indice - Posição do intervalo no registro
+   */
+  const removerIntervalo = (id, indice) =>
+    DataService.removerIntervalo(registros, setRegistros, id, indice);
 
   /**
    * Gera relatório PDF do período atual
@@ -102,7 +224,7 @@ const App = () => {
    * Exporta dados para arquivo CSV
    */
   const exportarDados = () =>
-    DataService.exportarDados(registros, resumo, escalaAtual);
+    DataService.exportarDados(registros, resumo, escalaAtual, configuracoes.projetos);
 
   /**
    * Importa dados de arquivo CSV
@@ -117,7 +239,157 @@ const App = () => {
    *
    * Inclui confirmações de segurança
    */
-  const limparDados = () => DataService.limparDados(setRegistros);
+  const limparDados = () =>
+    DataService.limparDados(registros, setRegistros, setLixeira);
+
+  /**
+   * Cadastra feriado estadual/municipal ou ponte da empresa
+   *
+   * @param {Object} feriado - Dados do formulário de feriados
+   * @returns {boolean} true se o feriado foi cadastrado
+   */
+  const adicionarFeriado = (feriado) =>
+    DataService.adicionarFeriado(configuracoes, atualizarConfiguracoes, feriado);
+
+  /**
+   * Remove feriado cadastrado pelo usuário
+   *
+   * @param {string} id - ID do feriado
+   */
+  const removerFeriado = (id) =>
+    DataService.removerFeriado(configuracoes, atualizarConfiguracoes, id);
+
+  /**
+   * Salva a abertura do banco de horas (saldo inicial e mês de início)
+   *
+   * @param {Object} dados - Dados do formulário do banco de horas
+   * @returns {boolean} true se a configuração foi salva
+   */
+  const salvarBancoHoras = (dados) =>
+    DataService.atualizarBancoHoras(atualizarConfiguracoes, dados);
+
+  /**
+   * Salva salário, divisor e adicionais das horas extras
+   *
+   * @param {Object} dados - Dados do formulário de remuneração
+   * @returns {boolean} true se o perfil foi salvo
+   */
+  const salvarRemuneracao = (dados) =>
+    DataService.atualizarRemuneracao(atualizarConfiguracoes, dados);
+
+  /**
+   * Salva a tolerância de variação das marcações
+   *
+   * @param {Object} dados - Dados do formulário de tolerância
+   * @returns {boolean} true se a política foi salva
+   */
+  const salvarTolerancia = (dados) =>
+    DataService.atualizarTolerancia(atualizarConfiguracoes, dados);
+
+  /**
+   * Salva os limites de horas extras diárias e horas semanais
+   *
+   * @param {Object} dados - Dados do formulário de limites
+   * @returns {boolean} true se os limites foram salvos
+   */
+  const salvarLimites = (dados) =>
+    DataService.atualizarLimites(atualizarConfiguracoes, dados);
+
+  /**
+   * Salva o horário padrão usado no preenchimento do mês
+   *
+   * @param {Object} dados - Dados do formulário de horário padrão
+   * @returns {boolean} true se o horário foi salvo
+   */
+  const salvarJornadaPadrao = (dados) =>
+    DataService.atualizarJornadaPadrao(atualizarConfiguracoes, dados);
+
+  /**
+   * Salva o prazo de retenção da lixeira
+   *
+   * @param {Object} dados - Dados do formulário da lixeira
+   * @returns {boolean} true se o prazo foi salvo
+   */
+  const salvarLixeira = (dados) =>
+    DataService.atualizarLixeira(atualizarConfiguracoes, dados);
+
+  /**
+   * Cria ou atualiza um projeto/cliente do catálogo
+   *
+   * @param {Object} dados - Dados do formulário de projetos
+   * @returns {string|null} ID do projeto salvo ou null se inválido
+   */
+  const salvarProjeto = (dados) =>
+    DataService.salvarProjeto(configuracoes, atualizarConfiguracoes, dados);
+
+  /**
+   * Remove um projeto sem horas alocadas
+   *
+   * @param {string} id - ID do projeto
+   */
+  const removerProjeto = (id) =>
+    DataService.removerProjeto(configuracoes, atualizarConfiguracoes, registros, id);
+
+  /**
+   * Troca a escala atual a partir de uma data, preservando a escala
+   * anterior no histórico para os dias que a antecedem
+   *
+   * @param {string} escalaId - ID da nova escala
+   * @param {string} inicio - Data (YYYY-MM-DD) a partir da qual a escala vale
+   */
+  const alterarEscala = (escalaId, inicio) => {
+    const registrada = DataService.registrarTrocaEscala(
+      configuracoes,
+      atualizarConfiguracoes,
+      { escalaAnterior: escalaAtual, escalaId, inicio }
+    );
+    if (registrada) setEscalaAtual(escalaId);
+  };
+
+  /**
+   * Salva uma escala personalizada
+   *
+   * Editar a escala atual gera uma nova escala, que a substitui a partir
+   * da data informada (hoje, se ausente). Criar ou editar outras escalas
+   * não altera a escala selecionada.
+   *
+   * @param {Object} dados - Dados do formulário de escala (com `inicio`)
+   * @returns {boolean} true se a escala foi salva
+   */
+  const salvarEscala = (dados) => {
+    const id = DataService.salvarEscalaPersonalizada(
+      configuracoes,
+      atualizarConfiguracoes,
+      dados,
+      escalaAtual
+    );
+    if (id && dados.id === escalaAtual && id !== escalaAtual) {
+      alterarEscala(id, dados.inicio || DateUtils.formatarDataISO(new Date()));
+    }
+    return !!id;
+  };
+
+  /**
+   * Remove um período do histórico de escalas
+   *
+   * @param {string} ate - Último dia do período
+   */
+  const removerPeriodoEscala = (ate) =>
+    DataService.removerPeriodoEscala(configuracoes, atualizarConfiguracoes, ate);
+
+  /**
+   * Remove uma escala personalizada (a escala em uso e as do histórico
+   * são mantidas)
+   *
+   * @param {string} id - ID da escala
+   */
+  const removerEscala = (id) =>
+    DataService.removerEscalaPersonalizada(
+      configuracoes,
+      atualizarConfiguracoes,
+      id,
+      escalaAtual
+    );
 
   // ===============================
   // RENDER PRINCIPAL
@@ -137,14 +409,53 @@ const App = () => {
           anoAtual={anoAtual}
           setAnoAtual={setAnoAtual}
           escalaAtual={escalaAtual}
-          setEscalaAtual={setEscalaAtual}
+          onAlterarEscala={alterarEscala}
           onAdicionarRegistro={adicionarRegistro}
-          diasTrabalhados={resumo.diasTrabalhados}
+          onPreencherMes={preencherMes}
+          onDesfazer={desfazer}
+          onRefazer={refazer}
+          podeDesfazer={podeDesfazer}
+          podeRefazer={podeRefazer}
+          diasTrabalhados={resumo.diasRegistrados}
           onExportarDados={exportarDados}
           onImportarDados={importarDados}
           onLimparDados={limparDados}
           onGerarPDF={gerarPDF}
           diasUteis={resumo.diasUteis}
+          feriadosPersonalizados={configuracoes.feriadosPersonalizados}
+          onAdicionarFeriado={adicionarFeriado}
+          onRemoverFeriado={removerFeriado}
+          bancoHoras={configuracoes.bancoHoras}
+          onSalvarBancoHoras={salvarBancoHoras}
+          remuneracao={configuracoes.remuneracao}
+          onSalvarRemuneracao={salvarRemuneracao}
+          tolerancia={configuracoes.tolerancia}
+          onSalvarTolerancia={salvarTolerancia}
+          limites={configuracoes.limites}
+          onSalvarLimites={salvarLimites}
+          escalasPersonalizadas={configuracoes.escalasPersonalizadas}
+          onSalvarEscala={salvarEscala}
+          onRemoverEscala={removerEscala}
+          historicoEscalas={configuracoes.historicoEscalas}
+          onRemoverPeriodoEscala={removerPeriodoEscala}
+          jornadaPadrao={configuracoes.jornadaPadrao}
+          onSalvarJornadaPadrao={salvarJornadaPadrao}
+          lixeira={lixeira}
+          configuracaoLixeira={configuracoes.lixeira}
+          onSalvarLixeira={salvarLixeira}
+          onRestaurarDaLixeira={restaurarDaLixeira}
+          onExcluirDaLixeira={excluirDaLixeira}
+          onEsvaziarLixeira={esvaziarLixeira}
+          projetos={configuracoes.projetos}
+          onSalvarProjeto={salvarProjeto}
+          onRemoverProjeto={removerProjeto}
+        />
+
+        {/* Ponto em tempo real: entrada/saída de hoje e previsão de saída */}
+        <BaterPontoPanel
+          registros={registros}
+          escalaAtual={escalaAtual}
+          onBaterPonto={baterPonto}
         />
 
         {/* Grid de cards de resumo */}
@@ -179,12 +490,51 @@ const App = () => {
             icon="activity"
           />
 
+          {/* Card: Valor das Horas Extras */}
+          <SummaryCard
+            title="Valor das Extras"
+            value={RemuneracaoUtils.formatarMoeda(resumo.remuneracao.valorTotal)}
+            type={resumo.remuneracao.valorTotal > 0 ? "positive" : "neutral"}
+            icon="money"
+            subtitle={
+              resumo.remuneracao.valorHora > 0
+                ? `${configuracoes.remuneracao.adicionalDiasUteis}%: ${RemuneracaoUtils.formatarMoeda(
+                    resumo.remuneracao.valorDiasUteis
+                  )} · ${configuracoes.remuneracao.adicionalDomingosFeriados}%: ${RemuneracaoUtils.formatarMoeda(
+                    resumo.remuneracao.valorDomingosFeriados
+                  )}`
+                : "Informe o salário em Remuneração"
+            }
+          />
+
+          {/* Card: Saldo Acumulado (banco de horas) */}
+          <SummaryCard
+            title="Saldo Acumulado"
+            value={DateUtils.formatarMinutos(resumo.saldoAcumulado)}
+            type={
+              resumo.saldoAcumulado > 0
+                ? "positive"
+                : resumo.saldoAcumulado < 0
+                ? "negative"
+                : "neutral"
+            }
+            icon="bank"
+            subtitle={`Anterior: ${DateUtils.formatarMinutos(
+              resumo.saldoAnterior
+            )}`}
+          />
+
           {/* Card: Dias Trabalhados */}
           <SummaryCard
             title="Dias Trabalhados"
             value={`${resumo.diasTrabalhados}/${resumo.diasUteis}`}
             type="neutral"
             icon="calendar"
+            subtitle={
+              resumo.diasAusencia > 0
+                ? `${resumo.diasAusencia} ausência(s) registrada(s)`
+                : undefined
+            }
           />
 
           {/* Card: Total Trabalhado */}
@@ -203,8 +553,18 @@ const App = () => {
             type="neutral"
             icon="chart"
             subtitle={`Meta: ${
-              resumo.escalaInfo?.horasPorDia / 60 || 7
-            }h/dia (${resumo.escalaInfo?.nome || "Padrão"})`}
+              resumo.escalaInfo?.minutosPorDiaSemana
+                ? `${resumo.escalaInfo.horasSemana}h/semana`
+                : `${resumo.escalaInfo?.horasPorDia / 60 || 7}h/dia`
+            } (${
+              resumo.escalasNoMes?.length > 1
+                ? resumo.escalasNoMes.map((trecho) => trecho.nome).join(" → ")
+                : resumo.escalaInfo?.nome || "Padrão"
+            })${
+              resumo.horasAbonadas > 0
+                ? ` · ${DateUtils.formatarMinutos(resumo.horasAbonadas)} abonadas`
+                : ""
+            }`}
           />
         </div>
 
@@ -217,14 +577,38 @@ const App = () => {
           escalaAtual={escalaAtual}
         />
 
+        {/* Créditos do banco de horas e seus vencimentos */}
+        <LotesBancoHoras lotesBanco={resumo.lotesBanco} />
+
+        {/* Horas e extras por tag dos registros */}
+        <ResumoTags registrosMes={registrosMes} escalaAtual={escalaAtual} />
+
         {/* Tabela de registros detalhados */}
         <RegistrosTable
           registrosMes={registrosMes}
           onAtualizarRegistro={atualizarRegistro}
+          onResolverDuplicado={setDataDuplicada}
+          tagsDisponiveis={DateUtils.obterTags(registros)}
+          projetos={configuracoes.projetos}
           onRemoverRegistro={removerRegistro}
           onHandleTimeChange={handleTimeChange}
+          onAdicionarIntervalo={adicionarIntervalo}
+          onRemoverIntervalo={removerIntervalo}
           escalaAtual={escalaAtual}
+          violacoesInterjornada={resumo.violacoesInterjornada}
+          limitesJornada={resumo.limitesJornada}
         />
+
+        {/* Diálogo para combinar ou descartar registros da mesma data */}
+        {registrosDuplicados.length > 1 && (
+          <DuplicidadePanel
+            data={dataDuplicada}
+            registros={registrosDuplicados}
+            onCombinar={() => resolverDuplicado()}
+            onManter={resolverDuplicado}
+            onFechar={fecharDuplicidade}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,70 @@
+import React from "react";
+import { Save } from "lucide-react";
+import { DateUtils } from "../utils/dateUtils";
+
+/**
+ * Componente BancoHorasPanel - Abertura do banco de horas
+ *
+ * Permite informar o saldo trazido de antes do uso da aplicação
+ * (ex: planilha anterior) e o mês a partir do qual o saldo é acumulado.
+ *
+ * @component
+ * @param {Object} props - Propriedades do componente
+ * @param {Object} props.bancoHoras - Configuração atual ({ saldoInicial, inicio })
+ * @param {Function} props.onSalvar - Callback ({ saldoInicial, inicio }) => boolean
+ */
+export const BancoHorasPanel = ({ bancoHoras, onSalvar }) => {
+  const [saldoInicial, setSaldoInicial] = React.useState(
+    DateUtils.formatarMinutos(bancoHoras?.saldoInicial || 0).replace("h", "")
+  );
+  const [inicio, setInicio] = React.useState(bancoHoras?.inicio || "");
+
+  /**
+   * Envia os dados do formulário
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSalvar({ saldoInicial, inicio });
+  };
+
+  return (
+    <div className="config-panel">
+      <div className="config-panel-title">🏦 Banco de horas</div>
+
+      <form className="config-panel-form" onSubmit={handleSubmit}>
+        <label>
+          Saldo inicial
+          <input
+            type="text"
+            value={saldoInicial}
+            onChange={(e) => setSaldoInicial(e.target.value)}
+            className="input"
+            placeholder="Ex: +12:30 ou -3:15"
+            aria-label="Saldo inicial do banco de horas"
+            size={10}
+          />
+        </label>
+        <label>
+          A partir de
+          <input
+            type="month"
+            value={inicio}
+            onChange={(e) => setInicio(e.target.value)}
+            className="input"
+            aria-label="Mês de abertura do banco de horas"
+          />
+        </label>
+        <button type="submit" className="btn-small">
+          <Save size={14} aria-hidden="true" />
+          Salvar
+        </button>
+      </form>
+
+      <p className="config-panel-empty">
+        O saldo de cada mês é somado ao saldo inicial e transportado para os
+        meses seguintes. Sem mês de abertura, todos os registros são
+        considerados.
+      </p>
+    </div>
+  );
+};
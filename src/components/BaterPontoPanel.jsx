@@ -0,0 +1,187 @@
+import React from "react";
+import { Fingerprint } from "lucide-react";
+import { CORES } from "../constants/constants";
+import { DateUtils } from "../utils/dateUtils";
+
+/**
+ * Formata segundos como cronômetro (ex: 16230 → "4:30:30")
+ */
+const formatarCronometro = (segundos) => {
+  const horas = Math.floor(segundos / 3600);
+  const minutos = Math.floor((segundos % 3600) / 60);
+  const resto = segundos % 60;
+  return `${horas}:${String(minutos).padStart(2, "0")}:${String(resto).padStart(2, "0")}`;
+};
+
+/**
+ * Formata um horário previsto (Date) como HH:MM
+ */
+const formatarHorario = (data) =>
+  `${String(data.getHours()).padStart(2, "0")}:${String(data.getMinutes()).padStart(2, "0")}`;
+
+/**
+ * Componente BaterPontoPanel - Registro de ponto em tempo real
+ *
+ * Um único botão registra o horário atual como entrada ou saída no
+ * registro de hoje (criado na primeira batida). Enquanto há um par
+ * aberto, o cronômetro mostra o tempo trabalhado no dia e a previsão
+ * de saída pela meta da escala e pelo saldo do mês. Uma saída esquecida
+ * ontem fica sinalizada até ser completada na tabela.
+ *
+ * @component
+ * @param {Object} props - Propriedades do componente
+ * @param {Array} props.registros - Todos os registros
+ * @param {string} props.escalaAtual - ID da escala de trabalho
+ * @param {Function} props.onBaterPonto - Callback () => { tipo, horario }
+ */
+export const BaterPontoPanel = ({ registros, escalaAtual, onBaterPonto }) => {
+  const [agora, setAgora] = React.useState(() => new Date());
+
+  // Cronômetro: atualiza o horário a cada segundo
+  React.useEffect(() => {
+    const timer = setInterval(() => setAgora(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const registroPonto = DateUtils.obterRegistroDoPonto(registros, agora, escalaAtual);
+  const saidaPendente = DateUtils.obterSaidaPendente(registros, agora, escalaAtual);
+  const idRegistroPonto = registroPonto?.id;
+  const mesCorrente = DateUtils.formatarDataISO(agora).substring(0, 7);
+
+  /**
+   * Saldo dos outros dias do mês corrente (sem o dia do ponto)
+   * Recalculado quando o mês ou o registro do ponto mudam, não a cada segundo
+   */
+  const saldoMes = React.useMemo(
+    () =>
+      registros
+        .filter(
+          (registro) =>
+            registro.data.startsWith(mesCorrente) &&
+            registro.id !== idRegistroPonto
+        )
+        .reduce(
+          (total, registro) =>
+            total + DateUtils.calcularResultadoDia(registro, escalaAtual).diferenca,
+          0
+        ),
+    [registros, escalaAtual, idRegistroPonto, mesCorrente]
+  );
+
+  const ponto = DateUtils.calcularPontoEmAndamento(
+    registroPonto,
+    agora,
+    escalaAtual,
+    saldoMes
+  );
+  const progresso =
+    ponto.meta > 0
+      ? Math.min((ponto.segundosTrabalhados / 60 / ponto.meta) * 100, 100)
+      : 0;
+
+  return (
+    <div className="dashboard-card" style={{ marginBottom: "2rem" }}>
+      <div className="dashboard-header">
+        <h2 style={{ fontSize: "1.25rem" }}>
+          <Fingerprint size={18} aria-hidden="true" /> Bater Ponto
+        </h2>
+      </div>
+
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          justifyContent: "center",
+          gap: "1.5rem",
+          padding: "0 1.5rem 1.5rem",
+        }}
+      >
+        <button
+          type="button"
+          onClick={() => onBaterPonto()}
+          className="btn-premium"
+          aria-label={
+            ponto.emAndamento ? "Registrar saída agora" : "Registrar entrada agora"
+          }
+        >
+          <Fingerprint size={18} aria-hidden="true" />
+          {ponto.emAndamento ? "Registrar Saída" : "Registrar Entrada"} ·{" "}
+          {formatarHorario(agora)}
+        </button>
+
+        <div role="timer" aria-live="off">
+          <div
+            style={{
+              fontSize: "2rem",
+              fontWeight: "700",
+              fontVariantNumeric: "tabular-nums",
+              color: ponto.emAndamento ? CORES.success : "rgba(255,255,255,0.85)",
+            }}
+          >
+            {formatarCronometro(ponto.segundosTrabalhados)}
+          </div>
+          <div style={{ fontSize: "0.8rem", color: "rgba(255,255,255,0.6)" }}>
+            {ponto.meta > 0
+              ? `de ${DateUtils.formatarMinutos(ponto.meta).replace("+", "")} previstas hoje`
+              : "Sem jornada prevista hoje"}
+            {!ponto.emAndamento && ponto.segundosTrabalhados > 0 && " · em intervalo"}
+          </div>
+          {ponto.meta > 0 && (
+            <div
+              style={{
+                marginTop: "0.5rem",
+                height: "6px",
+                width: "12rem",
+                borderRadius: "3px",
+                background: "rgba(255,255,255,0.1)",
+                overflow: "hidden",
+              }}
+            >
+              <div
+                style={{
+                  height: "100%",
+                  width: `${progresso}%`,
+                  background: CORES.success,
+                  transition: "width 0.5s ease",
+                }}
+              />
+            </div>
+          )}
+        </div>
+
+        <div style={{ fontSize: "0.9rem", color: "rgba(255,255,255,0.85)" }}>
+          {ponto.emAndamento && ponto.meta > 0 && (
+            <div>
+              {ponto.restante > 0
+                ? `🏁 Meta do dia às ${formatarHorario(ponto.saidaPrevista)}`
+                : `🏁 Meta do dia cumprida (${DateUtils.formatarMinutos(-ponto.restante)} além)`}
+            </div>
+          )}
+          {ponto.emAndamento && (
+            <div style={{ fontWeight: "600", marginTop: "0.25rem" }}>
+              {ponto.restanteComSaldo > 0
+                ? `🚪 Você pode sair às ${formatarHorario(ponto.saidaComSaldo)}`
+                : "🚪 Você já pode sair"}
+            </div>
+          )}
+          {!ponto.emAndamento && ponto.meta > 0 && ponto.restanteComSaldo > 0 && (
+            <div>
+              ⏳ Faltam {DateUtils.formatarMinutos(ponto.restanteComSaldo).replace("+", "")}{" "}
+              para zerar o saldo do mês
+            </div>
+          )}
+          <div style={{ fontSize: "0.8rem", color: "rgba(255,255,255,0.6)", marginTop: "0.25rem" }}>
+            Saldo do mês sem hoje: {DateUtils.formatarMinutos(saldoMes)}
+          </div>
+          {saidaPendente && (
+            <div role="alert" style={{ color: CORES.warning, marginTop: "0.25rem" }}>
+              ⚠️ Saída de {DateUtils.formatarData(saidaPendente.data)} não registrada ·
+              complete na tabela de registros
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
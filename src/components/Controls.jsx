@@ -6,13 +6,34 @@ import {
   Plus,
   FileText,
   Settings,
+  CalendarDays,
+  PiggyBank,
+  Wallet,
+  Timer,
+  Gauge,
+  CalendarClock,
+  CalendarCheck,
+  Clock,
+  Undo2,
+  Redo2,
+  ArchiveRestore,
+  Briefcase,
 } from "lucide-react";
 import {
   MESES,
   TOOLTIPS,
   MENSAGENS,
-  ESCALAS_TRABALHO,
 } from "../constants/constants";
+import { DateUtils } from "../utils/dateUtils";
+import { FeriadosPanel } from "./FeriadosPanel";
+import { BancoHorasPanel } from "./BancoHorasPanel";
+import { RemuneracaoPanel } from "./RemuneracaoPanel";
+import { ToleranciaPanel } from "./ToleranciaPanel";
+import { LimitesPanel } from "./LimitesPanel";
+import { EscalasPanel } from "./EscalasPanel";
+import { JornadaPadraoPanel } from "./JornadaPadraoPanel";
+import { LixeiraPanel } from "./LixeiraPanel";
+import { ProjetosPanel } from "./ProjetosPanel";
 
 /**
  * Componente Controls - Painel principal de controles da aplicação
@@ -20,9 +41,11 @@ import {
  * Funcionalidades principais:
  * - Seleção de período (mês/ano) e escala de trabalho
  * - Adição de novos registros com validação de limite
+ * - Preenchimento do mês com o horário padrão
+ * - Desfazer/refazer alterações nos registros
  * - Exportação/importação de dados CSV
  * - Geração de relatórios PDF
- * - Limpeza de dados com confirmação dupla
+ * - Limpeza de dados com confirmação dupla (cópia guardada na lixeira)
  *
  * @component
  * @param {Object} props - Propriedades do componente
@@ -31,14 +54,46 @@ import {
  * @param {number} props.anoAtual - Ano selecionado
  * @param {Function} props.setAnoAtual - Função para alterar o ano
  * @param {string} props.escalaAtual - ID da escala de trabalho selecionada
- * @param {Function} props.setEscalaAtual - Função para alterar a escala
+ * @param {Function} props.onAlterarEscala - Callback (escalaId, inicio) para trocar a escala a partir de uma data
  * @param {Function} props.onAdicionarRegistro - Callback para adicionar registro
+ * @param {Function} props.onPreencherMes - Callback para preencher os dias úteis sem registro
+ * @param {Function} props.onDesfazer - Callback para desfazer a última alteração
+ * @param {Function} props.onRefazer - Callback para refazer a alteração desfeita
+ * @param {boolean} props.podeDesfazer - Há alterações para desfazer
+ * @param {boolean} props.podeRefazer - Há alterações para refazer
  * @param {number} props.diasTrabalhados - Dias já registrados no período
  * @param {Function} props.onExportarDados - Callback para exportar CSV
  * @param {Function} props.onImportarDados - Callback para importar CSV
  * @param {Function} props.onLimparDados - Callback para limpar dados
  * @param {Function} props.onGerarPDF - Callback para gerar PDF
  * @param {number} props.diasUteis - Total de dias úteis no período
+ * @param {Array} props.feriadosPersonalizados - Feriados cadastrados pelo usuário
+ * @param {Function} props.onAdicionarFeriado - Callback para cadastrar feriado
+ * @param {Function} props.onRemoverFeriado - Callback para remover feriado
+ * @param {Object} props.bancoHoras - Abertura do banco de horas ({ saldoInicial, inicio })
+ * @param {Function} props.onSalvarBancoHoras - Callback para salvar a abertura do banco
+ * @param {Object} props.remuneracao - Perfil de remuneração das horas extras
+ * @param {Function} props.onSalvarRemuneracao - Callback para salvar o perfil de remuneração
+ * @param {Object} props.tolerancia - Tolerância de variação das marcações
+ * @param {Function} props.onSalvarTolerancia - Callback para salvar a tolerância
+ * @param {Object} props.limites - Limites de horas extras diárias e horas semanais
+ * @param {Function} props.onSalvarLimites - Callback para salvar os limites
+ * @param {Array} props.escalasPersonalizadas - Escalas criadas ou editadas pelo usuário
+ * @param {Function} props.onSalvarEscala - Callback para salvar uma escala personalizada (recebe `inicio`, a data "a partir de")
+ * @param {Function} props.onRemoverEscala - Callback para remover uma escala personalizada
+ * @param {Array} props.historicoEscalas - Escalas anteriores à atual ({ escalaId, ate })
+ * @param {Function} props.onRemoverPeriodoEscala - Callback (ate) para remover um período do histórico
+ * @param {Object} props.jornadaPadrao - Horário padrão do preenchimento do mês
+ * @param {Function} props.onSalvarJornadaPadrao - Callback para salvar o horário padrão
+ * @param {Array} props.lixeira - Itens da lixeira (registros excluídos e limpezas)
+ * @param {Object} props.configuracaoLixeira - Prazo de retenção da lixeira ({ diasRetencao })
+ * @param {Function} props.onSalvarLixeira - Callback para salvar o prazo de retenção
+ * @param {Function} props.onRestaurarDaLixeira - Callback (id) para restaurar um item
+ * @param {Function} props.onExcluirDaLixeira - Callback (id) para excluir um item definitivamente
+ * @param {Function} props.onEsvaziarLixeira - Callback para esvaziar a lixeira
+ * @param {Array} props.projetos - Projetos/clientes para alocar as horas
+ * @param {Function} props.onSalvarProjeto - Callback para salvar um projeto
+ * @param {Function} props.onRemoverProjeto - Callback (id) para remover um projeto
  */
 export const Controls = ({
   mesAtual,
@@ -46,15 +101,66 @@ export const Controls = ({
   anoAtual,
   setAnoAtual,
   escalaAtual,
-  setEscalaAtual,
+  onAlterarEscala,
   onAdicionarRegistro,
+  onPreencherMes,
+  onDesfazer,
+  onRefazer,
+  podeDesfazer = false,
+  podeRefazer = false,
   diasTrabalhados,
   onExportarDados,
   onImportarDados,
   onLimparDados,
   onGerarPDF,
   diasUteis,
+  feriadosPersonalizados,
+  onAdicionarFeriado,
+  onRemoverFeriado,
+  bancoHoras,
+  onSalvarBancoHoras,
+  remuneracao,
+  onSalvarRemuneracao,
+  tolerancia,
+  onSalvarTolerancia,
+  limites,
+  onSalvarLimites,
+  escalasPersonalizadas,
+  onSalvarEscala,
+  onRemoverEscala,
+  historicoEscalas = [],
+  onRemoverPeriodoEscala,
+  jornadaPadrao,
+  onSalvarJornadaPadrao,
+  lixeira = [],
+  configuracaoLixeira,
+  onSalvarLixeira,
+  onRestaurarDaLixeira,
+  onExcluirDaLixeira,
+  onEsvaziarLixeira,
+  projetos = [],
+  onSalvarProjeto,
+  onRemoverProjeto,
 }) => {
+  /**
+   * Painel de configuração aberto abaixo do seletor de escala
+   * ('escalas' | 'feriados' | 'banco' | 'remuneracao' | 'tolerancia' | 'limites' | 'jornada' | 'projetos' | 'lixeira' | null)
+   */
+  const [painelAberto, setPainelAberto] = React.useState(null);
+
+  /**
+   * Data a partir da qual uma nova escala selecionada passa a valer
+   */
+  const [inicioEscala, setInicioEscala] = React.useState(() =>
+    DateUtils.formatarDataISO(new Date())
+  );
+
+  /**
+   * Abre o painel informado ou fecha se já estiver aberto
+   */
+  const alternarPainel = (painel) =>
+    setPainelAberto((atual) => (atual === painel ? null : painel));
+
   /**
    * Array de anos disponíveis (2 anos passados até 7 anos futuros)
    * Memorizado para evitar recálculos desnecessários
@@ -71,15 +177,35 @@ export const Controls = ({
     return diasTrabalhados < diasUteis;
   }, [diasTrabalhados, diasUteis]);
 
+  /**
+   * Escalas disponíveis (predefinidas e personalizadas pelo usuário)
+   */
+  const escalas = React.useMemo(
+    () => DateUtils.obterEscalas(escalasPersonalizadas),
+    [escalasPersonalizadas]
+  );
+
   /**
    * Informações da escala de trabalho atual
    * Com fallback para primeira escala disponível
    */
   const escalaInfo = React.useMemo(() => {
-    return (
-      ESCALAS_TRABALHO.find((e) => e.id === escalaAtual) || ESCALAS_TRABALHO[0]
-    );
-  }, [escalaAtual]);
+    return escalas.find((e) => e.id === escalaAtual) || escalas[0];
+  }, [escalaAtual, escalas]);
+
+  /**
+   * Início da escala atual (dia seguinte ao último período do histórico)
+   */
+  const inicioEscalaAtual = React.useMemo(() => {
+    const ultimoFim = historicoEscalas
+      .map((periodo) => periodo.ate)
+      .sort()
+      .pop();
+    if (!ultimoFim) return null;
+
+    const [ano, mes, dia] = ultimoFim.split("-").map(Number);
+    return DateUtils.formatarDataISO(new Date(ano, mes - 1, dia + 1));
+  }, [historicoEscalas]);
 
   /**
    * Manipula mudança no seletor de mês
@@ -103,15 +229,16 @@ export const Controls = ({
 
   /**
    * Manipula mudança na escala de trabalho com confirmação
+   * (a nova escala vale a partir da data informada ao lado do seletor)
    */
   const handleEscalaChange = React.useCallback(
     (e) => {
       const novaEscala = e.target.value;
       if (window.confirm(MENSAGENS.CONFIRMACAO.ALTERAR_ESCALA)) {
-        setEscalaAtual(novaEscala);
+        onAlterarEscala(novaEscala, inicioEscala);
       }
     },
-    [setEscalaAtual]
+    [onAlterarEscala, inicioEscala]
   );
 
   /**
@@ -177,7 +304,7 @@ export const Controls = ({
                 }
                 aria-label="Escala de trabalho"
               >
-                {ESCALAS_TRABALHO.map((escala) => (
+                {escalas.map((escala) => (
                   <option key={escala.id} value={escala.id}>
                     {escala.nome}
                   </option>
@@ -192,9 +319,220 @@ export const Controls = ({
                   </span>
                   <span className="scale-hours">
                     {escalaInfo.horasSemana}h/semana
+                    {inicioEscalaAtual &&
+                      ` · desde ${DateUtils.formatarData(inicioEscalaAtual)}`}
                   </span>
                 </div>
               )}
+
+              <div className="config-panel-form">
+                <label title={TOOLTIPS.ESCALA_A_PARTIR_DE}>
+                  Nova escala a partir de
+                  <input
+                    type="date"
+                    value={inicioEscala}
+                    onChange={(e) => setInicioEscala(e.target.value)}
+                    className="input"
+                    aria-label="Data a partir da qual a nova escala vale"
+                  />
+                </label>
+              </div>
+
+              {/* Painéis de configuração */}
+              <div className="config-panel-form">
+                <button
+                  type="button"
+                  onClick={() => alternarPainel("escalas")}
+                  className={`config-toggle${
+                    painelAberto === "escalas" ? " active" : ""
+                  }`}
+                  title={TOOLTIPS.ESCALAS}
+                  aria-expanded={painelAberto === "escalas"}
+                >
+                  <CalendarClock size={16} aria-hidden="true" />
+                  Escalas
+                </button>
+
+                <button
+                  type="button"
+                  onClick={() => alternarPainel("feriados")}
+                  className={`config-toggle${
+                    painelAberto === "feriados" ? " active" : ""
+                  }`}
+                  title={TOOLTIPS.FERIADOS}
+                  aria-expanded={painelAberto === "feriados"}
+                >
+                  <CalendarDays size={16} aria-hidden="true" />
+                  Feriados ({feriadosPersonalizados.length})
+                </button>
+
+                <button
+                  type="button"
+                  onClick={() => alternarPainel("banco")}
+                  className={`config-toggle${
+                    painelAberto === "banco" ? " active" : ""
+                  }`}
+                  title={TOOLTIPS.BANCO_HORAS}
+                  aria-expanded={painelAberto === "banco"}
+                >
+                  <PiggyBank size={16} aria-hidden="true" />
+                  Banco de horas
+                </button>
+
+                <button
+                  type="button"
+                  onClick={() => alternarPainel("remuneracao")}
+                  className={`config-toggle${
+                    painelAberto === "remuneracao" ? " active" : ""
+                  }`}
+                  title={TOOLTIPS.REMUNERACAO}
+                  aria-expanded={painelAberto === "remuneracao"}
+                >
+                  <Wallet size={16} aria-hidden="true" />
+                  Remuneração
+                </button>
+
+                <button
+                  type="button"
+                  onClick={() => alternarPainel("tolerancia")}
+                  className={`config-toggle${
+                    painelAberto === "tolerancia" ? " active" : ""
+                  }`}
+                  title={TOOLTIPS.TOLERANCIA}
+                  aria-expanded={painelAberto === "tolerancia"}
+                >
+                  <Timer size={16} aria-hidden="true" />
+                  {tolerancia.ativa ? "Tolerância" : "Tolerância (desativada)"}
+                </button>
+
+                <button
+                  type="button"
+                  onClick={() => alternarPainel("limites")}
+                  className={`config-toggle${
+                    painelAberto === "limites" ? " active" : ""
+                  }`}
+                  title={TOOLTIPS.LIMITES}
+                  aria-expanded={painelAberto === "limites"}
+                >
+                  <Gauge size={16} aria-hidden="true" />
+                  Limites
+                </button>
+
+                <button
+                  type="button"
+                  onClick={() => alternarPainel("jornada")}
+                  className={`config-toggle${
+                    painelAberto === "jornada" ? " active" : ""
+                  }`}
+                  title={TOOLTIPS.JORNADA_PADRAO}
+                  aria-expanded={painelAberto === "jornada"}
+                >
+                  <Clock size={16} aria-hidden="true" />
+                  Horário padrão
+                </button>
+
+                <button
+                  type="button"
+                  onClick={() => alternarPainel("projetos")}
+                  className={`config-toggle${
+                    painelAberto === "projetos" ? " active" : ""
+                  }`}
+                  title={TOOLTIPS.PROJETOS}
+                  aria-expanded={painelAberto === "projetos"}
+                >
+                  <Briefcase size={16} aria-hidden="true" />
+                  Projetos ({projetos.length})
+                </button>
+
+                <button
+                  type="button"
+                  onClick={() => alternarPainel("lixeira")}
+                  className={`config-toggle${
+                    painelAberto === "lixeira" ? " active" : ""
+                  }`}
+                  title={TOOLTIPS.LIXEIRA}
+                  aria-expanded={painelAberto === "lixeira"}
+                >
+                  <ArchiveRestore size={16} aria-hidden="true" />
+                  Lixeira ({lixeira.length})
+                </button>
+              </div>
+
+              {painelAberto === "escalas" && (
+                <EscalasPanel
+                  escalas={escalas}
+                  escalasPersonalizadas={escalasPersonalizadas}
+                  onSalvar={(dados) =>
+                    onSalvarEscala({ ...dados, inicio: inicioEscala })
+                  }
+                  onRemover={onRemoverEscala}
+                  historicoEscalas={historicoEscalas}
+                  onRemoverPeriodo={onRemoverPeriodoEscala}
+                />
+              )}
+
+              {painelAberto === "feriados" && (
+                <FeriadosPanel
+                  feriados={feriadosPersonalizados}
+                  onAdicionar={onAdicionarFeriado}
+                  onRemover={onRemoverFeriado}
+                />
+              )}
+
+              {painelAberto === "banco" && (
+                <BancoHorasPanel
+                  bancoHoras={bancoHoras}
+                  onSalvar={onSalvarBancoHoras}
+                />
+              )}
+
+              {painelAberto === "remuneracao" && (
+                <RemuneracaoPanel
+                  remuneracao={remuneracao}
+                  onSalvar={onSalvarRemuneracao}
+                />
+              )}
+
+              {painelAberto === "tolerancia" && (
+                <ToleranciaPanel
+                  tolerancia={tolerancia}
+                  onSalvar={onSalvarTolerancia}
+                />
+              )}
+
+              {painelAberto === "limites" && (
+                <LimitesPanel
+                  limites={limites}
+                  horasSemanaEscala={escalaInfo?.horasSemana}
+                  onSalvar={onSalvarLimites}
+                />
+              )}
+
+              {painelAberto === "jornada" && (
+                <JornadaPadraoPanel
+                  jornadaPadrao={jornadaPadrao}
+                  onSalvar={onSalvarJornadaPadrao}
+                />
+              )}
+
+              {painelAberto === "projetos" && (
+                <ProjetosPanel
+                  projetos={projetos}
+                  onSalvar={onSalvarProjeto}
+                  onRemover={onRemoverProjeto}
+                />
+              )}
+
+              {painelAberto === "lixeira" && (
+                <LixeiraPanel
+                  lixeira={lixeira}
+                  configuracao={configuracaoLixeira}
+                  onSalvar={onSalvarLixeira}
+                  onRestaurar={onRestaurarDaLixeira}
+                  onExcluir={onExcluirDaLixeira}
+                  onEsvaziar={onEsvaziarLixeira}
+                />
+              )}
             </div>
           </div>
 
@@ -248,6 +586,39 @@ export const Controls = ({
               {textoAdicionar}
             </button>
 
+            <button
+              onClick={onPreencherMes}
+              disabled={!podeAdicionarDia}
+              className="btn-action btn-info"
+              title={TOOLTIPS.PREENCHER_MES}
+              aria-label="Preencher os dias úteis do mês com o horário padrão"
+            >
+              <CalendarCheck size={16} aria-hidden="true" />
+              Preencher Mês
+            </button>
+
+            <button
+              onClick={onDesfazer}
+              disabled={!podeDesfazer}
+              className="btn-action btn-info"
+              title={TOOLTIPS.DESFAZER}
+              aria-label="Desfazer a última alteração"
+            >
+              <Undo2 size={16} aria-hidden="true" />
+              Desfazer
+            </button>
+
+            <button
+              onClick={onRefazer}
+              disabled={!podeRefazer}
+              className="btn-action btn-info"
+              title={TOOLTIPS.REFAZER}
+              aria-label="Refazer a alteração desfeita"
+            >
+              <Redo2 size={16} aria-hidden="true" />
+              Refazer
+            </button>
+
             <button
               onClick={onGerarPDF}
               className="btn-action btn-danger"
@@ -4,6 +4,7 @@ import {
   BarChart3,
   TrendingUp,
   PieChart as PieIcon,
+  Briefcase,
 } from "lucide-react";
 import {
   LineChart,
@@ -20,10 +21,13 @@ import {
   CartesianGrid,
   Tooltip,
   Legend,
+  ReferenceLine,
   ResponsiveContainer,
 } from "recharts";
 import { CORES } from "../constants/constants";
 import { DateUtils } from "../utils/dateUtils";
+import { RemuneracaoUtils } from "../utils/remuneracaoUtils";
+import { ProjetosUtils } from "../utils/projetosUtils";
 
 /**
  * Utilitários para formatação de números
@@ -92,7 +96,7 @@ const useScreenSize = () => {
  * Componente Dashboard - Painel de gráficos interativos com design responsivo
  *
  * Funcionalidades:
- * - Múltiplos tipos de gráfico (linha, área, barra, pizza)
+ * - Múltiplos tipos de gráfico (linha, área, barra, pizza, projetos)
  * - Responsividade completa para dispositivos móveis
  * - Sistema de insights automáticos baseado nos dados
  * - Controles dinâmicos para alternar visualizações
@@ -116,6 +120,50 @@ export const Dashboard = ({ dados, resumo, mes, ano, escalaAtual }) => {
     ano,
     escalaAtual
   );
+  const escalaInfo = DateUtils.obterEscalaInfo(escalaAtual);
+
+  /**
+   * Dias do mês que são feriados (marcados nos gráficos de linha, área e barra)
+   */
+  const diasFeriado = dadosGraficos.filter((dia) => dia.feriado);
+
+  /**
+   * Linhas verticais de referência para os feriados do mês
+   */
+  const renderMarcadoresFeriado = () =>
+    diasFeriado.map((dia) => (
+      <ReferenceLine
+        key={`feriado-${dia.dia}`}
+        x={dia.data}
+        stroke={CORES.warning}
+        strokeDasharray="2 4"
+        label={
+          isSmall
+            ? undefined
+            : { value: "🎉", position: "top", fill: CORES.warning }
+        }
+      />
+    ));
+
+  /**
+   * Folgas previstas pela escala (fins de semana ou dias de descanso do ciclo)
+   */
+  const diasFolga = dadosGraficos.filter(
+    (dia) => dia.folgaEscala && !dia.feriado
+  );
+
+  /**
+   * Faixas discretas marcando as folgas da escala nos gráficos
+   */
+  const renderMarcadoresFolga = () =>
+    diasFolga.map((dia) => (
+      <ReferenceLine
+        key={`folga-${dia.dia}`}
+        x={dia.data}
+        stroke="rgba(255,255,255,0.08)"
+        strokeWidth={isSmall ? 4 : 8}
+      />
+    ));
 
   /**
    * Dados para o gráfico de pizza (distribuição de horas)
@@ -143,6 +191,24 @@ export const Dashboard = ({ dados, resumo, mes, ano, escalaAtual }) => {
     },
   ].filter((item) => item.value > 0);
 
+  /**
+   * Dados para o gráfico de projetos (horas e valor a faturar por projeto)
+   */
+  const dadosProjetos = (resumo?.projetos?.minutosAlocados > 0
+    ? resumo.projetos.linhas
+    : []
+  ).map((linha) => ({
+    nome: ProjetosUtils.rotularProjeto(linha),
+    horas: linha.minutos / 60,
+    valor: linha.valor,
+    fill:
+      linha.projetoId === ProjetosUtils.SEM_PROJETO
+        ? CORES.neutral
+        : linha.faturavel
+        ? CORES.success
+        : CORES.primary,
+  }));
+
   // Configurações responsivas
   const alturaGrafico = isExtraSmall
     ? 220
@@ -172,12 +238,13 @@ export const Dashboard = ({ dados, resumo, mes, ano, escalaAtual }) => {
       typeof value === "number" ? `${value.toFixed(2)}h` : value,
       name,
     ],
-    labelFormatter: (label) => {
+    labelFormatter: (label, payload) => {
+      const folga = payload?.[0]?.payload?.folgaEscala ? " · 💤 Folga" : "";
       if (typeof label === "string" && label.includes("/")) {
         const [dia, mes] = label.split("/");
-        return `${dia}/${mes}`;
+        return `${dia}/${mes}${folga}`;
       }
-      return label;
+      return `${label}${folga}`;
     },
   };
 
@@ -239,6 +306,8 @@ export const Dashboard = ({ dados, resumo, mes, ano, escalaAtual }) => {
             <YAxis {...yAxisConfig} />
             <Tooltip {...tooltipConfig} />
             {!isSmall && <Legend />}
+            {renderMarcadoresFeriado()}
+            {renderMarcadoresFolga()}
 
             <Line
               type="monotone"
@@ -287,6 +356,8 @@ export const Dashboard = ({ dados, resumo, mes, ano, escalaAtual }) => {
             <YAxis {...yAxisConfig} />
             <Tooltip {...tooltipConfig} />
             {!isSmall && <Legend />}
+            {renderMarcadoresFeriado()}
+            {renderMarcadoresFolga()}
 
             <Area
               type="monotone"
@@ -318,6 +389,8 @@ export const Dashboard = ({ dados, resumo, mes, ano, escalaAtual }) => {
             <YAxis {...yAxisConfig} />
             <Tooltip {...tooltipConfig} />
             {!isSmall && <Legend />}
+            {renderMarcadoresFeriado()}
+            {renderMarcadoresFolga()}
 
             <Bar
               dataKey="horasTrabalhadas"
@@ -403,6 +476,48 @@ export const Dashboard = ({ dados, resumo, mes, ano, escalaAtual }) => {
           </PieChart>
         );
 
+      case "projetos":
+        if (dadosProjetos.length === 0) {
+          return (
+            <div className="empty-state">
+              <Briefcase size={48} className="empty-state-icon" />
+              <h3>Sem horas alocadas em projetos</h3>
+              <p>Distribua as horas dos dias entre os projetos na tabela de registros</p>
+            </div>
+          );
+        }
+
+        return (
+          <BarChart data={dadosProjetos} margin={margemBase}>
+            <CartesianGrid {...gridConfig} />
+            <XAxis
+              dataKey="nome"
+              {...xAxisConfig}
+              interval={0}
+              tickFormatter={(nome) =>
+                isSmall && nome.length > 10 ? `${nome.substring(0, 9)}…` : nome
+              }
+            />
+            <YAxis {...yAxisConfig} />
+            <Tooltip
+              {...tooltipConfig}
+              formatter={(value, name, item) => [
+                item.payload.valor > 0
+                  ? `${value.toFixed(2)}h · ${RemuneracaoUtils.formatarMoeda(item.payload.valor)}`
+                  : `${value.toFixed(2)}h`,
+                name,
+              ]}
+              labelFormatter={(label) => label}
+            />
+
+            <Bar dataKey="horas" name="Horas no Projeto" radius={[2, 2, 0, 0]}>
+              {dadosProjetos.map((entry, index) => (
+                <Cell key={`projeto-${index}`} fill={entry.fill} />
+              ))}
+            </Bar>
+          </BarChart>
+        );
+
       default:
         return (
           <div className="empty-state">
@@ -469,6 +584,181 @@ export const Dashboard = ({ dados, resumo, mes, ano, escalaAtual }) => {
       );
     }
 
+    if (resumo?.saldoAcumulado !== undefined) {
+      insights.push(
+        <div
+          key="saldo-acumulado"
+          style={{
+            color:
+              resumo.saldoAcumulado > 0
+                ? CORES.success
+                : resumo.saldoAcumulado < 0
+                ? CORES.danger
+                : undefined,
+          }}
+        >
+          🏦 {isSmall ? "Acumulado:" : "Saldo acumulado:"}{" "}
+          {DateUtils.formatarMinutos(resumo.saldoAcumulado)}
+          {!isSmall &&
+            ` (anterior ${DateUtils.formatarMinutos(
+              resumo.saldoAnterior
+            )} + mês ${DateUtils.formatarMinutos(resumo.saldoFinal)})`}
+        </div>
+      );
+    }
+
+    if (resumo?.remuneracao?.valorTotal > 0) {
+      insights.push(
+        <div key="valor-extras" style={{ color: CORES.success }}>
+          💰 {isSmall ? "Valor:" : "Valor das horas extras:"}{" "}
+          {RemuneracaoUtils.formatarMoeda(resumo.remuneracao.valorTotal)}
+          {!isSmall &&
+            resumo.remuneracao.minutosDomingosFeriados > 0 &&
+            ` (${RemuneracaoUtils.formatarMoeda(
+              resumo.remuneracao.valorDomingosFeriados
+            )} em domingos/feriados)`}
+        </div>
+      );
+    }
+
+    if (resumo?.projetos?.valorTotal > 0) {
+      insights.push(
+        <div key="valor-projetos" style={{ color: CORES.success }}>
+          💼 {isSmall ? "A faturar:" : "Valor a faturar nos projetos:"}{" "}
+          {RemuneracaoUtils.formatarMoeda(resumo.projetos.valorTotal)}
+          {!isSmall &&
+            ` (${DateUtils.formatarMinutos(resumo.projetos.minutosFaturaveis).replace(
+              "+",
+              ""
+            )} faturáveis)`}
+        </div>
+      );
+    }
+
+    const violacoesInterjornada = resumo?.violacoesInterjornada?.length || 0;
+
+    if (violacoesInterjornada > 0) {
+      insights.push(
+        <div key="interjornada" style={{ color: CORES.warning }}>
+          😴 {violacoesInterjornada}{" "}
+          {isSmall
+            ? "interjornada(s) < 11h"
+            : `${
+                violacoesInterjornada === 1 ? "descanso" : "descansos"
+              } entre jornadas abaixo de 11 horas`}
+        </div>
+      );
+    }
+
+    const diasAcimaLimite = resumo?.limitesJornada?.dias.length || 0;
+    const semanasAcimaLimite = resumo?.limitesJornada?.semanas.length || 0;
+
+    if (diasAcimaLimite + semanasAcimaLimite > 0) {
+      insights.push(
+        <div key="limites-jornada" style={{ color: CORES.warning }}>
+          ⏫ {isSmall ? "Acima do limite:" : "Acima dos limites de jornada:"}{" "}
+          {diasAcimaLimite} {diasAcimaLimite === 1 ? "dia" : "dias"} e{" "}
+          {semanasAcimaLimite} {semanasAcimaLimite === 1 ? "semana" : "semanas"}
+        </div>
+      );
+    }
+
+    if (resumo?.indenizacaoIntrajornada > 0) {
+      insights.push(
+        <div key="intrajornada" style={{ color: CORES.warning }}>
+          🍽️ {isSmall ? "Intervalo suprimido:" : "Intervalo intrajornada suprimido:"}{" "}
+          {DateUtils.formatarMinutos(resumo.indenizacaoIntrajornada)}
+          {!isSmall &&
+            ` em ${resumo.violacoesIntrajornada} ${
+              resumo.violacoesIntrajornada === 1 ? "dia" : "dias"
+            } (devido como indenização)`}
+        </div>
+      );
+    }
+
+    const lotesBanco = resumo?.lotesBanco;
+
+    if (lotesBanco?.vencidas > 0) {
+      insights.push(
+        <div key="banco-vencidas" style={{ color: CORES.danger }}>
+          ⛔ {isSmall ? "Vencidas:" : "Horas do banco vencidas:"}{" "}
+          {DateUtils.formatarMinutos(lotesBanco.vencidas)}
+          {!isSmall && " (não compensadas no prazo, devem ser pagas)"}
+        </div>
+      );
+    }
+
+    if (lotesBanco?.aVencer) {
+      // Janelas de aviso em ordem crescente (ex: 30 e 60 dias)
+      const janelas = Object.keys(lotesBanco.aVencer)
+        .map(Number)
+        .sort((a, b) => a - b);
+      let jaAvisado = 0;
+
+      janelas.forEach((dias) => {
+        const minutos = lotesBanco.aVencer[dias];
+        if (minutos > jaAvisado) {
+          insights.push(
+            <div key={`banco-vence-${dias}`} style={{ color: CORES.warning }}>
+              ⏳ {DateUtils.formatarMinutos(minutos)}{" "}
+              {isSmall ? `vencem em ${dias}d` : `do banco vencem nos próximos ${dias} dias`}
+            </div>
+          );
+          jaAvisado = minutos;
+        }
+      });
+    }
+
+    if (diasFeriado.length > 0) {
+      insights.push(
+        <div key="feriados-mes">
+          🎉 {isSmall ? "Feriados:" : "Feriados no mês:"}{" "}
+          {diasFeriado
+            .map((dia) => (isSmall ? dia.data : `${dia.feriado} (${dia.data})`))
+            .join(", ")}
+        </div>
+      );
+    }
+
+    if (escalaInfo?.ciclo && diasFolga.length > 0) {
+      insights.push(
+        <div key="folgas-escala">
+          💤 {isSmall ? "Folgas:" : "Folgas da escala no mês:"}{" "}
+          {isSmall
+            ? diasFolga.length
+            : diasFolga.map((dia) => dia.data).join(", ")}
+        </div>
+      );
+    }
+
+    if (escalaInfo?.padraoSemanas) {
+      const proximosSabados = DateUtils.obterProximosSabadosTrabalhados(
+        DateUtils.formatarDataISO(new Date()),
+        escalaAtual
+      );
+
+      if (proximosSabados.length > 0) {
+        insights.push(
+          <div key="proximos-sabados">
+            🗓️ {isSmall ? "Sábados:" : "Próximos sábados de trabalho:"}{" "}
+            {proximosSabados
+              .map((data) => DateUtils.formatarData(data).substring(0, 5))
+              .join(", ")}
+          </div>
+        );
+      }
+    }
+
+    if (resumo?.horasEmFeriados > 0) {
+      insights.push(
+        <div key="trabalho-feriado" style={{ color: CORES.warning }}>
+          🛠️ {isSmall ? "Em feriados:" : "Trabalho em feriados:"}{" "}
+          {DateUtils.formatarMinutos(resumo.horasEmFeriados)}
+          {!isSmall && " (contabilizadas como horas extras)"}
+        </div>
+      );
+    }
+
     insights.push(
       <div key="media-diaria">
         📅 {isSmall ? "Média:" : "Média diária:"}{" "}
@@ -503,6 +793,11 @@ export const Dashboard = ({ dados, resumo, mes, ano, escalaAtual }) => {
       label: isSmall ? "Pizza" : "Pizza",
       icon: <PieIcon size={isSmall ? 14 : 16} />,
     },
+    {
+      id: "projetos",
+      label: isSmall ? "Projetos" : "Projetos",
+      icon: <Briefcase size={isSmall ? 14 : 16} />,
+    },
   ];
 
   return (
@@ -634,6 +929,42 @@ export const Dashboard = ({ dados, resumo, mes, ano, escalaAtual }) => {
         </div>
       )}
 
+      {/* Legenda das cores do gráfico de projetos */}
+      {graficoAtivo === "projetos" && dadosProjetos.length > 0 && (
+        <div
+          style={{
+            display: "flex",
+            flexWrap: "wrap",
+            gap: "1rem",
+            justifyContent: "center",
+            marginBottom: "1rem",
+            fontSize: "0.75rem",
+            color: "#e2e8f0",
+          }}
+        >
+          {[
+            { cor: CORES.success, nome: "Faturável" },
+            { cor: CORES.primary, nome: "Não faturável" },
+            { cor: CORES.neutral, nome: "Sem projeto" },
+          ].map((item) => (
+            <span
+              key={item.nome}
+              style={{ display: "flex", alignItems: "center", gap: "0.375rem" }}
+            >
+              <span
+                style={{
+                  width: "12px",
+                  height: "12px",
+                  borderRadius: "50%",
+                  backgroundColor: item.cor,
+                }}
+              />
+              {item.nome}
+            </span>
+          ))}
+        </div>
+      )}
+
       {/* Seção de insights */}
       <div
         className="insights-section"
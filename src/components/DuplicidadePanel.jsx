@@ -0,0 +1,102 @@
+import React from "react";
+import { Combine, Check, X } from "lucide-react";
+import { DateUtils } from "../utils/dateUtils";
+
+/**
+ * Descreve um registro do grupo duplicado (marcações, ausência e observação)
+ *
+ * @param {Object} registro - Registro de ponto
+ * @returns {string} Descrição para a lista
+ */
+const descreverRegistro = (registro) => {
+  const tipo = DateUtils.obterTipoRegistro(registro);
+  const detalhe =
+    tipo.efeito === "trabalho"
+      ? DateUtils.formatarIntervalos(registro) || "sem marcações"
+      : tipo.nome;
+  return registro.observacao ? `${detalhe} · ${registro.observacao}` : detalhe;
+};
+
+/**
+ * Componente DuplicidadePanel - Diálogo para resolver uma data duplicada
+ *
+ * Mostra os registros da mesma data e oferece combinar as marcações em
+ * um único registro ou manter apenas um deles (os demais vão para a
+ * lixeira). Fechar o diálogo mantém os registros como estão.
+ *
+ * @component
+ * @param {Object} props - Propriedades do componente
+ * @param {string} props.data - Data duplicada (YYYY-MM-DD)
+ * @param {Array} props.registros - Registros da data
+ * @param {Function} props.onCombinar - Callback para combinar as marcações
+ * @param {Function} props.onManter - Callback (id) para manter apenas um registro
+ * @param {Function} props.onFechar - Callback para fechar sem alterar
+ */
+export const DuplicidadePanel = ({ data, registros, onCombinar, onManter, onFechar }) => {
+  const botaoCombinar = React.useRef(null);
+
+  // Foco no diálogo ao abrir e Esc para fechar
+  React.useEffect(() => {
+    botaoCombinar.current?.focus();
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onFechar();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onFechar]);
+
+  return (
+    <div className="dialog-overlay" onClick={onFechar}>
+      <div
+        className="config-panel"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="duplicidade-titulo"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div id="duplicidade-titulo" className="config-panel-title">
+          📋 {registros.length} registros em {DateUtils.formatarData(data)}
+        </div>
+
+        <div className="config-panel-form">
+          <button
+            ref={botaoCombinar}
+            type="button"
+            onClick={onCombinar}
+            className="btn-small"
+          >
+            <Combine size={14} aria-hidden="true" />
+            Combinar marcações
+          </button>
+          <button type="button" onClick={onFechar} className="btn-small">
+            <X size={14} aria-hidden="true" />
+            Cancelar
+          </button>
+        </div>
+
+        <ul className="config-panel-list">
+          {registros.map((registro) => (
+            <li key={registro.id} className="config-panel-item">
+              <span>{descreverRegistro(registro)}</span>
+              <button
+                type="button"
+                onClick={() => onManter(registro.id)}
+                className="btn-small"
+                aria-label={`Manter apenas o registro ${descreverRegistro(registro)}`}
+              >
+                <Check size={14} aria-hidden="true" />
+                Manter este
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <p className="config-panel-empty">
+          Combinar junta as marcações, observações, tags e alocações em um
+          único registro. Manter um registro envia os demais para a lixeira.
+          As duas opções podem ser desfeitas.
+        </p>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,461 @@
+import React from "react";
+import { Save, Pencil, Plus, X } from "lucide-react";
+import { DIAS_SEMANA_ABREV } from "../constants/constants";
+import { DateUtils } from "../utils/dateUtils";
+
+/**
+ * Estado inicial do formulário (nova escala)
+ */
+const FORMULARIO_VAZIO = {
+  id: "",
+  nome: "",
+  diasUteis: [1, 2, 3, 4, 5],
+  horasPorDia: "8:00",
+  jornadas: {},
+  horasSemana: "",
+  ciclo: null,
+  padraoSemanas: null,
+};
+
+/**
+ * Ciclo sugerido ao trocar para escala cíclica (12x36)
+ */
+const CICLO_PADRAO = { sequencia: "TF", inicio: "" };
+
+/**
+ * Semanas seguintes à semana A sugeridas ao trocar para semanas alternadas
+ * (a semana A usa os dias marcados no formulário)
+ */
+const SEMANAS_PADRAO = { semanas: [[1, 2, 3, 4, 5]], inicio: "" };
+
+/**
+ * Letra de cada semana do padrão (0 → "A", 1 → "B", ...)
+ */
+const letraSemana = (indice) => String.fromCharCode(65 + indice);
+
+/**
+ * Formata minutos como duração editável (ex: 480 → "8:00")
+ */
+const formatarDuracao = (minutos) =>
+  DateUtils.formatarMinutos(minutos).replace("+", "").replace("h", "");
+
+/**
+ * Componente EscalasPanel - Editor de escalas personalizadas
+ *
+ * Permite criar escalas próprias (dias trabalhados, carga diária e
+ * semanal) e editar a escala "Personalizada" predefinida. Cada dia
+ * marcado pode ter carga própria (ex: sábado com 4h); em branco, vale a
+ * carga diária. Escalas cíclicas (12x36, 24x48, 5x1) usam uma sequência
+ * de trabalho (T) e folga (F) a partir de uma data de início no lugar dos
+ * dias da semana. Escalas de semanas alternadas (sábado sim, sábado não)
+ * repetem as semanas A, B, ... a partir da semana de uma data de
+ * referência. As escalas salvas aparecem no seletor de escala junto às
+ * predefinidas.
+ *
+ * @component
+ * @param {Object} props - Propriedades do componente
+ * @param {Array} props.escalas - Escalas disponíveis (DateUtils.obterEscalas)
+ * @param {Array} props.escalasPersonalizadas - Escalas salvas pelo usuário
+ * @param {Function} props.onSalvar - Callback (dados) => ID da escala salva ou null
+ * @param {Function} props.onRemover - Callback (id) para remover/restaurar uma escala
+ * @param {Array} props.historicoEscalas - Escalas anteriores à atual ({ escalaId, ate })
+ * @param {Function} props.onRemoverPeriodo - Callback (ate) para remover um período do histórico
+ */
+export const EscalasPanel = ({
+  escalas = [],
+  escalasPersonalizadas = [],
+  onSalvar,
+  onRemover,
+  historicoEscalas = [],
+  onRemoverPeriodo,
+}) => {
+  const [formulario, setFormulario] = React.useState(FORMULARIO_VAZIO);
+
+  // Escalas que podem ser editadas no painel
+  const editaveis = escalas.filter((escala) => escala.personalizavel);
+
+  /**
+   * Atualiza um campo do formulário
+   */
+  const handleCampoChange = (campo, valor) =>
+    setFormulario((atual) => ({ ...atual, [campo]: valor }));
+
+  /**
+   * Atualiza a sequência ou o início do ciclo
+   */
+  const handleCicloChange = (campo, valor) =>
+    setFormulario((atual) => ({
+      ...atual,
+      ciclo: { ...atual.ciclo, [campo]: valor },
+    }));
+
+  /**
+   * Troca o tipo da escala (dias da semana, cíclica ou semanas alternadas)
+   */
+  const handleTipoChange = (tipo) =>
+    setFormulario((atual) => ({
+      ...atual,
+      ciclo: tipo === "ciclica" ? { ...CICLO_PADRAO } : null,
+      padraoSemanas:
+        tipo === "alternada"
+          ? { ...SEMANAS_PADRAO, semanas: [...SEMANAS_PADRAO.semanas] }
+          : null,
+    }));
+
+  /**
+   * Atualiza as semanas seguintes à semana A
+   */
+  const atualizarSemanas = (atualizar) =>
+    setFormulario((atual) => ({
+      ...atual,
+      padraoSemanas: {
+        ...atual.padraoSemanas,
+        semanas: atualizar(atual.padraoSemanas.semanas),
+      },
+    }));
+
+  /**
+   * Marca ou desmarca um dia em uma das semanas seguintes à semana A
+   */
+  const alternarDiaSemana = (indice, dia) =>
+    atualizarSemanas((semanas) =>
+      semanas.map((dias, posicao) =>
+        posicao !== indice
+          ? dias
+          : dias.includes(dia)
+          ? dias.filter((item) => item !== dia)
+          : [...dias, dia]
+      )
+    );
+
+  /**
+   * Marca ou desmarca um dia da semana
+   */
+  const alternarDia = (dia) =>
+    setFormulario((atual) => ({
+      ...atual,
+      diasUteis: atual.diasUteis.includes(dia)
+        ? atual.diasUteis.filter((item) => item !== dia)
+        : [...atual.diasUteis, dia],
+    }));
+
+  /**
+   * Carrega uma escala no formulário para edição
+   */
+  const editarEscala = (escala) => {
+    // Apenas as cargas diferentes da diária viram campos preenchidos
+    const jornadas = {};
+    escala.diasUteis.forEach((dia) => {
+      const carga = DateUtils.obterJornadaDiaSemana(escala, dia);
+      if (carga !== escala.horasPorDia) jornadas[dia] = formatarDuracao(carga);
+    });
+
+    setFormulario({
+      id: escala.id,
+      nome: escala.nome,
+      diasUteis: [...(escala.padraoSemanas?.semanas[0] || escala.diasUteis)],
+      horasPorDia: formatarDuracao(escala.horasPorDia),
+      jornadas,
+      horasSemana: String(escala.horasSemana),
+      ciclo: escala.ciclo ? { ...escala.ciclo } : null,
+      // A semana A ocupa os dias do formulário; as demais ficam no padrão
+      padraoSemanas: escala.padraoSemanas
+        ? {
+            semanas: escala.padraoSemanas.semanas.slice(1),
+            inicio: escala.padraoSemanas.inicio,
+          }
+        : null,
+    });
+  };
+
+  /**
+   * Atualiza a carga específica de um dia da semana
+   */
+  const handleJornadaChange = (dia, valor) =>
+    setFormulario((atual) => ({
+      ...atual,
+      jornadas: { ...atual.jornadas, [dia]: valor },
+    }));
+
+  /**
+   * Envia o formulário e limpa os campos quando a escala é salva
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const dados = formulario.padraoSemanas
+      ? {
+          ...formulario,
+          padraoSemanas: {
+            ...formulario.padraoSemanas,
+            semanas: [formulario.diasUteis, ...formulario.padraoSemanas.semanas],
+          },
+        }
+      : formulario;
+
+    if (onSalvar(dados)) {
+      setFormulario(FORMULARIO_VAZIO);
+    }
+  };
+
+  return (
+    <div className="config-panel">
+      <div className="config-panel-title">🗓️ Escalas personalizadas</div>
+
+      <form className="config-panel-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={formulario.nome}
+          onChange={(e) => handleCampoChange("nome", e.target.value)}
+          className="input"
+          placeholder="Ex: 12x36 noturno"
+          aria-label="Nome da escala"
+          maxLength={40}
+          required
+        />
+        <select
+          value={
+            formulario.ciclo
+              ? "ciclica"
+              : formulario.padraoSemanas
+              ? "alternada"
+              : "semanal"
+          }
+          onChange={(e) => handleTipoChange(e.target.value)}
+          className="input"
+          aria-label="Tipo de escala"
+        >
+          <option value="semanal">Dias da semana</option>
+          <option value="ciclica">Cíclica (12x36, 5x1...)</option>
+          <option value="alternada">Semanas alternadas</option>
+        </select>
+        {formulario.ciclo && (
+          <>
+            <label>
+              Ciclo
+              <input
+                type="text"
+                value={formulario.ciclo.sequencia}
+                onChange={(e) =>
+                  handleCicloChange("sequencia", e.target.value.toUpperCase())
+                }
+                className="input"
+                placeholder="Ex: TF, TFF, TTTTTF"
+                title="T = dia de trabalho, F = folga"
+                aria-label="Sequência do ciclo (T = trabalho, F = folga)"
+                pattern="[TFtf]+"
+                size={8}
+              />
+            </label>
+            <label>
+              Início
+              <input
+                type="date"
+                value={formulario.ciclo.inicio}
+                onChange={(e) => handleCicloChange("inicio", e.target.value)}
+                className="input"
+                aria-label="Primeiro dia do ciclo"
+              />
+            </label>
+          </>
+        )}
+        {formulario.padraoSemanas && (
+          <span className="tag">Semana {letraSemana(0)}</span>
+        )}
+        {!formulario.ciclo && DIAS_SEMANA_ABREV.map((abreviacao, dia) => (
+          <label key={abreviacao}>
+            <input
+              type="checkbox"
+              checked={formulario.diasUteis.includes(dia)}
+              onChange={() => alternarDia(dia)}
+            />
+            {abreviacao}
+            {formulario.diasUteis.includes(dia) && (
+              <input
+                type="text"
+                value={formulario.jornadas[dia] || ""}
+                onChange={(e) => handleJornadaChange(dia, e.target.value)}
+                className="input"
+                placeholder={formulario.horasPorDia}
+                aria-label={`Carga de ${abreviacao} (H:MM)`}
+                size={4}
+              />
+            )}
+          </label>
+        ))}
+        {formulario.padraoSemanas && (
+          <>
+            {formulario.padraoSemanas.semanas.map((dias, indice) => (
+              <React.Fragment key={indice}>
+                <span className="tag">Semana {letraSemana(indice + 1)}</span>
+                {DIAS_SEMANA_ABREV.map((abreviacao, dia) => (
+                  <label key={abreviacao}>
+                    <input
+                      type="checkbox"
+                      checked={dias.includes(dia)}
+                      onChange={() => alternarDiaSemana(indice, dia)}
+                    />
+                    {abreviacao}
+                  </label>
+                ))}
+                {formulario.padraoSemanas.semanas.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      atualizarSemanas((semanas) =>
+                        semanas.filter((_, posicao) => posicao !== indice)
+                      )
+                    }
+                    className="btn-small btn-small-danger"
+                    title="Remover semana"
+                    aria-label={`Remover semana ${letraSemana(indice + 1)}`}
+                  >
+                    <X size={14} aria-hidden="true" />
+                  </button>
+                )}
+              </React.Fragment>
+            ))}
+            <button
+              type="button"
+              onClick={() =>
+                atualizarSemanas((semanas) => [...semanas, [1, 2, 3, 4, 5]])
+              }
+              className="btn-small"
+            >
+              <Plus size={14} aria-hidden="true" />
+              Semana
+            </button>
+            <label>
+              Semana A contém
+              <input
+                type="date"
+                value={formulario.padraoSemanas.inicio}
+                onChange={(e) =>
+                  setFormulario((atual) => ({
+                    ...atual,
+                    padraoSemanas: {
+                      ...atual.padraoSemanas,
+                      inicio: e.target.value,
+                    },
+                  }))
+                }
+                className="input"
+                aria-label="Uma data da semana A"
+              />
+            </label>
+          </>
+        )}
+        <label>
+          Horas/dia
+          <input
+            type="text"
+            value={formulario.horasPorDia}
+            onChange={(e) => handleCampoChange("horasPorDia", e.target.value)}
+            className="input"
+            placeholder="H:MM"
+            aria-label="Carga diária (H:MM)"
+            size={5}
+          />
+        </label>
+        <label>
+          Horas/semana
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={formulario.horasSemana}
+            onChange={(e) => handleCampoChange("horasSemana", e.target.value)}
+            className="input"
+            placeholder="Auto"
+            aria-label="Carga semanal em horas"
+            style={{ width: "5rem" }}
+          />
+        </label>
+        <button type="submit" className="btn-small">
+          <Save size={14} aria-hidden="true" />
+          {formulario.id ? "Salvar alterações" : "Criar escala"}
+        </button>
+        {formulario.id && (
+          <button
+            type="button"
+            onClick={() => setFormulario(FORMULARIO_VAZIO)}
+            className="btn-small"
+          >
+            Cancelar
+          </button>
+        )}
+      </form>
+
+      {editaveis.length === 0 ? (
+        <p className="config-panel-empty">Nenhuma escala personalizada.</p>
+      ) : (
+        <ul className="config-panel-list">
+          {editaveis.map((escala) => {
+            const salva = escalasPersonalizadas.some(
+              (item) => item.id === escala.id
+            );
+
+            return (
+              <li key={escala.id} className="config-panel-item">
+                <span>
+                  {escala.nome} · {escala.descricao} · {escala.horasSemana}
+                  h/semana
+                </span>
+                <span style={{ display: "flex", gap: "0.25rem" }}>
+                  <button
+                    type="button"
+                    onClick={() => editarEscala(escala)}
+                    className="btn-small"
+                    title="Editar escala"
+                    aria-label={`Editar escala ${escala.nome}`}
+                  >
+                    <Pencil size={14} aria-hidden="true" />
+                  </button>
+                  {salva && (
+                    <button
+                      type="button"
+                      onClick={() => onRemover(escala.id)}
+                      className="btn-small btn-small-danger"
+                      title="Remover escala"
+                      aria-label={`Remover escala ${escala.nome}`}
+                    >
+                      <X size={14} aria-hidden="true" />
+                    </button>
+                  )}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {historicoEscalas.length > 0 && (
+        <>
+          <div className="config-panel-title">📜 Histórico de escalas</div>
+          <ul className="config-panel-list">
+            {[...historicoEscalas]
+              .sort((a, b) => a.ate.localeCompare(b.ate))
+              .map((periodo) => (
+                <li key={periodo.ate} className="config-panel-item">
+                  <span>
+                    {DateUtils.obterEscalaInfo(periodo.escalaId).nome} · até{" "}
+                    {DateUtils.formatarData(periodo.ate)}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => onRemoverPeriodo(periodo.ate)}
+                    className="btn-small btn-small-danger"
+                    title="Remover período"
+                    aria-label={`Remover período até ${DateUtils.formatarData(
+                      periodo.ate
+                    )}`}
+                  >
+                    <X size={14} aria-hidden="true" />
+                  </button>
+                </li>
+              ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,127 @@
+import React from "react";
+import { Plus, X } from "lucide-react";
+import { DateUtils } from "../utils/dateUtils";
+
+/**
+ * Estado inicial do formulário de cadastro
+ */
+const FORMULARIO_VAZIO = {
+  data: "",
+  nome: "",
+  recorrente: false,
+  meioPeriodo: false,
+};
+
+/**
+ * Componente FeriadosPanel - Cadastro de feriados do usuário
+ *
+ * Complementa o calendário nacional com feriados estaduais, municipais
+ * (ex: aniversário da cidade) e pontes definidas pela empresa:
+ * - Datas únicas ou anuais (mesmo dia/mês todo ano)
+ * - Meio período (meta do dia reduzida à metade)
+ *
+ * @component
+ * @param {Object} props - Propriedades do componente
+ * @param {Array} props.feriados - Feriados cadastrados pelo usuário
+ * @param {Function} props.onAdicionar - Callback (feriado) => boolean
+ * @param {Function} props.onRemover - Callback (id) para remover um feriado
+ */
+export const FeriadosPanel = ({ feriados = [], onAdicionar, onRemover }) => {
+  const [formulario, setFormulario] = React.useState(FORMULARIO_VAZIO);
+
+  /**
+   * Atualiza um campo do formulário
+   */
+  const handleCampoChange = (campo, valor) =>
+    setFormulario((atual) => ({ ...atual, [campo]: valor }));
+
+  /**
+   * Envia o formulário e limpa os campos quando o cadastro é aceito
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (onAdicionar(formulario)) {
+      setFormulario(FORMULARIO_VAZIO);
+    }
+  };
+
+  return (
+    <div className="config-panel">
+      <div className="config-panel-title">🎉 Feriados e pontes</div>
+
+      <form className="config-panel-form" onSubmit={handleSubmit}>
+        <input
+          type="date"
+          value={formulario.data}
+          onChange={(e) => handleCampoChange("data", e.target.value)}
+          className="input"
+          aria-label="Data do feriado"
+          required
+        />
+        <input
+          type="text"
+          value={formulario.nome}
+          onChange={(e) => handleCampoChange("nome", e.target.value)}
+          className="input"
+          placeholder="Ex: Aniversário da cidade"
+          aria-label="Nome do feriado"
+          maxLength={60}
+          required
+        />
+        <label>
+          <input
+            type="checkbox"
+            checked={formulario.recorrente}
+            onChange={(e) => handleCampoChange("recorrente", e.target.checked)}
+          />
+          Repete todo ano
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={formulario.meioPeriodo}
+            onChange={(e) => handleCampoChange("meioPeriodo", e.target.checked)}
+          />
+          Meio período
+        </label>
+        <button type="submit" className="btn-small">
+          <Plus size={14} aria-hidden="true" />
+          Adicionar
+        </button>
+      </form>
+
+      {feriados.length === 0 ? (
+        <p className="config-panel-empty">
+          Nenhum feriado cadastrado. Os feriados nacionais já são considerados
+          automaticamente.
+        </p>
+      ) : (
+        <ul className="config-panel-list">
+          {feriados.map((feriado) => (
+            <li key={feriado.id} className="config-panel-item">
+              <span>
+                {feriado.recorrente
+                  ? DateUtils.formatarData(feriado.data).substring(0, 5)
+                  : DateUtils.formatarData(feriado.data)}{" "}
+                · {feriado.nome}
+                {feriado.recorrente && <span className="tag">Anual</span>}
+                {feriado.meioPeriodo && (
+                  <span className="tag">Meio período</span>
+                )}
+              </span>
+              <button
+                type="button"
+                onClick={() => onRemover(feriado.id)}
+                className="btn-small btn-small-danger"
+                title="Remover feriado"
+                aria-label={`Remover feriado ${feriado.nome}`}
+              >
+                <X size={14} aria-hidden="true" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
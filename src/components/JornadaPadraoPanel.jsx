@@ -0,0 +1,87 @@
+import React from "react";
+import { Save } from "lucide-react";
+
+/**
+ * Componente JornadaPadraoPanel - Horário padrão do preenchimento do mês
+ *
+ * Define a entrada e o intervalo usados pelo "Preencher Mês". A saída de
+ * cada dia é calculada pela meta da escala, então dias com carga menor
+ * (ex: sábado com 4h) terminam mais cedo.
+ *
+ * @component
+ * @param {Object} props - Propriedades do componente
+ * @param {Object} props.jornadaPadrao - Horário atual (CONFIGURACOES_PADRAO.jornadaPadrao)
+ * @param {Function} props.onSalvar - Callback (dados) => boolean
+ */
+export const JornadaPadraoPanel = ({ jornadaPadrao, onSalvar }) => {
+  const [formulario, setFormulario] = React.useState({ ...jornadaPadrao });
+
+  /**
+   * Atualiza um campo do formulário
+   */
+  const handleCampoChange = (campo, valor) =>
+    setFormulario((atual) => ({ ...atual, [campo]: valor }));
+
+  /**
+   * Envia o formulário
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSalvar(formulario);
+  };
+
+  return (
+    <div className="config-panel">
+      <div className="config-panel-title">🕗 Horário padrão</div>
+
+      <form className="config-panel-form" onSubmit={handleSubmit}>
+        <label>
+          Entrada
+          <input
+            type="time"
+            value={formulario.entrada}
+            onChange={(e) => handleCampoChange("entrada", e.target.value)}
+            className="input"
+            aria-label="Horário de entrada padrão"
+            required
+          />
+        </label>
+        <label>
+          Intervalo às
+          <input
+            type="time"
+            value={formulario.inicioIntervalo}
+            onChange={(e) =>
+              handleCampoChange("inicioIntervalo", e.target.value)
+            }
+            className="input"
+            aria-label="Início do intervalo padrão"
+            disabled={Number(formulario.intervalo) === 0}
+          />
+        </label>
+        <label>
+          Duração (min)
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={formulario.intervalo}
+            onChange={(e) => handleCampoChange("intervalo", e.target.value)}
+            className="input"
+            aria-label="Duração do intervalo em minutos"
+            style={{ width: "5rem" }}
+          />
+        </label>
+        <button type="submit" className="btn-small">
+          <Save size={14} aria-hidden="true" />
+          Salvar
+        </button>
+      </form>
+
+      <p className="config-panel-empty">
+        A saída de cada dia segue a meta da escala. Jornadas de até 6h são
+        preenchidas sem intervalo.
+      </p>
+    </div>
+  );
+};
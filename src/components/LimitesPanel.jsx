@@ -0,0 +1,77 @@
+import React from "react";
+import { Save } from "lucide-react";
+
+/**
+ * Componente LimitesPanel - Limites legais de jornada
+ *
+ * Define o máximo de horas extras por dia e de horas trabalhadas por
+ * semana. Dias e semanas acima dos limites são destacados na tabela, no
+ * dashboard e no relatório PDF.
+ *
+ * @component
+ * @param {Object} props - Propriedades do componente
+ * @param {Object} props.limites - Limites atuais (CONFIGURACOES_PADRAO.limites)
+ * @param {number} props.horasSemanaEscala - Carga semanal da escala selecionada
+ * @param {Function} props.onSalvar - Callback (dados) => boolean
+ */
+export const LimitesPanel = ({ limites, horasSemanaEscala, onSalvar }) => {
+  const [formulario, setFormulario] = React.useState({ ...limites });
+
+  /**
+   * Atualiza um campo do formulário
+   */
+  const handleCampoChange = (campo, valor) =>
+    setFormulario((atual) => ({ ...atual, [campo]: valor }));
+
+  /**
+   * Envia o formulário
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSalvar(formulario);
+  };
+
+  return (
+    <div className="config-panel">
+      <div className="config-panel-title">⏫ Limites de jornada</div>
+
+      <form className="config-panel-form" onSubmit={handleSubmit}>
+        <label>
+          Extras por dia (h)
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={formulario.extrasDiarias}
+            onChange={(e) => handleCampoChange("extrasDiarias", e.target.value)}
+            className="input"
+            aria-label="Limite de horas extras por dia"
+            style={{ width: "5rem" }}
+          />
+        </label>
+        <label>
+          Horas por semana (h)
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={formulario.horasSemanais}
+            onChange={(e) => handleCampoChange("horasSemanais", e.target.value)}
+            className="input"
+            aria-label="Limite de horas trabalhadas por semana"
+            style={{ width: "5rem" }}
+          />
+        </label>
+        <button type="submit" className="btn-small">
+          <Save size={14} aria-hidden="true" />
+          Salvar
+        </button>
+      </form>
+
+      <p className="config-panel-empty">
+        A escala atual prevê {horasSemanaEscala}h por semana. Informe 0 para
+        desativar um limite.
+      </p>
+    </div>
+  );
+};
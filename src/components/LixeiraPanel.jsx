@@ -0,0 +1,140 @@
+import React from "react";
+import { RotateCcw, Save, Trash2, X } from "lucide-react";
+import { DateUtils } from "../utils/dateUtils";
+
+/**
+ * Descreve um item da lixeira (registro excluído ou limpeza de dados)
+ *
+ * @param {Object} item - Item da lixeira
+ * @returns {string} Descrição para a lista
+ */
+const descreverItem = (item) => {
+  if (item.origem === "limpeza") {
+    return `Limpeza de dados · ${item.registros.length} registro(s)`;
+  }
+
+  const [registro] = item.registros;
+  const tipo = DateUtils.obterTipoRegistro(registro);
+  const detalhe =
+    tipo.efeito === "trabalho"
+      ? DateUtils.formatarIntervalos(registro) || "sem marcações"
+      : tipo.nome;
+  return `${DateUtils.formatarData(registro.data)} · ${detalhe}`;
+};
+
+/**
+ * Componente LixeiraPanel - Registros excluídos e limpezas de dados
+ *
+ * Lista o que foi excluído (mais recente primeiro) com a data da
+ * exclusão, permitindo restaurar ou excluir definitivamente. Itens mais
+ * antigos que o prazo de retenção são expurgados automaticamente.
+ *
+ * @component
+ * @param {Object} props - Propriedades do componente
+ * @param {Array} props.lixeira - Itens da lixeira ({ id, excluidoEm, origem, registros })
+ * @param {Object} props.configuracao - Configuração atual (CONFIGURACOES_PADRAO.lixeira)
+ * @param {Function} props.onSalvar - Callback ({ diasRetencao }) => boolean
+ * @param {Function} props.onRestaurar - Callback (id) para restaurar um item
+ * @param {Function} props.onExcluir - Callback (id) para excluir um item definitivamente
+ * @param {Function} props.onEsvaziar - Callback para esvaziar a lixeira
+ */
+export const LixeiraPanel = ({
+  lixeira = [],
+  configuracao,
+  onSalvar,
+  onRestaurar,
+  onExcluir,
+  onEsvaziar,
+}) => {
+  const [diasRetencao, setDiasRetencao] = React.useState(
+    configuracao?.diasRetencao ?? 30
+  );
+
+  /**
+   * Envia o prazo de retenção
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSalvar({ diasRetencao });
+  };
+
+  return (
+    <div className="config-panel">
+      <div className="config-panel-title">🗑️ Lixeira</div>
+
+      <form className="config-panel-form" onSubmit={handleSubmit}>
+        <label>
+          Excluir definitivamente após (dias)
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={diasRetencao}
+            onChange={(e) => setDiasRetencao(e.target.value)}
+            className="input"
+            aria-label="Dias até a exclusão definitiva"
+            style={{ width: "5rem" }}
+          />
+        </label>
+        <button type="submit" className="btn-small">
+          <Save size={14} aria-hidden="true" />
+          Salvar
+        </button>
+        {lixeira.length > 0 && (
+          <button
+            type="button"
+            onClick={onEsvaziar}
+            className="btn-small btn-small-danger"
+          >
+            <Trash2 size={14} aria-hidden="true" />
+            Esvaziar
+          </button>
+        )}
+      </form>
+
+      {lixeira.length === 0 ? (
+        <p className="config-panel-empty">
+          A lixeira está vazia. Registros excluídos e limpezas de dados ficam
+          aqui até serem restaurados
+          {Number(configuracao?.diasRetencao) > 0 &&
+            ` ou completarem ${configuracao.diasRetencao} dias`}
+          .
+        </p>
+      ) : (
+        <ul className="config-panel-list">
+          {lixeira.map((item) => (
+            <li key={item.id} className="config-panel-item">
+              <span>
+                {descreverItem(item)}
+                <span className="tag">
+                  Excluído em {DateUtils.formatarData(new Date(item.excluidoEm))}{" "}
+                  {DateUtils.formatarHora(item.excluidoEm)}
+                </span>
+              </span>
+              <span style={{ display: "flex", gap: "0.5rem" }}>
+                <button
+                  type="button"
+                  onClick={() => onRestaurar(item.id)}
+                  className="btn-small"
+                  title="Restaurar"
+                  aria-label={`Restaurar ${descreverItem(item)}`}
+                >
+                  <RotateCcw size={14} aria-hidden="true" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onExcluir(item.id)}
+                  className="btn-small btn-small-danger"
+                  title="Excluir definitivamente"
+                  aria-label={`Excluir definitivamente ${descreverItem(item)}`}
+                >
+                  <X size={14} aria-hidden="true" />
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,113 @@
+import { Hourglass } from "lucide-react";
+import { CORES, MESES_ABREV } from "../constants/constants";
+import { DateUtils } from "../utils/dateUtils";
+
+/**
+ * Rótulo e cor de cada situação de lote
+ */
+const SITUACOES = {
+  ativo: { rotulo: "Válido", cor: CORES.success },
+  "vence-30": { rotulo: "Vence em até 30 dias", cor: CORES.danger },
+  "vence-60": { rotulo: "Vence em até 60 dias", cor: CORES.warning },
+  vencido: { rotulo: "Vencido", cor: CORES.danger },
+  compensado: { rotulo: "Compensado", cor: "rgba(255,255,255,0.5)" },
+};
+
+/**
+ * Componente LotesBancoHoras - Lista de créditos do banco de horas
+ *
+ * Exibe cada lote mensal de horas extras com o saldo restante após a
+ * compensação FIFO e a data limite para compensar (regra dos 6 meses),
+ * destacando os que vencem nos próximos 30/60 dias.
+ *
+ * @component
+ * @param {Object} props - Propriedades do componente
+ * @param {Object} props.lotesBanco - Resultado de DateUtils.calcularLotesBancoHoras
+ */
+export const LotesBancoHoras = ({ lotesBanco }) => {
+  // Lotes totalmente compensados não precisam de acompanhamento
+  const lotes = (lotesBanco?.lotes || []).filter(
+    (lote) => lote.status !== "compensado"
+  );
+
+  if (lotes.length === 0) return null;
+
+  const celulaStyle = {
+    padding: "0.75rem 1rem",
+    borderBottom: "1px solid rgba(255,255,255,0.05)",
+    fontSize: "0.85rem",
+    color: "rgba(255,255,255,0.85)",
+    textAlign: "left",
+  };
+
+  return (
+    <div className="dashboard-card" style={{ marginBottom: "2rem" }}>
+      <div className="dashboard-header">
+        <h2 style={{ fontSize: "1.25rem" }}>
+          <Hourglass size={18} aria-hidden="true" /> Vencimento do Banco de
+          Horas
+        </h2>
+      </div>
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              {["Origem", "Crédito", "Restante", "Vencimento", "Situação"].map(
+                (titulo) => (
+                  <th
+                    key={titulo}
+                    style={{
+                      ...celulaStyle,
+                      fontSize: "0.7rem",
+                      fontWeight: "700",
+                      textTransform: "uppercase",
+                      letterSpacing: "0.1em",
+                    }}
+                  >
+                    {titulo}
+                  </th>
+                )
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {lotes.map((lote) => {
+              const [ano, mes] = lote.origem.split("-").map(Number);
+              const situacao = SITUACOES[lote.status] || SITUACOES.ativo;
+
+              return (
+                <tr key={lote.origem}>
+                  <td style={celulaStyle}>
+                    {MESES_ABREV[mes - 1]}/{ano}
+                  </td>
+                  <td style={celulaStyle}>
+                    {DateUtils.formatarMinutos(lote.credito)}
+                  </td>
+                  <td style={celulaStyle}>
+                    {DateUtils.formatarMinutos(lote.restante)}
+                  </td>
+                  <td style={celulaStyle}>
+                    {DateUtils.formatarData(lote.vencimento)}
+                    {lote.diasParaVencer >= 0 &&
+                      ` (${lote.diasParaVencer} dias)`}
+                  </td>
+                  <td style={{ ...celulaStyle, color: situacao.cor, fontWeight: "600" }}>
+                    {situacao.rotulo}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {lotesBanco.debitoPendente > 0 && (
+        <p className="config-panel-empty">
+          Débito sem crédito para compensar:{" "}
+          {DateUtils.formatarMinutos(-lotesBanco.debitoPendente)}
+        </p>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,164 @@
+import React from "react";
+import { Save, Pencil, X } from "lucide-react";
+import { RemuneracaoUtils } from "../utils/remuneracaoUtils";
+
+/**
+ * Estado inicial do formulário (novo projeto)
+ */
+const FORMULARIO_VAZIO = {
+  id: "",
+  nome: "",
+  cliente: "",
+  faturavel: true,
+  valorHora: "",
+};
+
+/**
+ * Componente ProjetosPanel - Catálogo de projetos e clientes
+ *
+ * Cadastra os projetos em que as horas de cada dia podem ser alocadas,
+ * com o cliente, a indicação de faturável e o valor cobrado por hora.
+ * Projetos com horas alocadas não podem ser removidos.
+ *
+ * @component
+ * @param {Object} props - Propriedades do componente
+ * @param {Array} props.projetos - Projetos cadastrados (CONFIGURACOES_PADRAO.projetos)
+ * @param {Function} props.onSalvar - Callback (dados) => ID do projeto salvo ou null
+ * @param {Function} props.onRemover - Callback (id) para remover um projeto
+ */
+export const ProjetosPanel = ({ projetos = [], onSalvar, onRemover }) => {
+  const [formulario, setFormulario] = React.useState(FORMULARIO_VAZIO);
+
+  /**
+   * Atualiza um campo do formulário
+   */
+  const handleCampoChange = (campo, valor) =>
+    setFormulario((atual) => ({ ...atual, [campo]: valor }));
+
+  /**
+   * Carrega um projeto no formulário para edição
+   */
+  const editarProjeto = (projeto) =>
+    setFormulario({
+      ...projeto,
+      valorHora: projeto.valorHora > 0 ? String(projeto.valorHora) : "",
+    });
+
+  /**
+   * Envia o formulário e limpa os campos quando o projeto é salvo
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (onSalvar(formulario)) {
+      setFormulario(FORMULARIO_VAZIO);
+    }
+  };
+
+  return (
+    <div className="config-panel">
+      <div className="config-panel-title">💼 Projetos e clientes</div>
+
+      <form className="config-panel-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={formulario.nome}
+          onChange={(e) => handleCampoChange("nome", e.target.value)}
+          className="input"
+          placeholder="Ex: Portal do cliente"
+          aria-label="Nome do projeto"
+          maxLength={40}
+          required
+        />
+        <input
+          type="text"
+          value={formulario.cliente}
+          onChange={(e) => handleCampoChange("cliente", e.target.value)}
+          className="input"
+          placeholder="Cliente (opcional)"
+          aria-label="Cliente do projeto"
+          maxLength={40}
+        />
+        <label>
+          <input
+            type="checkbox"
+            checked={formulario.faturavel}
+            onChange={(e) => handleCampoChange("faturavel", e.target.checked)}
+          />
+          Faturável
+        </label>
+        <label>
+          Valor/hora (R$)
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={formulario.valorHora}
+            onChange={(e) => handleCampoChange("valorHora", e.target.value)}
+            className="input"
+            aria-label="Valor cobrado por hora"
+            disabled={!formulario.faturavel}
+            style={{ width: "6rem" }}
+          />
+        </label>
+        <button type="submit" className="btn-small">
+          <Save size={14} aria-hidden="true" />
+          {formulario.id ? "Salvar alterações" : "Adicionar"}
+        </button>
+        {formulario.id && (
+          <button
+            type="button"
+            onClick={() => setFormulario(FORMULARIO_VAZIO)}
+            className="btn-small"
+          >
+            Cancelar
+          </button>
+        )}
+      </form>
+
+      {projetos.length === 0 ? (
+        <p className="config-panel-empty">
+          Nenhum projeto cadastrado. Cadastre projetos para distribuir as horas
+          de cada dia na tabela de registros.
+        </p>
+      ) : (
+        <ul className="config-panel-list">
+          {projetos.map((projeto) => (
+            <li key={projeto.id} className="config-panel-item">
+              <span>
+                {projeto.nome}
+                {projeto.cliente && ` · ${projeto.cliente}`}
+                <span className="tag">
+                  {projeto.faturavel
+                    ? projeto.valorHora > 0
+                      ? `${RemuneracaoUtils.formatarMoeda(projeto.valorHora)}/h`
+                      : "Faturável"
+                    : "Não faturável"}
+                </span>
+              </span>
+              <span style={{ display: "flex", gap: "0.25rem" }}>
+                <button
+                  type="button"
+                  onClick={() => editarProjeto(projeto)}
+                  className="btn-small"
+                  title="Editar projeto"
+                  aria-label={`Editar projeto ${projeto.nome}`}
+                >
+                  <Pencil size={14} aria-hidden="true" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onRemover(projeto.id)}
+                  className="btn-small btn-small-danger"
+                  title="Remover projeto"
+                  aria-label={`Remover projeto ${projeto.nome}`}
+                >
+                  <X size={14} aria-hidden="true" />
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
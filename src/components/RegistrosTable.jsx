@@ -1,7 +1,191 @@
 import { useState, useEffect } from "react";
-import { Calendar, Trash2, AlertTriangle } from "lucide-react";
-import { JORNADA_PADRAO } from "../constants/constants";
+import { Calendar, Trash2, AlertTriangle, Plus, X, Moon, Tag } from "lucide-react";
 import { DateUtils } from "../utils/dateUtils";
+import { ProjetosUtils } from "../utils/projetosUtils";
+import { TIPOS_REGISTRO } from "../constants/constants";
+
+/**
+ * Editor de tags de um registro
+ *
+ * Mostra as tags atuais com botão de remoção e um campo que inclui novas
+ * tags ao pressionar Enter, digitar vírgula ou sair do campo.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {Array<string>} props.tags - Tags atuais do registro
+ * @param {Function} props.onChange - Callback (tags) com a nova lista
+ * @param {string} props.listaSugestoes - ID do datalist com as tags já usadas
+ * @param {Object} props.inputStyle - Estilo do campo de texto
+ */
+const TagsInput = ({ tags = [], onChange, listaSugestoes, inputStyle }) => {
+  const [texto, setTexto] = useState("");
+
+  /**
+   * Inclui as tags digitadas e limpa o campo
+   */
+  const confirmarTexto = () => {
+    if (!texto.trim()) return;
+    onChange(DateUtils.normalizarTags([...tags, ...texto.split(",")]));
+    setTexto("");
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      confirmarTexto();
+    }
+  };
+
+  return (
+    <div>
+      {tags.map((tag) => (
+        <span key={tag} className="tag" style={{ marginLeft: 0, marginRight: "0.375rem" }}>
+          #{tag}
+          <button
+            type="button"
+            onClick={() => onChange(tags.filter((item) => item !== tag))}
+            style={{
+              marginLeft: "0.25rem",
+              background: "none",
+              border: "none",
+              color: "inherit",
+              cursor: "pointer",
+              padding: 0,
+            }}
+            aria-label={`Remover tag ${tag}`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      <input
+        type="text"
+        value={texto}
+        onChange={(e) => setTexto(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={confirmarTexto}
+        list={listaSugestoes}
+        placeholder="+ tag"
+        aria-label="Adicionar tag"
+        style={{ ...inputStyle, marginTop: tags.length > 0 ? "0.375rem" : 0 }}
+      />
+    </div>
+  );
+};
+
+/**
+ * Editor da divisão das horas de um dia entre projetos
+ *
+ * Cada linha escolhe um projeto do catálogo e as horas dedicadas a ele
+ * (em frações de 15 minutos). Um novo projeto já recebe as horas ainda
+ * não alocadas do dia.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {Array<Object>} props.alocacoes - Alocações atuais ({ projetoId, minutos })
+ * @param {Array<Object>} props.projetos - Catálogo de projetos
+ * @param {number} props.minutosTrabalhados - Minutos trabalhados no dia
+ * @param {Function} props.onChange - Callback (alocacoes) com a nova lista
+ * @param {Object} props.inputStyle - Estilo dos campos
+ * @param {Object} props.buttonStyle - Estilo dos botões
+ */
+const AlocacoesInput = ({
+  alocacoes = [],
+  projetos,
+  minutosTrabalhados,
+  onChange,
+  inputStyle,
+  buttonStyle,
+}) => {
+  const alocado = alocacoes.reduce((soma, alocacao) => soma + (Number(alocacao.minutos) || 0), 0);
+  const restante = minutosTrabalhados - alocado;
+
+  /**
+   * Atualiza um campo de uma alocação
+   */
+  const atualizarAlocacao = (indice, campo, valor) =>
+    onChange(
+      alocacoes.map((alocacao, posicao) =>
+        posicao === indice ? { ...alocacao, [campo]: valor } : alocacao
+      )
+    );
+
+  /**
+   * Inclui um projeto (o primeiro ainda não usado no dia) com as horas restantes
+   */
+  const adicionarAlocacao = () => {
+    const projeto =
+      projetos.find((item) => !alocacoes.some((alocacao) => alocacao.projetoId === item.id)) ||
+      projetos[0];
+    onChange([...alocacoes, { projetoId: projeto.id, minutos: Math.max(restante, 0) }]);
+  };
+
+  return (
+    <div style={{ marginTop: "0.75rem", display: "grid", gap: "0.375rem" }}>
+      {alocacoes.map((alocacao, indice) => (
+        <div key={indice} style={{ display: "flex", gap: "0.375rem", alignItems: "center" }}>
+          <select
+            value={alocacao.projetoId}
+            onChange={(e) => atualizarAlocacao(indice, "projetoId", e.target.value)}
+            aria-label="Projeto"
+            style={{ ...inputStyle, padding: "0.4rem", minWidth: "110px" }}
+          >
+            {!projetos.some((projeto) => projeto.id === alocacao.projetoId) && (
+              <option value={alocacao.projetoId}>Projeto removido</option>
+            )}
+            {projetos.map((projeto) => (
+              <option key={projeto.id} value={projeto.id}>
+                {ProjetosUtils.rotularProjeto(projeto)}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            step="0.25"
+            value={(Number(alocacao.minutos) || 0) / 60}
+            onChange={(e) =>
+              atualizarAlocacao(indice, "minutos", Math.round(Number(e.target.value) * 60) || 0)
+            }
+            aria-label="Horas no projeto"
+            title="Horas no projeto (ex: 1.5 = 1:30h)"
+            style={{ ...inputStyle, padding: "0.4rem", width: "4.5rem", minWidth: 0 }}
+          />
+          <button
+            type="button"
+            onClick={() => onChange(alocacoes.filter((_, posicao) => posicao !== indice))}
+            style={buttonStyle}
+            title="Remover projeto do dia"
+            aria-label="Remover projeto do dia"
+          >
+            <X size={12} />
+          </button>
+        </div>
+      ))}
+      <div style={{ display: "flex", gap: "0.5rem", alignItems: "center", flexWrap: "wrap" }}>
+        <button
+          type="button"
+          onClick={adicionarAlocacao}
+          style={buttonStyle}
+          title="Alocar horas do dia em um projeto"
+        >
+          <Plus size={12} />
+          Projeto
+        </button>
+        {alocacoes.length > 0 && restante !== 0 && (
+          <span
+            style={{
+              fontSize: "0.75rem",
+              color: restante < 0 ? "#fbbf24" : "rgba(255,255,255,0.6)",
+            }}
+          >
+            {restante < 0
+              ? `⚠️ ${DateUtils.formatarMinutos(-restante).replace("+", "")} acima do trabalhado`
+              : `Sem projeto: ${DateUtils.formatarMinutos(restante).replace("+", "")}`}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
 
 /**
  * Componente RegistrosTable - Tabela interativa de registros de trabalho
@@ -9,10 +193,19 @@ import { DateUtils } from "../utils/dateUtils";
  * Funcionalidades principais:
  * - Exibição em formato tabela responsivo
  * - Validação em tempo real de horários
- * - Edição inline de dados (data, entrada, saída)
+ * - Edição inline de dados (data e múltiplos pares entrada/saída por dia)
  * - Cálculo automático de horas trabalhadas e diferenças
  * - Indicadores visuais para resultados (extras/débito)
  * - Alertas para horários inválidos
+ * - Alertas de descanso entre jornadas (interjornada) inferior a 11 horas
+ * - Alertas de intervalo intrajornada abaixo do mínimo (com intervalo pré-assinalado para par único)
+ * - Destaque de dias e semanas ISO acima dos limites de horas extras/semanais
+ * - Indicação de turnos que terminam no dia seguinte
+ * - Destaque de feriados e de trabalho realizado em feriados
+ * - Indicação das folgas previstas pela escala (inclusive escalas cíclicas)
+ * - Tipo do dia (trabalhado ou ausência: férias, atestado, faltas...)
+ * - Observações e tags por registro, com filtro por tag
+ * - Divisão das horas trabalhadas entre projetos/clientes
  *
  * @component
  * @param {Object} props - Propriedades do componente
@@ -20,14 +213,74 @@ import { DateUtils } from "../utils/dateUtils";
  * @param {Function} props.onAtualizarRegistro - Callback para atualizar registro
  * @param {Function} props.onRemoverRegistro - Callback para remover registro
  * @param {Function} props.onHandleTimeChange - Callback específico para mudanças de horário
+ * @param {Function} props.onAdicionarIntervalo - Callback para incluir um par de marcação
+ * @param {Function} props.onRemoverIntervalo - Callback para remover um par de marcação
+ * @param {string} props.escalaAtual - ID da escala de trabalho (define a meta diária)
+ * @param {Array} props.violacoesInterjornada - Violações de DateUtils.verificarInterjornada
+ * @param {Object} props.limitesJornada - Dias e semanas acima do limite (DateUtils.verificarLimitesJornada)
+ * @param {Function} props.onResolverDuplicado - Callback (data) que abre o diálogo para combinar ou descartar registros da mesma data
+ * @param {Array<string>} props.tagsDisponiveis - Tags já usadas (sugestões do editor de tags)
+ * @param {Array} props.projetos - Catálogo de projetos para alocar as horas do dia
  */
 export const RegistrosTable = ({
   registrosMes,
   onAtualizarRegistro,
   onRemoverRegistro,
   onHandleTimeChange,
+  onAdicionarIntervalo,
+  onRemoverIntervalo,
+  escalaAtual,
+  violacoesInterjornada = [],
+  limitesJornada = { dias: [], semanas: [] },
+  onResolverDuplicado,
+  tagsDisponiveis = [],
+  projetos = [],
 }) => {
   const [alertas, setAlertas] = useState({});
+  // Tag selecionada no filtro ("" = todos os registros)
+  const [tagFiltro, setTagFiltro] = useState("");
+
+  /**
+   * Tags usadas no período e registros visíveis pelo filtro
+   */
+  const tagsDoMes = DateUtils.obterTags(registrosMes);
+  // Tags são comparadas sem diferenciar maiúsculas, como no resumo por tag
+  const mesmaTag = (tag) => tag.toLowerCase() === tagFiltro.toLowerCase();
+  const filtroAtivo = tagFiltro && tagsDoMes.some(mesmaTag);
+  const registrosVisiveis = filtroAtivo
+    ? registrosMes.filter((registro) => (registro.tags || []).some(mesmaTag))
+    : registrosMes;
+
+  /**
+   * Violações de interjornada indexadas pelo registro que começou cedo demais
+   */
+  const alertasInterjornada = Object.fromEntries(
+    violacoesInterjornada.map((violacao) => [violacao.registroId, violacao])
+  );
+
+  /**
+   * Dias acima do limite de extras e semanas acima do limite semanal
+   * (a semana é indicada no último registro dela)
+   */
+  const diasExcedidos = Object.fromEntries(
+    limitesJornada.dias.map((dia) => [dia.registroId, dia])
+  );
+  const semanasExcedidas = Object.fromEntries(
+    limitesJornada.semanas.map((semana) => [
+      semana.registroIds[semana.registroIds.length - 1],
+      semana,
+    ])
+  );
+
+  /**
+   * Quantidade de registros por data repetida (integridade dos dados)
+   */
+  const duplicados = Object.fromEntries(
+    DateUtils.encontrarDuplicados(registrosMes).map((grupo) => [
+      grupo.data,
+      grupo.registros.length,
+    ])
+  );
 
   /**
    * Valida horários em tempo real sempre que registros mudam
@@ -36,18 +289,13 @@ export const RegistrosTable = ({
   useEffect(() => {
     const novosAlertas = {};
     registrosMes.forEach((registro) => {
-      if (registro.entrada && registro.saida) {
-        const validacao = DateUtils.validarHorarios(
-          registro.entrada,
-          registro.saida
-        );
-        if (!validacao.valido) {
-          novosAlertas[registro.id] = validacao.mensagem;
-        }
+      const validacao = DateUtils.validarRegistro(registro, escalaAtual);
+      if (!validacao.valido) {
+        novosAlertas[registro.id] = validacao.mensagem;
       }
     });
     setAlertas(novosAlertas);
-  }, [registrosMes]);
+  }, [registrosMes, escalaAtual]);
 
   // Estilos do componente
   const tableStyle = {
@@ -71,6 +319,25 @@ export const RegistrosTable = ({
     minWidth: "120px",
   };
 
+  const intervalButtonStyle = {
+    background: "rgba(255,255,255,0.08)",
+    color: "rgba(255,255,255,0.8)",
+    border: "1px solid rgba(255,255,255,0.2)",
+    borderRadius: "0.5rem",
+    padding: "0.4rem 0.6rem",
+    cursor: "pointer",
+    display: "inline-flex",
+    alignItems: "center",
+    gap: "0.25rem",
+    fontSize: "0.75rem",
+  };
+
+  /**
+   * Converte timestamp ISO para o valor aceito pelo input time (HH:MM)
+   */
+  const valorInputHorario = (valor) =>
+    valor ? DateUtils.formatarHora(valor).substring(0, 5) : "";
+
   /**
    * Estilos para badges de status baseados no tipo
    */
@@ -134,12 +401,55 @@ export const RegistrosTable = ({
 
   return (
     <div style={tableStyle}>
+      {/* Filtro por tag */}
+      {tagsDoMes.length > 0 && (
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "0.75rem",
+            padding: "1rem 1.5rem",
+            color: "rgba(255,255,255,0.8)",
+            fontSize: "0.85rem",
+          }}
+        >
+          <Tag size={16} aria-hidden="true" />
+          <select
+            value={filtroAtivo ? tagFiltro : ""}
+            onChange={(e) => setTagFiltro(e.target.value)}
+            style={{ ...inputStyle, width: "auto", padding: "0.5rem" }}
+            aria-label="Filtrar registros por tag"
+          >
+            <option value="" style={{ background: "#1e293b" }}>
+              Todas as tags
+            </option>
+            {tagsDoMes.map((tag) => (
+              <option key={tag} value={tag} style={{ background: "#1e293b" }}>
+                #{tag}
+              </option>
+            ))}
+          </select>
+          {filtroAtivo && (
+            <span>
+              {registrosVisiveis.length} de {registrosMes.length} registros
+            </span>
+          )}
+        </div>
+      )}
+
+      {/* Sugestões do editor de tags */}
+      <datalist id="tags-registros">
+        {tagsDisponiveis.map((tag) => (
+          <option key={tag} value={tag} />
+        ))}
+      </datalist>
+
       <div style={{ overflowX: "auto" }}>
         <table
           style={{
             width: "100%",
             borderCollapse: "collapse",
-            minWidth: "768px",
+            minWidth: "900px",
           }}
         >
           {/* Cabeçalho da tabela */}
@@ -147,10 +457,11 @@ export const RegistrosTable = ({
             <tr style={{ background: "rgba(255,255,255,0.1)" }}>
               {[
                 "Data",
-                "Entrada",
-                "Saída",
+                "Marcações",
                 "Horas Trabalhadas",
+                "Noturno",
                 "Resultado",
+                "Notas",
                 "Ações",
               ].map((header) => (
                 <th
@@ -174,21 +485,20 @@ export const RegistrosTable = ({
 
           {/* Corpo da tabela */}
           <tbody>
-            {registrosMes.map((registro) => {
+            {registrosVisiveis.map((registro) => {
               // Cálculos para cada linha
-              const horasTrabalhadas = DateUtils.calcularHorasTrabalhadas(
-                registro.entrada,
-                registro.saida
-              );
-              let diferenca = 0;
-              let mostrarResultado = false;
-
-              if (horasTrabalhadas > 0) {
-                diferenca = horasTrabalhadas - JORNADA_PADRAO;
-                mostrarResultado = true;
-              }
+              const intervalos = DateUtils.obterIntervalos(registro);
+              const { horasTrabalhadas, diferenca, diferencaBruta, feriado, tipo, noturno, intrajornada } =
+                DateUtils.calcularResultadoDia(registro, escalaAtual);
+              const ehAusencia = tipo.efeito !== "trabalho";
+              const mostrarResultado = horasTrabalhadas > 0 || diferenca !== 0;
 
               const hasAlert = alertas[registro.id];
+              const interjornada = alertasInterjornada[registro.id];
+              const diaExcedido = diasExcedidos[registro.id];
+              const semanaExcedida = semanasExcedidas[registro.id];
+              const folgaEscala = !feriado && DateUtils.ehFolgaEscala(registro.data, escalaAtual);
+              const duplicado = duplicados[registro.data];
 
               return (
                 <tr
@@ -196,6 +506,8 @@ export const RegistrosTable = ({
                   style={{
                     background: hasAlert
                       ? "rgba(239,68,68,0.1)"
+                      : duplicado || interjornada || diaExcedido || semanaExcedida
+                      ? "rgba(245,158,11,0.08)"
                       : "transparent",
                     transition: "background 0.3s ease",
                   }}
@@ -230,6 +542,76 @@ export const RegistrosTable = ({
                         <AlertTriangle size={16} style={{ color: "#f87171" }} />
                       )}
                     </div>
+                    {/* Tipo do dia */}
+                    <select
+                      value={tipo.id}
+                      onChange={(e) =>
+                        onAtualizarRegistro(registro.id, "tipo", e.target.value)
+                      }
+                      style={{ ...inputStyle, marginTop: "0.5rem" }}
+                      aria-label="Tipo do dia"
+                    >
+                      {TIPOS_REGISTRO.map((opcao) => (
+                        <option
+                          key={opcao.id}
+                          value={opcao.id}
+                          style={{ background: "#1e293b" }}
+                        >
+                          {opcao.nome}
+                        </option>
+                      ))}
+                    </select>
+                    {/* Indicação de feriado */}
+                    {feriado && (
+                      <div
+                        style={{
+                          fontSize: "0.7rem",
+                          color: "#fcd34d",
+                          marginTop: "0.25rem",
+                        }}
+                        title={
+                          feriado.meioPeriodo
+                            ? "Feriado de meio período: meta reduzida à metade"
+                            : horasTrabalhadas > 0
+                              ? "Trabalho em feriado: todas as horas contam como extras"
+                              : "Feriado"
+                        }
+                      >
+                        🎉 {feriado.nome}
+                        {feriado.meioPeriodo && " (meio período)"}
+                        {!feriado.meioPeriodo && horasTrabalhadas > 0 && " · trabalho em feriado"}
+                      </div>
+                    )}
+                    {/* Folga prevista pela escala (dia da semana ou ciclo) */}
+                    {folgaEscala && (
+                      <div
+                        style={{
+                          fontSize: "0.7rem",
+                          color: "rgba(255,255,255,0.6)",
+                          marginTop: "0.25rem",
+                        }}
+                        title="Dia de descanso previsto pela escala: as horas trabalhadas contam como extras"
+                      >
+                        💤 Folga da escala
+                        {horasTrabalhadas > 0 && " · trabalho na folga"}
+                      </div>
+                    )}
+                    {/* Outro registro na mesma data */}
+                    {duplicado && (
+                      <button
+                        type="button"
+                        onClick={() => onResolverDuplicado(registro.data)}
+                        className="btn-small"
+                        style={{
+                          fontSize: "0.7rem",
+                          color: "#fbbf24",
+                          marginTop: "0.25rem",
+                        }}
+                        title="Combinar as marcações ou manter apenas um dos registros"
+                      >
+                        ⚠️ Data duplicada ({duplicado} registros) · resolver
+                      </button>
+                    )}
                     {/* Mensagem de alerta */}
                     {hasAlert && (
                       <div
@@ -242,72 +624,265 @@ export const RegistrosTable = ({
                         {hasAlert}
                       </div>
                     )}
+                    {/* Descanso insuficiente desde a jornada anterior */}
+                    {interjornada && (
+                      <div
+                        style={{
+                          fontSize: "0.7rem",
+                          color: "#fbbf24",
+                          marginTop: "0.25rem",
+                        }}
+                        title="Descanso mínimo de 11 horas entre jornadas (CLT art. 66)"
+                      >
+                        😴 Interjornada de{" "}
+                        {DateUtils.formatarMinutos(Math.max(interjornada.descanso, 0)).replace("+", "")}{" "}
+                        desde a saída de{" "}
+                        {DateUtils.formatarData(interjornada.dataAnterior).substring(0, 5)} às{" "}
+                        {DateUtils.formatarHora(interjornada.saidaAnterior).substring(0, 5)}
+                      </div>
+                    )}
+                    {/* Limites de jornada excedidos */}
+                    {diaExcedido && (
+                      <div
+                        style={{
+                          fontSize: "0.7rem",
+                          color: "#fbbf24",
+                          marginTop: "0.25rem",
+                        }}
+                        title="Limite de horas extras por dia (CLT art. 59)"
+                      >
+                        ⏫ {DateUtils.formatarMinutos(diaExcedido.extras)} de extras
+                        (limite {DateUtils.formatarMinutos(diaExcedido.limite).replace("+", "")}/dia)
+                      </div>
+                    )}
+                    {semanaExcedida && (
+                      <div
+                        style={{
+                          fontSize: "0.7rem",
+                          color: "#fbbf24",
+                          marginTop: "0.25rem",
+                        }}
+                        title={`Semana de ${DateUtils.formatarData(semanaExcedida.inicio)} a ${DateUtils.formatarData(semanaExcedida.fim)}`}
+                      >
+                        📆 Semana {semanaExcedida.id.split("-W")[1]}:{" "}
+                        {DateUtils.formatarMinutos(semanaExcedida.minutos).replace("+", "")}{" "}
+                        (limite {semanaExcedida.limite / 60}h, escala{" "}
+                        {semanaExcedida.cargaEscala / 60}h)
+                      </div>
+                    )}
                   </td>
 
-                  {/* Coluna Entrada */}
+                  {/* Coluna Marcações (pares entrada/saída) */}
                   <td
                     style={{
                       padding: "1.5rem",
                       borderBottom: "1px solid rgba(255,255,255,0.05)",
                     }}
                   >
-                    <input
-                      type="time"
-                      value={
-                        registro.entrada
-                          ? DateUtils.formatarHora(registro.entrada).substring(
-                              0,
-                              5
-                            )
-                          : ""
-                      }
-                      onChange={(e) =>
-                        onHandleTimeChange(
-                          registro.id,
-                          "entrada",
-                          e.target.value
-                        )
-                      }
-                      style={inputStyle}
-                    />
+                    {ehAusencia ? (
+                      <span
+                        style={{
+                          fontSize: "0.85rem",
+                          color: "rgba(255,255,255,0.6)",
+                          fontStyle: "italic",
+                        }}
+                      >
+                        {tipo.efeito === "abono"
+                          ? `${tipo.nome}: jornada abonada`
+                          : `${tipo.nome}: jornada descontada`}
+                      </span>
+                    ) : (
+                      <div
+                        style={{
+                          display: "flex",
+                          flexDirection: "column",
+                          gap: "0.5rem",
+                        }}
+                      >
+                        {intervalos.map((intervalo, indice) => (
+                          <div
+                            key={indice}
+                            style={{
+                              display: "flex",
+                              alignItems: "center",
+                              gap: "0.5rem",
+                            }}
+                          >
+                            <input
+                              type="time"
+                              value={valorInputHorario(intervalo.entrada)}
+                              onChange={(e) =>
+                                onHandleTimeChange(
+                                  registro.id,
+                                  "entrada",
+                                  e.target.value,
+                                  indice
+                                )
+                              }
+                              style={inputStyle}
+                              aria-label={`Entrada do intervalo ${indice + 1}`}
+                            />
+                            <span style={{ color: "rgba(255,255,255,0.6)" }}>
+                              –
+                            </span>
+                            <input
+                              type="time"
+                              value={valorInputHorario(intervalo.saida)}
+                              onChange={(e) =>
+                                onHandleTimeChange(
+                                  registro.id,
+                                  "saida",
+                                  e.target.value,
+                                  indice
+                                )
+                              }
+                              style={inputStyle}
+                              aria-label={`Saída do intervalo ${indice + 1}`}
+                            />
+                            {intervalos.length > 1 && (
+                              <button
+                                onClick={() =>
+                                  onRemoverIntervalo(registro.id, indice)
+                                }
+                                style={intervalButtonStyle}
+                                title="Remover intervalo"
+                              >
+                                <X size={14} />
+                              </button>
+                            )}
+                          </div>
+                        ))}
+                        {DateUtils.terminaNoDiaSeguinte(registro) && (
+                          <div
+                            style={{
+                              display: "flex",
+                              alignItems: "center",
+                              gap: "0.25rem",
+                              fontSize: "0.7rem",
+                              color: "#c4b5fd",
+                            }}
+                            title="A saída foi registrada no dia seguinte à data do registro"
+                          >
+                            <Moon size={12} />
+                            Termina no dia seguinte
+                          </div>
+                        )}
+                        <div
+                          style={{
+                            display: "flex",
+                            alignItems: "center",
+                            gap: "0.5rem",
+                            flexWrap: "wrap",
+                          }}
+                        >
+                          <button
+                            onClick={() => onAdicionarIntervalo(registro.id)}
+                            style={intervalButtonStyle}
+                            title="Adicionar intervalo (ex: retorno do almoço)"
+                          >
+                            <Plus size={14} />
+                            Intervalo
+                          </button>
+                          {/* Almoço não batido: intervalo informado manualmente */}
+                          {intervalos.length === 1 && (
+                            <label
+                              style={{
+                                display: "inline-flex",
+                                alignItems: "center",
+                                gap: "0.25rem",
+                                fontSize: "0.75rem",
+                                color: "rgba(255,255,255,0.7)",
+                              }}
+                              title="Intervalo não registrado no ponto, descontado das horas trabalhadas"
+                            >
+                              Pré-assinalado
+                              <input
+                                type="number"
+                                min="0"
+                                step="5"
+                                value={registro.intervaloPreAssinalado ?? ""}
+                                onChange={(e) =>
+                                  onAtualizarRegistro(
+                                    registro.id,
+                                    "intervaloPreAssinalado",
+                                    e.target.value === ""
+                                      ? undefined
+                                      : Math.max(parseInt(e.target.value, 10) || 0, 0)
+                                  )
+                                }
+                                style={{
+                                  ...inputStyle,
+                                  width: "4.5rem",
+                                  minWidth: "4.5rem",
+                                  padding: "0.4rem",
+                                }}
+                                aria-label="Intervalo pré-assinalado em minutos"
+                              />
+                              min
+                            </label>
+                          )}
+                        </div>
+                        {/* Intervalo abaixo do mínimo legal */}
+                        {intrajornada?.indenizacao > 0 && (
+                          <div
+                            style={{ fontSize: "0.7rem", color: "#fbbf24" }}
+                            title="CLT art. 71: o tempo suprimido do intervalo mínimo é devido como indenização"
+                          >
+                            🍽️ Intervalo de {intrajornada.intervalo}min para{" "}
+                            {DateUtils.formatarMinutos(intrajornada.jornada).replace("+", "")}{" "}
+                            de jornada (mínimo {intrajornada.minimo}min) ·{" "}
+                            {intrajornada.indenizacao}min a indenizar
+                          </div>
+                        )}
+                      </div>
+                    )}
                   </td>
 
-                  {/* Coluna Saída */}
+                  {/* Coluna Horas Trabalhadas */}
                   <td
                     style={{
                       padding: "1.5rem",
                       borderBottom: "1px solid rgba(255,255,255,0.05)",
                     }}
                   >
-                    <input
-                      type="time"
-                      value={
-                        registro.saida
-                          ? DateUtils.formatarHora(registro.saida).substring(
-                              0,
-                              5
-                            )
-                          : ""
-                      }
-                      onChange={(e) =>
-                        onHandleTimeChange(registro.id, "saida", e.target.value)
-                      }
-                      style={inputStyle}
-                    />
+                    <span style={badgeStyle("blue")}>
+                      {horasTrabalhadas > 0
+                        ? DateUtils.formatarMinutos(horasTrabalhadas)
+                        : "0:00h"}
+                    </span>
+                    {/* Divisão das horas entre projetos (com catálogo cadastrado) */}
+                    {projetos.length > 0 && horasTrabalhadas > 0 && (
+                      <AlocacoesInput
+                        alocacoes={registro.alocacoes}
+                        projetos={projetos}
+                        minutosTrabalhados={horasTrabalhadas}
+                        onChange={(alocacoes) =>
+                          onAtualizarRegistro(registro.id, "alocacoes", alocacoes)
+                        }
+                        inputStyle={inputStyle}
+                        buttonStyle={intervalButtonStyle}
+                      />
+                    )}
                   </td>
 
-                  {/* Coluna Horas Trabalhadas */}
+                  {/* Coluna Noturno (22:00–05:00, real → hora reduzida) */}
                   <td
                     style={{
                       padding: "1.5rem",
                       borderBottom: "1px solid rgba(255,255,255,0.05)",
                     }}
                   >
-                    <span style={badgeStyle("blue")}>
-                      {horasTrabalhadas > 0
-                        ? DateUtils.formatarMinutos(horasTrabalhadas)
-                        : "0:00h"}
-                    </span>
+                    {noturno.minutos > 0 ? (
+                      <span
+                        style={badgeStyle("blue")}
+                        title="Horas reais → equivalente em hora noturna reduzida (52m30s)"
+                      >
+                        {DateUtils.formatarMinutos(noturno.minutos)} →{" "}
+                        {DateUtils.formatarMinutos(noturno.minutosReduzidos)}
+                      </span>
+                    ) : (
+                      <span style={{ color: "rgba(255,255,255,0.4)" }}>—</span>
+                    )}
                   </td>
 
                   {/* Coluna Resultado (Extras/Débito) */}
@@ -317,7 +892,9 @@ export const RegistrosTable = ({
                       borderBottom: "1px solid rgba(255,255,255,0.05)",
                     }}
                   >
-                    {mostrarResultado ? (
+                    {tipo.efeito === "abono" ? (
+                      <span style={badgeStyle("blue")}>Abonado</span>
+                    ) : mostrarResultado ? (
                       <span
                         style={badgeStyle(
                           diferenca > 0
@@ -332,6 +909,47 @@ export const RegistrosTable = ({
                     ) : (
                       <span style={badgeStyle("gray")}>0:00h</span>
                     )}
+                    {/* Diferença bruta quando a tolerância alterou o resultado */}
+                    {diferencaBruta !== diferenca && (
+                      <div
+                        style={{
+                          fontSize: "0.75rem",
+                          color: "rgba(255,255,255,0.6)",
+                          marginTop: "0.5rem",
+                        }}
+                        title="Diferença sem a tolerância das marcações (CLT art. 58 §1º)"
+                      >
+                        Bruta: {DateUtils.formatarMinutos(diferencaBruta)} ·
+                        tolerância
+                      </div>
+                    )}
+                  </td>
+
+                  {/* Coluna Notas: observação livre e tags */}
+                  <td
+                    style={{
+                      padding: "1.5rem",
+                      borderBottom: "1px solid rgba(255,255,255,0.05)",
+                      minWidth: "180px",
+                    }}
+                  >
+                    <input
+                      type="text"
+                      value={registro.observacao || ""}
+                      onChange={(e) =>
+                        onAtualizarRegistro(registro.id, "observacao", e.target.value)
+                      }
+                      placeholder="Observação"
+                      aria-label="Observação do dia"
+                      maxLength={200}
+                      style={{ ...inputStyle, marginBottom: "0.5rem" }}
+                    />
+                    <TagsInput
+                      tags={registro.tags}
+                      onChange={(tags) => onAtualizarRegistro(registro.id, "tags", tags)}
+                      listaSugestoes="tags-registros"
+                      inputStyle={inputStyle}
+                    />
                   </td>
 
                   {/* Coluna Ações */}
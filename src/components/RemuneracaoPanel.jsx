@@ -0,0 +1,119 @@
+import React from "react";
+import { Save } from "lucide-react";
+import { RemuneracaoUtils } from "../utils/remuneracaoUtils";
+
+/**
+ * Divisores mensais mais comuns (44h, 40h, 36h e 30h semanais)
+ */
+const DIVISORES_SUGERIDOS = [220, 200, 180, 150];
+
+/**
+ * Componente RemuneracaoPanel - Perfil de remuneração das horas extras
+ *
+ * Coleta salário, divisor mensal e os adicionais aplicados às extras
+ * em dias comuns e em domingos/feriados.
+ *
+ * @component
+ * @param {Object} props - Propriedades do componente
+ * @param {Object} props.remuneracao - Perfil atual (CONFIGURACOES_PADRAO.remuneracao)
+ * @param {Function} props.onSalvar - Callback (dados) => boolean
+ */
+export const RemuneracaoPanel = ({ remuneracao, onSalvar }) => {
+  const [formulario, setFormulario] = React.useState({ ...remuneracao });
+
+  /**
+   * Atualiza um campo do formulário
+   */
+  const handleCampoChange = (campo, valor) =>
+    setFormulario((atual) => ({ ...atual, [campo]: valor }));
+
+  /**
+   * Envia o formulário
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSalvar(formulario);
+  };
+
+  const valorHora = RemuneracaoUtils.calcularValorHora({
+    salario: Number(String(formulario.salario).replace(",", ".")),
+    divisor: Number(formulario.divisor),
+  });
+
+  return (
+    <div className="config-panel">
+      <div className="config-panel-title">💰 Remuneração</div>
+
+      <form className="config-panel-form" onSubmit={handleSubmit}>
+        <label>
+          Salário (R$)
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={formulario.salario}
+            onChange={(e) => handleCampoChange("salario", e.target.value)}
+            className="input"
+            aria-label="Salário mensal"
+          />
+        </label>
+        <label>
+          Divisor
+          <input
+            type="number"
+            min="1"
+            list="divisores-sugeridos"
+            value={formulario.divisor}
+            onChange={(e) => handleCampoChange("divisor", e.target.value)}
+            className="input"
+            aria-label="Divisor mensal de horas"
+            style={{ width: "6rem" }}
+          />
+          <datalist id="divisores-sugeridos">
+            {DIVISORES_SUGERIDOS.map((divisor) => (
+              <option key={divisor} value={divisor} />
+            ))}
+          </datalist>
+        </label>
+        <label>
+          Extras dias comuns (%)
+          <input
+            type="number"
+            min="0"
+            value={formulario.adicionalDiasUteis}
+            onChange={(e) =>
+              handleCampoChange("adicionalDiasUteis", e.target.value)
+            }
+            className="input"
+            aria-label="Adicional das horas extras em dias comuns"
+            style={{ width: "5rem" }}
+          />
+        </label>
+        <label>
+          Domingos/feriados (%)
+          <input
+            type="number"
+            min="0"
+            value={formulario.adicionalDomingosFeriados}
+            onChange={(e) =>
+              handleCampoChange("adicionalDomingosFeriados", e.target.value)
+            }
+            className="input"
+            aria-label="Adicional das horas extras em domingos e feriados"
+            style={{ width: "5rem" }}
+          />
+        </label>
+        <button type="submit" className="btn-small">
+          <Save size={14} aria-hidden="true" />
+          Salvar
+        </button>
+      </form>
+
+      <p className="config-panel-empty">
+        {valorHora > 0
+          ? `Hora normal: ${RemuneracaoUtils.formatarMoeda(valorHora)}`
+          : "Informe o salário para calcular o valor das horas extras."}
+      </p>
+    </div>
+  );
+};
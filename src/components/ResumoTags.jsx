@@ -0,0 +1,132 @@
+import React from "react";
+import { Tags } from "lucide-react";
+import { CORES } from "../constants/constants";
+import { DateUtils } from "../utils/dateUtils";
+
+/**
+ * Componente ResumoTags - Horas e extras agrupadas por tag
+ *
+ * Totaliza os dias marcados com cada tag (ex: "deploy noturno", "visita
+ * cliente") e, ao filtrar uma tag, lista os dias correspondentes com a
+ * observação e o resultado de cada um.
+ *
+ * @component
+ * @param {Object} props - Propriedades do componente
+ * @param {Array} props.registrosMes - Registros do período atual
+ * @param {string} props.escalaAtual - ID da escala de trabalho
+ */
+export const ResumoTags = ({ registrosMes, escalaAtual }) => {
+  // Tag selecionada no filtro ("" = resumo de todas)
+  const [tagFiltro, setTagFiltro] = React.useState("");
+
+  const totais = React.useMemo(
+    () => DateUtils.calcularResumoPorTag(registrosMes, escalaAtual),
+    [registrosMes, escalaAtual]
+  );
+
+  if (totais.length === 0) return null;
+
+  const totaisVisiveis = totais.filter(
+    (total) => !tagFiltro || total.tag === tagFiltro
+  );
+  const diasFiltrados = tagFiltro
+    ? registrosMes.filter((registro) =>
+        (registro.tags || []).includes(tagFiltro)
+      )
+    : [];
+
+  const celulaStyle = {
+    padding: "0.75rem 1rem",
+    borderBottom: "1px solid rgba(255,255,255,0.05)",
+    fontSize: "0.85rem",
+    color: "rgba(255,255,255,0.85)",
+    textAlign: "left",
+  };
+
+  const cabecalhoStyle = {
+    ...celulaStyle,
+    fontSize: "0.7rem",
+    fontWeight: "700",
+    textTransform: "uppercase",
+    letterSpacing: "0.1em",
+  };
+
+  return (
+    <div className="dashboard-card" style={{ marginBottom: "2rem" }}>
+      <div className="dashboard-header">
+        <h2 style={{ fontSize: "1.25rem" }}>
+          <Tags size={18} aria-hidden="true" /> Horas por Tag
+        </h2>
+        <select
+          value={tagFiltro}
+          onChange={(e) => setTagFiltro(e.target.value)}
+          className="select"
+          aria-label="Filtrar resumo por tag"
+        >
+          <option value="">Todas as tags</option>
+          {totais.map((total) => (
+            <option key={total.tag} value={total.tag}>
+              #{total.tag}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              {["Tag", "Dias", "Trabalhadas", "Extras", "Débito"].map((titulo) => (
+                <th key={titulo} style={cabecalhoStyle}>
+                  {titulo}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {totaisVisiveis.map((total) => (
+              <tr key={total.tag}>
+                <td style={celulaStyle}>#{total.tag}</td>
+                <td style={celulaStyle}>{total.dias}</td>
+                <td style={celulaStyle}>
+                  {DateUtils.formatarMinutos(total.horasTrabalhadas).replace("+", "")}
+                </td>
+                <td style={{ ...celulaStyle, color: CORES.success, fontWeight: "600" }}>
+                  {DateUtils.formatarMinutos(total.extras)}
+                </td>
+                <td style={{ ...celulaStyle, color: CORES.danger }}>
+                  {total.debito > 0 ? DateUtils.formatarMinutos(-total.debito) : "-"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Dias da tag selecionada */}
+      {diasFiltrados.length > 0 && (
+        <ul className="config-panel-list" style={{ marginTop: "1rem" }}>
+          {diasFiltrados.map((registro) => {
+            const { diferenca } = DateUtils.calcularResultadoDia(
+              registro,
+              escalaAtual
+            );
+            const corDiferenca =
+              diferenca > 0 ? CORES.success : diferenca < 0 ? CORES.danger : undefined;
+            return (
+              <li key={registro.id} className="config-panel-item">
+                <span>
+                  {DateUtils.formatarData(registro.data)}
+                  {registro.observacao && ` · ${registro.observacao}`}
+                </span>
+                <span style={{ color: corDiferenca }}>
+                  {DateUtils.formatarMinutos(diferenca)}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
@@ -7,6 +7,8 @@ import {
   Clock,
   Clock4,
   Clock8,
+  PiggyBank,
+  Wallet,
 } from "lucide-react";
 
 /**
@@ -24,7 +26,7 @@ import {
  * @param {string} props.title - Título principal (ex: "Horas Extras")
  * @param {string} props.value - Valor a exibir (ex: "+2:30h", "156:30h")
  * @param {string} props.type - Tipo para cores: "positive", "negative", "neutral"
- * @param {string} [props.icon] - Ícone específico: "calendar", "chart", "trend-up", "trend-down", "activity"
+ * @param {string} [props.icon] - Ícone específico: "calendar", "chart", "trend-up", "trend-down", "activity", "bank", "money"
  * @param {string} [props.subtitle] - Informação adicional opcional
  *
  */
@@ -39,6 +41,8 @@ export const SummaryCard = ({ title, value, type, icon, subtitle }) => {
     if (icon === "trend-up") return <TrendingUp size={30} />;
     if (icon === "trend-down") return <TrendingDown size={30} />;
     if (icon === "activity") return <Activity size={30} />;
+    if (icon === "bank") return <PiggyBank size={30} />;
+    if (icon === "money") return <Wallet size={30} />;
 
     // Fallback baseado no tipo
     switch (type) {
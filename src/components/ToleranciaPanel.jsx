@@ -0,0 +1,93 @@
+import React from "react";
+import { Save } from "lucide-react";
+
+/**
+ * Componente ToleranciaPanel - Tolerância de variação das marcações
+ *
+ * Configura a regra do art. 58 §1º da CLT: pequenas variações em cada
+ * batida (ex: entrada às 08:03) não geram extra nem débito, até o limite
+ * diário. Como os horários previstos de cada batida não são conhecidos, a
+ * variação líquida do dia é comparada ao limite (simplificação explicada
+ * no painel).
+ *
+ * @component
+ * @param {Object} props - Propriedades do componente
+ * @param {Object} props.tolerancia - Política atual (CONFIGURACOES_PADRAO.tolerancia)
+ * @param {Function} props.onSalvar - Callback (dados) => boolean
+ */
+export const ToleranciaPanel = ({ tolerancia, onSalvar }) => {
+  const [formulario, setFormulario] = React.useState({ ...tolerancia });
+
+  /**
+   * Atualiza um campo do formulário
+   */
+  const handleCampoChange = (campo, valor) =>
+    setFormulario((atual) => ({ ...atual, [campo]: valor }));
+
+  /**
+   * Envia o formulário
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSalvar(formulario);
+  };
+
+  return (
+    <div className="config-panel">
+      <div className="config-panel-title">⏱️ Tolerância das marcações</div>
+
+      <form className="config-panel-form" onSubmit={handleSubmit}>
+        <label>
+          <input
+            type="checkbox"
+            checked={formulario.ativa}
+            onChange={(e) => handleCampoChange("ativa", e.target.checked)}
+          />
+          Aplicar tolerância
+        </label>
+        <label>
+          Por marcação (min)
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={formulario.minutosPorMarcacao}
+            onChange={(e) =>
+              handleCampoChange("minutosPorMarcacao", e.target.value)
+            }
+            className="input"
+            aria-label="Minutos de tolerância por marcação"
+            style={{ width: "5rem" }}
+            disabled={!formulario.ativa}
+          />
+        </label>
+        <label>
+          Limite diário (min)
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={formulario.limiteDiario}
+            onChange={(e) => handleCampoChange("limiteDiario", e.target.value)}
+            className="input"
+            aria-label="Limite diário de tolerância em minutos"
+            style={{ width: "5rem" }}
+            disabled={!formulario.ativa}
+          />
+        </label>
+        <button type="submit" className="btn-small">
+          <Save size={14} aria-hidden="true" />
+          Salvar
+        </button>
+      </form>
+
+      <p className="config-panel-empty">
+        Simplificação: a diferença líquida do dia é comparada ao menor valor
+        entre o limite diário e os minutos por marcação × batidas preenchidas.
+        Dentro dele, o dia não gera extra nem débito; acima, a diferença
+        inteira é considerada. Atrasos e adiantamentos se compensam e uma
+        única batida pode variar mais que o limite por marcação.
+      </p>
+    </div>
+  );
+};
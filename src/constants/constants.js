@@ -40,9 +40,17 @@ export const JORNADA_PADRAO = 7 * 60;
  * @property {string} nome - Nome amigável da escala
  * @property {string} descricao - Descrição detalhada da escala
  * @property {number} horasPorDia - Horas por dia em minutos
+ * @property {Array<number>} [minutosPorDiaSemana] - Meta em minutos por dia da semana
+ *   (índice 0=Dom ... 6=Sáb); quando presente, substitui `horasPorDia` nos dias úteis
  * @property {Array<number>} diasUteis - Dias da semana trabalhados (0=Dom, 1=Seg...)
- * @property {number} horasSemana - Total de horas por semana
- * @property {boolean} [personalizavel] - Se permite personalização
+ * @property {number} horasSemana - Total de horas por semana (média, em escalas cíclicas)
+ * @property {Object} [ciclo] - Escala cíclica (12x36, 24x48, 5x1): substitui `diasUteis`
+ * @property {string} ciclo.sequencia - Dias do ciclo: T = trabalho, F = folga (ex: 'TF' para 12x36)
+ * @property {string} ciclo.inicio - Data (YYYY-MM-DD) em que o ciclo começa na primeira posição
+ * @property {Object} [padraoSemanas] - Semanas alternadas (sábado sim, sábado não)
+ * @property {Array<Array<number>>} padraoSemanas.semanas - Dias trabalhados em cada semana do padrão (A, B, ...)
+ * @property {string} padraoSemanas.inicio - Data (YYYY-MM-DD) dentro da semana A (semanas de segunda a domingo)
+ * @property {boolean} [personalizavel] - Se permite personalização (editável no painel de escalas)
  */
 export const ESCALAS_TRABALHO = [
   {
@@ -61,6 +69,28 @@ export const ESCALAS_TRABALHO = [
     diasUteis: [1, 2, 3, 4, 5, 6], // Segunda a Sábado
     horasSemana: 42
   },
+  {
+    id: 'escala_5x1_sabado_4h',
+    nome: '44h - 8h + Sábado 4h',
+    descricao: 'Segunda a Sexta 8 horas, Sábado 4 horas',
+    horasPorDia: 8 * 60,
+    minutosPorDiaSemana: [0, 8 * 60, 8 * 60, 8 * 60, 8 * 60, 8 * 60, 4 * 60],
+    diasUteis: [1, 2, 3, 4, 5, 6], // Segunda a Sábado
+    horasSemana: 44
+  },
+  {
+    id: 'escala_sabado_alternado',
+    nome: 'Sábado sim, sábado não',
+    descricao: 'Segunda a Sexta 8 horas e um sábado de 8 horas a cada duas semanas',
+    horasPorDia: 8 * 60,
+    diasUteis: [1, 2, 3, 4, 5, 6], // Todos os dias que aparecem no padrão
+    padraoSemanas: {
+      semanas: [[1, 2, 3, 4, 5, 6], [1, 2, 3, 4, 5]],
+      inicio: '2024-01-01'
+    },
+    horasSemana: 44, // Média das duas semanas
+    personalizavel: true
+  },
   {
     id: 'escala_5x2_6h',
     nome: '5x2 - 6h/dia',
@@ -69,6 +99,36 @@ export const ESCALAS_TRABALHO = [
     diasUteis: [1, 2, 3, 4, 5], // Segunda a Sexta
     horasSemana: 30
   },
+  {
+    id: 'escala_12x36',
+    nome: '12x36',
+    descricao: '12 horas de trabalho por 36 de descanso (dias alternados)',
+    horasPorDia: 12 * 60,
+    diasUteis: [0, 1, 2, 3, 4, 5, 6],
+    ciclo: { sequencia: 'TF', inicio: '2024-01-01' },
+    horasSemana: 42,
+    personalizavel: true
+  },
+  {
+    id: 'escala_24x48',
+    nome: '24x48',
+    descricao: '24 horas de trabalho por 48 de descanso',
+    horasPorDia: 24 * 60,
+    diasUteis: [0, 1, 2, 3, 4, 5, 6],
+    ciclo: { sequencia: 'TFF', inicio: '2024-01-01' },
+    horasSemana: 56,
+    personalizavel: true
+  },
+  {
+    id: 'escala_5x1_revezamento',
+    nome: '5x1 - Revezamento',
+    descricao: '5 dias de trabalho e 1 de folga, 7h20 por dia',
+    horasPorDia: 7 * 60 + 20,
+    diasUteis: [0, 1, 2, 3, 4, 5, 6],
+    ciclo: { sequencia: 'TTTTTF', inicio: '2024-01-01' },
+    horasSemana: 42.8,
+    personalizavel: true
+  },
   {
     id: 'escala_personalizada',
     nome: 'Personalizada',
@@ -88,6 +148,39 @@ export const ESCALAS_TRABALHO = [
  */
 export const ESCALA_PADRAO = 'escala_6x1_7h';
 
+/**
+ * Tipos de registro (dia trabalhado ou ausência)
+ * 
+ * O efeito define como o dia entra no cálculo da jornada:
+ * - 'trabalho': horas marcadas comparadas à meta do dia
+ * - 'abono': ausência justificada, a meta do dia é zerada (reduz as horas esperadas)
+ * - 'debito': ausência que desconta a jornada inteira do dia. A folga
+ *   compensatória usa este efeito porque é paga com o saldo de horas extras
+ * 
+ * @constant {Array<Object>}
+ * @readonly
+ * 
+ * @property {string} id - Identificador gravado em `registro.tipo`
+ * @property {string} nome - Nome exibido na tabela e nos relatórios
+ * @property {string} efeito - 'trabalho' | 'abono' | 'debito'
+ */
+export const TIPOS_REGISTRO = [
+  { id: 'trabalhado', nome: 'Trabalhado', efeito: 'trabalho' },
+  { id: 'ferias', nome: 'Férias', efeito: 'abono' },
+  { id: 'atestado', nome: 'Atestado médico', efeito: 'abono' },
+  { id: 'folga_compensatoria', nome: 'Folga compensatória', efeito: 'debito' },
+  { id: 'falta_justificada', nome: 'Falta justificada', efeito: 'abono' },
+  { id: 'falta_injustificada', nome: 'Falta injustificada', efeito: 'debito' }
+];
+
+/**
+ * Tipo assumido por registros sem `tipo` (dados anteriores)
+ * 
+ * @constant {string}
+ * @default 'trabalhado'
+ */
+export const TIPO_REGISTRO_PADRAO = 'trabalhado';
+
 // ===============================
 // CONFIGURAÇÕES DE CALENDÁRIO
 // ===============================
@@ -194,6 +287,53 @@ export const CORES = {
  */
 export const DIAS_UTEIS = [1, 2, 3, 4, 5, 6]; // Segunda a Sábado
 
+/**
+ * Feriados nacionais de data fixa
+ * 
+ * Datas que se repetem todos os anos no mesmo dia, conforme a
+ * Lei 662/1949 e alterações posteriores. Dias dessas datas que caem
+ * em dias úteis da escala são excluídos do cálculo de horas esperadas.
+ * 
+ * @constant {Array<Object>}
+ * @readonly
+ * 
+ * @property {number} dia - Dia do mês (1-31)
+ * @property {number} mes - Mês JavaScript (0=Janeiro)
+ * @property {string} nome - Nome do feriado
+ * @property {number} [desde] - Primeiro ano em que o feriado é nacional
+ */
+export const FERIADOS_NACIONAIS_FIXOS = [
+  { dia: 1, mes: 0, nome: 'Confraternização Universal' },
+  { dia: 21, mes: 3, nome: 'Tiradentes' },
+  { dia: 1, mes: 4, nome: 'Dia do Trabalho' },
+  { dia: 7, mes: 8, nome: 'Independência do Brasil' },
+  { dia: 12, mes: 9, nome: 'Nossa Senhora Aparecida' },
+  { dia: 2, mes: 10, nome: 'Finados' },
+  { dia: 15, mes: 10, nome: 'Proclamação da República' },
+  { dia: 20, mes: 10, nome: 'Dia da Consciência Negra', desde: 2024 }, // Lei 14.759/2023
+  { dia: 25, mes: 11, nome: 'Natal' }
+];
+
+/**
+ * Feriados móveis derivados da Páscoa
+ * 
+ * Cada item indica a distância em dias a partir do Domingo de Páscoa.
+ * Carnaval e Corpus Christi são pontos facultativos nacionais, mas
+ * observados pela grande maioria das empresas.
+ * 
+ * @constant {Array<Object>}
+ * @readonly
+ * 
+ * @property {number} deslocamento - Dias em relação à Páscoa
+ * @property {string} nome - Nome do feriado
+ */
+export const FERIADOS_MOVEIS = [
+  { deslocamento: -48, nome: 'Carnaval' },
+  { deslocamento: -47, nome: 'Carnaval' },
+  { deslocamento: -2, nome: 'Sexta-feira Santa' },
+  { deslocamento: 60, nome: 'Corpus Christi' }
+];
+
 /**
  * Nomes completos dos dias da semana em português brasileiro
  * 
@@ -220,6 +360,130 @@ export const DIAS_SEMANA_ABREV = [
   'Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'
 ];
 
+/**
+ * Horário noturno para o adicional noturno (CLT art. 73)
+ * 
+ * Trabalho entre 22:00 e 05:00 é noturno e cada hora noturna equivale
+ * a 52 minutos e 30 segundos (hora reduzida).
+ * 
+ * @constant {Object}
+ * @readonly
+ * 
+ * @property {number} inicio - Início do período noturno (minutos desde 00:00)
+ * @property {number} fim - Fim do período noturno no dia seguinte (minutos desde 00:00)
+ * @property {number} minutosHoraReduzida - Duração da hora noturna em minutos
+ */
+export const HORARIO_NOTURNO = {
+  inicio: 22 * 60,
+  fim: 5 * 60,
+  minutosHoraReduzida: 52.5
+};
+
+/**
+ * Descanso mínimo entre duas jornadas (interjornada, CLT art. 66)
+ * 
+ * @constant {number}
+ * @default 660 (11 horas)
+ */
+export const DESCANSO_INTERJORNADA_MINUTOS = 11 * 60;
+
+/**
+ * Jornada máxima aceita sem alerta de horários suspeitos
+ * 
+ * Escalas com meta diária maior (ex: 24x48) elevam o limite para a meta
+ * do dia (ver DateUtils.validarRegistro).
+ * 
+ * @constant {number}
+ * @default 720 (12 horas)
+ */
+export const JORNADA_MAXIMA_MINUTOS = 12 * 60;
+
+/**
+ * Prazo após a jornada prevista em que o par aberto de ontem ainda recebe a saída
+ * 
+ * Cobre turnos que cruzam a meia-noite. Passado o prazo, a batida abre o
+ * registro de hoje e a saída de ontem fica pendente.
+ * 
+ * @constant {number}
+ * @default 240 (4 horas)
+ */
+export const TOLERANCIA_SAIDA_PONTO_MINUTOS = 4 * 60;
+
+/**
+ * Intervalo mínimo dentro da jornada (intrajornada, CLT art. 71)
+ * 
+ * Avaliado em ordem: a primeira faixa cuja duração seja superada define
+ * o intervalo mínimo. Jornadas de até 4 horas não exigem intervalo.
+ * 
+ * @constant {Array<Object>}
+ * @readonly
+ * 
+ * @property {number} jornadaAcimaDe - Duração da jornada (minutos) a partir da qual a faixa vale
+ * @property {number} minimo - Intervalo mínimo exigido (minutos)
+ */
+export const INTERVALO_INTRAJORNADA = [
+  { jornadaAcimaDe: 6 * 60, minimo: 60 },
+  { jornadaAcimaDe: 4 * 60, minimo: 15 }
+];
+
+// ===============================
+// BANCO DE HORAS
+// ===============================
+
+/**
+ * Prazo para compensar horas creditadas no banco (acordo coletivo)
+ * 
+ * O crédito de cada mês vence no último dia do sexto mês seguinte;
+ * horas não compensadas até lá devem ser pagas como extras.
+ * 
+ * @constant {number}
+ * @default 6
+ */
+export const PRAZO_COMPENSACAO_MESES = 6;
+
+/**
+ * Janelas de aviso (em dias) para horas do banco prestes a vencer
+ * 
+ * @constant {Array<number>}
+ * @default [30, 60]
+ */
+export const ALERTAS_VENCIMENTO_DIAS = [30, 60];
+
+// ===============================
+// DESFAZER / REFAZER
+// ===============================
+
+/**
+ * Quantidade máxima de passos guardados para desfazer
+ * 
+ * @constant {number}
+ * @default 50
+ */
+export const LIMITE_HISTORICO_DESFAZER = 50;
+
+/**
+ * Passos de desfazer/refazer mantidos após recarregar a página
+ * 
+ * Cada passo guarda uma cópia completa dos registros, por isso apenas
+ * os mais recentes são persistidos no localStorage.
+ * 
+ * @constant {number}
+ * @default 5
+ */
+export const HISTORICO_PERSISTIDO = 5;
+
+/**
+ * Intervalo (ms) em que alterações seguidas do mesmo campo formam um único passo
+ * 
+ * Agrupa as atualizações de uma mesma edição (ex: digitar um horário
+ * dispara uma alteração por tecla). Só são agrupadas alterações com a
+ * mesma chave de agrupamento (registro e campo editados).
+ * 
+ * @constant {number}
+ * @default 1500
+ */
+export const AGRUPAMENTO_EDICOES_MS = 1500;
+
 // ===============================
 // CONFIGURAÇÕES DE ARMAZENAMENTO
 // ===============================
@@ -236,6 +500,8 @@ export const DIAS_SEMANA_ABREV = [
  * @property {string} REGISTROS - Dados principais dos registros de ponto
  * @property {string} CONFIGURACOES - Configurações personalizadas do usuário  
  * @property {string} ESCALA_TRABALHO - Escala de trabalho selecionada
+ * @property {string} HISTORICO_REGISTROS - Passos recentes de desfazer/refazer
+ * @property {string} LIXEIRA - Registros excluídos aguardando restauração
  * @property {string} CACHE_CALCULOS - Cache de cálculos pesados
  * @property {string} VERSAO_DADOS - Versão dos dados para migrations
  */
@@ -247,7 +513,97 @@ export const STORAGE_KEYS = {
   CONFIGURACOES: 'configuracoesHorasExtras',
   
   // Escala de trabalho ativa
-  ESCALA_TRABALHO: 'escalaTrabalhoSelecionada'
+  ESCALA_TRABALHO: 'escalaTrabalhoSelecionada',
+
+  // Passos recentes de desfazer/refazer dos registros
+  HISTORICO_REGISTROS: 'historicoRegistrosHorasExtras',
+
+  // Registros excluídos e limpezas (lixeira)
+  LIXEIRA: 'lixeiraHorasExtras'
+};
+
+/**
+ * Configurações padrão do usuário
+ * 
+ * Estrutura persistida em `STORAGE_KEYS.CONFIGURACOES`. Valores salvos
+ * são mesclados sobre estes padrões, garantindo que novas opções tenham
+ * valor mesmo em dados gravados por versões anteriores.
+ * 
+ * @constant {Object}
+ * @readonly
+ * 
+ * @property {Array<Object>} feriadosPersonalizados - Feriados estaduais/municipais e pontes
+ * @property {string} feriadosPersonalizados[].id - Identificador único
+ * @property {string} feriadosPersonalizados[].data - Data (YYYY-MM-DD)
+ * @property {string} feriadosPersonalizados[].nome - Descrição do feriado
+ * @property {boolean} feriadosPersonalizados[].recorrente - Repete todo ano no mesmo dia/mês
+ * @property {boolean} feriadosPersonalizados[].meioPeriodo - Dispensa apenas metade da jornada
+ * @property {Object} bancoHoras - Abertura do banco de horas
+ * @property {number} bancoHoras.saldoInicial - Saldo de abertura em minutos (negativo = débito)
+ * @property {string} bancoHoras.inicio - Mês de abertura (YYYY-MM); vazio considera todos os registros
+ * @property {Object} remuneracao - Perfil para valorar as horas extras
+ * @property {number} remuneracao.salario - Salário mensal em reais (0 = não informado)
+ * @property {number} remuneracao.divisor - Divisor mensal de horas (ex: 220, 200)
+ * @property {number} remuneracao.adicionalDiasUteis - Adicional (%) das extras em dias comuns
+ * @property {number} remuneracao.adicionalDomingosFeriados - Adicional (%) das extras em domingos e feriados
+ * @property {Object} tolerancia - Tolerância de variação nas marcações (CLT art. 58 §1º)
+ * @property {boolean} tolerancia.ativa - Aplica a tolerância no cálculo da diferença do dia (padrão: false)
+ * @property {number} tolerancia.minutosPorMarcacao - Variação desconsiderada por marcação (ex: 5)
+ * @property {number} tolerancia.limiteDiario - Limite de variação desconsiderada por dia (ex: 10)
+ * @property {Array<Object>} escalasPersonalizadas - Escalas criadas pelo usuário (mesma estrutura
+ *   de ESCALAS_TRABALHO); uma escala com o mesmo `id` de uma escala personalizável a substitui
+ * @property {Object} limites - Limites legais de jornada (0 desativa o limite)
+ * @property {number} limites.extrasDiarias - Máximo de horas extras por dia (CLT art. 59: 2h)
+ * @property {number} limites.horasSemanais - Máximo de horas trabalhadas por semana ISO (CF art. 7º: 44h)
+ * @property {Array<Object>} historicoEscalas - Escalas anteriores à atual (vazio = escala atual vale sempre)
+ * @property {string} historicoEscalas[].escalaId - ID da escala do período
+ * @property {string} historicoEscalas[].ate - Último dia (YYYY-MM-DD) em que a escala valeu
+ * @property {Object} jornadaPadrao - Horário usado ao preencher o mês (a saída segue a meta de cada dia)
+ * @property {string} jornadaPadrao.entrada - Horário de entrada (HH:MM)
+ * @property {string} jornadaPadrao.inicioIntervalo - Início do intervalo de descanso (HH:MM)
+ * @property {number} jornadaPadrao.intervalo - Duração do intervalo em minutos (0 = sem intervalo)
+ * @property {Object} lixeira - Lixeira de registros excluídos
+ * @property {number} lixeira.diasRetencao - Dias até a exclusão definitiva (0 = manter até excluir manualmente)
+ * @property {Array<Object>} projetos - Projetos/clientes para alocar as horas trabalhadas
+ * @property {string} projetos[].id - ID do projeto (referenciado em `registro.alocacoes`)
+ * @property {string} projetos[].nome - Nome do projeto
+ * @property {string} projetos[].cliente - Cliente do projeto (opcional)
+ * @property {boolean} projetos[].faturavel - Horas do projeto são cobradas do cliente
+ * @property {number} projetos[].valorHora - Valor cobrado por hora em reais (0 = não informado)
+ */
+export const CONFIGURACOES_PADRAO = {
+  feriadosPersonalizados: [],
+  bancoHoras: {
+    saldoInicial: 0,
+    inicio: ''
+  },
+  remuneracao: {
+    salario: 0,
+    divisor: 220,
+    adicionalDiasUteis: 50,
+    adicionalDomingosFeriados: 100
+  },
+  // Desativada por padrão: ativá-la recalcula os dias já registrados
+  tolerancia: {
+    ativa: false,
+    minutosPorMarcacao: 5,
+    limiteDiario: 10
+  },
+  limites: {
+    extrasDiarias: 2,
+    horasSemanais: 44
+  },
+  escalasPersonalizadas: [],
+  historicoEscalas: [],
+  jornadaPadrao: {
+    entrada: '08:00',
+    inicioIntervalo: '12:00',
+    intervalo: 60
+  },
+  lixeira: {
+    diasRetencao: 30
+  },
+  projetos: []
 };
 
 // ===============================
@@ -271,7 +627,7 @@ export const MENSAGENS = {
    * Mensagens de confirmação - ações irreversíveis
    */
   CONFIRMACAO: {
-    ALTERAR_ESCALA: 'Alterar a escala de trabalho irá recalcular todas as métricas. Confirma ?',
+    ALTERAR_ESCALA: 'A nova escala valerá a partir da data informada; os registros anteriores continuam com a escala anterior. Confirma ?',
   },
   
   /**
@@ -297,9 +653,23 @@ export const TOOLTIPS = {
   EXPORTAR_CSV: 'Baixar relatório completo em formato CSV para análise externa',
   IMPORTAR_CSV: 'Carregar registros de um arquivo CSV previamente exportado',
   GERAR_PDF: 'Gerar relatório visual profissional em formato PDF',
-  LIMPAR_DADOS: 'Remover todos os registros permanentemente (ação irreversível)',
+  LIMPAR_DADOS: 'Remover todos os registros (uma cópia fica na lixeira)',
+  LIXEIRA: 'Restaurar registros excluídos e limpezas de dados',
+  DESFAZER: 'Desfazer a última alteração nos registros (Ctrl+Z)',
+  REFAZER: 'Refazer a alteração desfeita (Ctrl+Shift+Z)',
+  
+  FERIADOS: 'Gerenciar feriados estaduais, municipais e pontes da empresa',
+  BANCO_HORAS: 'Definir o saldo de abertura do banco de horas',
+  REMUNERACAO: 'Informar salário e adicionais para calcular o valor das horas extras',
+  TOLERANCIA: 'Configurar a tolerância de variação das marcações (CLT art. 58 §1º)',
+  LIMITES: 'Definir os limites de horas extras por dia e de horas por semana',
+  ESCALAS: 'Criar e editar escalas personalizadas (dias e horas de trabalho)',
+  JORNADA_PADRAO: 'Definir o horário usado para preencher o mês',
+  PROJETOS: 'Cadastrar projetos e clientes, com valor/hora e indicação de faturável',
+  PREENCHER_MES: 'Criar registros para todos os dias úteis do mês ainda sem registro, usando o horário padrão',
   
   // Informações contextuais
   LIMITE_DIAS: 'Você já registrou {current} de {max} dias úteis possíveis para este período',
-  ESCALA_TRABALHO: 'Selecionar escala de trabalho para ajustar cálculos de horas extras'
+  ESCALA_TRABALHO: 'Selecionar escala de trabalho para ajustar cálculos de horas extras',
+  ESCALA_A_PARTIR_DE: 'Ao trocar ou editar a escala em uso, a nova versão vale a partir desta data; os dias anteriores mantêm a escala da época'
 };
\ No newline at end of file
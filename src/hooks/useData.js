@@ -1,16 +1,38 @@
-import { useState, useEffect, useMemo } from 'react';
-import { ESCALAS_TRABALHO, ESCALA_PADRAO, STORAGE_KEYS } from '../constants/constants';
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { ESCALA_PADRAO, STORAGE_KEYS } from '../constants/constants';
 import { DateUtils } from '../utils/dateUtils';
+import { FeriadosUtils } from '../utils/feriadosUtils';
+import { ConfigService } from '../services/configService';
+import { LixeiraService } from '../services/lixeiraService';
+import { RemuneracaoUtils } from '../utils/remuneracaoUtils';
+import { ProjetosUtils } from '../utils/projetosUtils';
+import { useHistoricoRegistros } from './useHistoricoRegistros';
 
 /**
  * Hook personalizado para gerenciamento de dados com suporte a escalas
  */
 export const useData = () => {
-  const [registros, setRegistros] = useState([]);
+  // Registros com desfazer/refazer (cada alteração via setRegistros vira um passo)
+  const {
+    registros,
+    setRegistros,
+    carregarRegistros,
+    desfazer,
+    refazer,
+    podeDesfazer,
+    podeRefazer
+  } = useHistoricoRegistros();
   const [mesAtual, setMesAtual] = useState(new Date().getMonth());
   const [anoAtual, setAnoAtual] = useState(new Date().getFullYear());
   const [escalaAtual, setEscalaAtual] = useState(ESCALA_PADRAO);
   const [carregamentoInicial, setCarregamentoInicial] = useState(true);
+  // Configurações do usuário (feriados próprios, etc.) - carregadas de forma síncrona
+  // para que os cálculos da primeira renderização já as considerem
+  const [configuracoes, setConfiguracoes] = useState(() => ConfigService.carregar());
+  // Registros excluídos e limpezas; itens fora do prazo de retenção são expurgados na carga
+  const [lixeira, setLixeira] = useState(() =>
+    LixeiraService.expurgarVencidos(LixeiraService.carregar(), ConfigService.obter().lixeira.diasRetencao)
+  );
 
   // Carregar dados do localStorage na inicialização
   useEffect(() => {
@@ -20,21 +42,21 @@ export const useData = () => {
       try {
         const registrosSalvos = JSON.parse(dados);
         console.log("Carregando dados do localStorage:", registrosSalvos);
-        setRegistros(Array.isArray(registrosSalvos) ? registrosSalvos : []);
+        carregarRegistros(Array.isArray(registrosSalvos) ? registrosSalvos : []);
       } catch (error) {
         console.error("Erro ao carregar dados do localStorage:", error);
-        setRegistros([]);
+        carregarRegistros([]);
       }
     }
 
     // Carregar escala de trabalho
     const escalaSalva = localStorage.getItem(STORAGE_KEYS.ESCALA_TRABALHO);
-    if (escalaSalva && ESCALAS_TRABALHO.find(e => e.id === escalaSalva)) {
+    if (escalaSalva && DateUtils.obterEscalas().find(e => e.id === escalaSalva)) {
       setEscalaAtual(escalaSalva);
     }
 
     setCarregamentoInicial(false);
-  }, []);
+  }, [carregarRegistros]);
 
   // Salvar registros no localStorage sempre que mudarem
   useEffect(() => {
@@ -52,6 +74,44 @@ export const useData = () => {
     }
   }, [escalaAtual, carregamentoInicial]);
 
+  // Salvar lixeira no localStorage sempre que mudar
+  useEffect(() => {
+    LixeiraService.salvar(lixeira);
+  }, [lixeira]);
+
+  // Itens cujos registros voltaram pelo Desfazer saem da lixeira (e
+  // retornam pelo Refazer) durante a sessão
+  const lixeiraSuspensa = useRef([]);
+  useEffect(() => {
+    const sincronizada = LixeiraService.sincronizarComRegistros(
+      lixeira,
+      lixeiraSuspensa.current,
+      registros
+    );
+    lixeiraSuspensa.current = sincronizada.suspensos;
+    if (sincronizada.itens !== lixeira) setLixeira(sincronizada.itens);
+  }, [registros, lixeira]);
+
+  // Aplicar um novo prazo de retenção aos itens já na lixeira
+  const diasRetencao = configuracoes.lixeira.diasRetencao;
+  useEffect(() => {
+    setLixeira((atual) => LixeiraService.expurgarVencidos(atual, diasRetencao));
+  }, [diasRetencao]);
+
+  /**
+   * Mescla alterações nas configurações e persiste imediatamente
+   *
+   * O ConfigService é atualizado antes do estado para que os utilitários
+   * de cálculo já enxerguem os novos valores na próxima renderização.
+   *
+   * @param {Object} alteracoes - Campos a substituir
+   */
+  const atualizarConfiguracoes = useCallback((alteracoes) => {
+    const novasConfiguracoes = { ...ConfigService.obter(), ...alteracoes };
+    ConfigService.salvar(novasConfiguracoes);
+    setConfiguracoes(novasConfiguracoes);
+  }, []);
+
   // Filtrar registros do mês atual
   const registrosMes = useMemo(() => {
     const filtrados = registros
@@ -67,27 +127,101 @@ export const useData = () => {
 
   // Calcular resumo do mês com base na escala atual
   const resumo = useMemo(() => {
-    const escalaInfo = DateUtils.obterEscalaInfo(escalaAtual);
+    // Escalas vigentes no mês (histórico de escalas); a do fim do mês é a de referência
+    const escalasNoMes = DateUtils.obterEscalasNoPeriodo(
+      DateUtils.formatarDataISO(new Date(anoAtual, mesAtual, 1)),
+      DateUtils.formatarDataISO(new Date(anoAtual, mesAtual + 1, 0)),
+      escalaAtual
+    );
+    const escalaInfo = DateUtils.obterEscalaInfo(escalasNoMes[escalasNoMes.length - 1].escalaId);
     let totalExtras = 0;
     let totalDebito = 0;
     let horasTrabalhadasTotal = 0;
+    let horasEmFeriados = 0;
+    let horasAbonadas = 0;
+    let totalNoturno = 0; // Minutos reais entre 22:00 e 05:00
+    let totalNoturnoReduzido = 0; // Mesmos minutos em hora noturna reduzida (52m30s)
+    let indenizacaoIntrajornada = 0; // Minutos suprimidos do intervalo mínimo
+    let violacoesIntrajornada = 0;
+    const ausencias = {}; // Dias de ausência por tipo (ex: { ferias: 5 })
 
     registrosMes.forEach((registro) => {
-      const horasTrabalhadas = DateUtils.calcularHorasTrabalhadas(registro.entrada, registro.saida);
+      const { horasTrabalhadas, diferenca, feriado, tipo, horasAbonadas: abonadasDia, noturno, intrajornada } =
+        DateUtils.calcularResultadoDia(registro, escalaAtual);
       horasTrabalhadasTotal += horasTrabalhadas;
-      const diferenca = horasTrabalhadas - escalaInfo.horasPorDia;
-
-      if (horasTrabalhadas > 0) {
-        if (diferenca > 0) {
-          totalExtras += diferenca;
-        } else if (diferenca < 0) {
-          totalDebito += Math.abs(diferenca);
-        }
+      horasAbonadas += abonadasDia;
+      totalNoturno += noturno.minutos;
+      totalNoturnoReduzido += noturno.minutosReduzidos;
+
+      if (intrajornada?.indenizacao > 0) {
+        indenizacaoIntrajornada += intrajornada.indenizacao;
+        violacoesIntrajornada++;
+      }
+
+      if (tipo.efeito !== 'trabalho') {
+        ausencias[tipo.id] = (ausencias[tipo.id] || 0) + 1;
+      }
+
+      // Meio período mantém meta reduzida: só feriado inteiro vira extra
+      if (feriado && !feriado.meioPeriodo) {
+        horasEmFeriados += horasTrabalhadas;
+      }
+
+      // Dias sem marcações têm diferença zero; faltas trazem o débito do dia
+      if (diferenca > 0) {
+        totalExtras += diferenca;
+      } else if (diferenca < 0) {
+        totalDebito += Math.abs(diferenca);
       }
     });
 
     const diasUteis = DateUtils.obterDiasUteis(mesAtual, anoAtual, escalaAtual);
-    const horasEsperadas = DateUtils.calcularHorasEsperadas(mesAtual, anoAtual, escalaAtual);
+    // Ausências justificadas (férias, atestado...) reduzem a meta do mês
+    const horasEsperadas =
+      DateUtils.calcularHorasEsperadas(mesAtual, anoAtual, escalaAtual) - horasAbonadas;
+    const diasAusencia = Object.values(ausencias).reduce((total, dias) => total + dias, 0);
+    // Datas duplicadas contam uma única vez
+    const datasRegistradas = new Set(registrosMes.map((registro) => registro.data));
+    const datasTrabalhadas = new Set(
+      registrosMes
+        .filter((registro) => DateUtils.obterTipoRegistro(registro).efeito === "trabalho")
+        .map((registro) => registro.data)
+    );
+
+    // Banco de horas: saldo transportado dos meses anteriores
+    const bancoHoras = DateUtils.calcularBancoHoras(
+      registros,
+      mesAtual,
+      anoAtual,
+      escalaAtual,
+      configuracoes.bancoHoras
+    );
+
+    // Lotes do banco com vencimento (prazo de compensação), avaliados no fim do
+    // mês selecionado ou hoje, se o mês ainda não terminou
+    const fimDoMes = DateUtils.formatarDataISO(new Date(anoAtual, mesAtual + 1, 0));
+    const hoje = DateUtils.formatarDataISO(new Date());
+    const lotesBanco = DateUtils.calcularLotesBancoHoras(
+      bancoHoras.movimentos,
+      fimDoMes < hoje ? fimDoMes : hoje,
+      configuracoes.bancoHoras
+    );
+    // Descansos entre jornadas abaixo de 11h (avaliados com todos os
+    // registros para cobrir a virada do mês)
+    const idsMes = new Set(registrosMes.map((registro) => registro.id));
+    const violacoesInterjornada = DateUtils.verificarInterjornada(registros).filter(
+      (violacao) => idsMes.has(violacao.registroId)
+    );
+
+    // Limites legais de jornada: dias e semanas ISO do mês acima do limite
+    const limites = DateUtils.verificarLimitesJornada(registros, escalaAtual, configuracoes.limites);
+    const limitesJornada = {
+      dias: limites.dias.filter((dia) => idsMes.has(dia.registroId)),
+      semanas: limites.semanas.filter((semana) =>
+        semana.registroIds.some((id) => idsMes.has(id))
+      ),
+    };
+
     const percentualCumprido = horasEsperadas > 0 ? 
       ((horasTrabalhadasTotal / horasEsperadas) * 100).toFixed(1) : 0;
 
@@ -95,18 +229,47 @@ export const useData = () => {
       totalExtras,
       totalDebito,
       saldoFinal: totalExtras - totalDebito,
+      saldoAnterior: bancoHoras.saldoAnterior,
+      saldoAcumulado: bancoHoras.saldoAcumulado,
+      movimentosBanco: bancoHoras.movimentos,
+      lotesBanco,
+      // Valor das extras (adicional de dias comuns x domingos/feriados)
+      remuneracao: RemuneracaoUtils.calcularValorExtras(
+        registrosMes,
+        escalaAtual,
+        configuracoes.remuneracao
+      ),
+      // Horas e valor a faturar por projeto/cliente
+      projetos: ProjetosUtils.calcularRelatorio(registrosMes, escalaAtual, configuracoes.projetos),
       horasTrabalhadasTotal,
       diasUteis,
-      diasTrabalhados: registrosMes.length,
+      diasTrabalhados: datasTrabalhadas.size,
+      diasRegistrados: datasRegistradas.size, // Inclui ausências (limite de dias úteis)
+      diasAusencia,
+      ausencias,
       horasEsperadas,
+      horasAbonadas,
       percentualCumprido,
+      horasEmFeriados,
+      totalNoturno,
+      totalNoturnoReduzido,
+      violacoesInterjornada,
+      violacoesIntrajornada,
+      indenizacaoIntrajornada,
+      limitesJornada,
+      feriados: FeriadosUtils.obterFeriadosDoMes(mesAtual, anoAtual, configuracoes.feriadosPersonalizados),
       escalaInfo, // Incluir informações da escala no resumo
+      escalasNoMes,
     };
-  }, [registrosMes, mesAtual, anoAtual, escalaAtual]);
+  }, [registros, registrosMes, mesAtual, anoAtual, escalaAtual, configuracoes]);
 
   return {
     registros,
     setRegistros,
+    desfazer,
+    refazer,
+    podeDesfazer,
+    podeRefazer,
     mesAtual,
     setMesAtual,
     anoAtual,
@@ -115,6 +278,10 @@ export const useData = () => {
     setEscalaAtual,
     registrosMes,
     resumo,
+    configuracoes,
+    atualizarConfiguracoes,
+    lixeira,
+    setLixeira,
     carregamentoInicial
   };
 };
\ No newline at end of file
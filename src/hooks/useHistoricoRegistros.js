@@ -0,0 +1,160 @@
+import { useReducer, useEffect, useCallback } from 'react';
+import {
+  STORAGE_KEYS,
+  LIMITE_HISTORICO_DESFAZER,
+  HISTORICO_PERSISTIDO,
+  AGRUPAMENTO_EDICOES_MS
+} from '../constants/constants';
+
+/**
+ * Carrega os passos de desfazer/refazer salvos na sessão anterior
+ *
+ * @returns {Object} Pilhas { passado, futuro } (vazias se ausentes ou corrompidas)
+ */
+const carregarHistorico = () => {
+  try {
+    const dados = localStorage.getItem(STORAGE_KEYS.HISTORICO_REGISTROS);
+    const salvo = dados ? JSON.parse(dados) : {};
+    return {
+      passado: Array.isArray(salvo.passado) ? salvo.passado : [],
+      futuro: Array.isArray(salvo.futuro) ? salvo.futuro : []
+    };
+  } catch (error) {
+    console.error('❌ Erro ao carregar histórico de alterações:', error);
+    return { passado: [], futuro: [] };
+  }
+};
+
+/**
+ * Reducer do estado dos registros com pilhas de desfazer/refazer
+ *
+ * Cada passo do `passado` e do `futuro` é uma cópia completa dos
+ * registros. Alterações seguidas com a mesma `chave` (registro e campo
+ * editados), dentro de AGRUPAMENTO_EDICOES_MS da anterior, pertencem ao
+ * mesmo passo; alterações sem chave sempre abrem um novo passo.
+ *
+ * @param {Object} estado - { registros, passado, futuro, ultimaAlteracao, ultimaChave }
+ * @param {Object} acao - { tipo: 'carregar' | 'alterar' | 'desfazer' | 'refazer', ... }
+ * @returns {Object} Novo estado
+ */
+const historicoReducer = (estado, acao) => {
+  switch (acao.tipo) {
+    case 'carregar':
+      return { ...estado, registros: acao.registros };
+
+    case 'alterar': {
+      const registros = typeof acao.atualizacao === 'function'
+        ? acao.atualizacao(estado.registros)
+        : acao.atualizacao;
+      if (registros === estado.registros) return estado;
+
+      const agrupar = estado.passado.length > 0 &&
+        !!acao.chave &&
+        acao.chave === estado.ultimaChave &&
+        acao.instante - estado.ultimaAlteracao < AGRUPAMENTO_EDICOES_MS;
+
+      return {
+        registros,
+        passado: agrupar
+          ? estado.passado
+          : [...estado.passado, estado.registros].slice(-LIMITE_HISTORICO_DESFAZER),
+        futuro: [],
+        ultimaAlteracao: acao.instante,
+        ultimaChave: acao.chave || null
+      };
+    }
+
+    case 'desfazer':
+      if (estado.passado.length === 0) return estado;
+      return {
+        registros: estado.passado[estado.passado.length - 1],
+        passado: estado.passado.slice(0, -1),
+        futuro: [estado.registros, ...estado.futuro],
+        ultimaAlteracao: 0,
+        ultimaChave: null
+      };
+
+    case 'refazer':
+      if (estado.futuro.length === 0) return estado;
+      return {
+        registros: estado.futuro[0],
+        passado: [...estado.passado, estado.registros],
+        futuro: estado.futuro.slice(1),
+        ultimaAlteracao: 0,
+        ultimaChave: null
+      };
+
+    default:
+      return estado;
+  }
+};
+
+/**
+ * Hook de estado dos registros com desfazer/refazer
+ *
+ * `setRegistros` tem a mesma assinatura do setter do useState (valor ou
+ * função), então os serviços do DataService registram cada operação no
+ * histórico sem alterações. Edições de campo informam uma chave de
+ * agrupamento como segundo argumento (ex: `${id}:saida:0`) para que as
+ * teclas de uma mesma edição formem um único passo. Os passos mais recentes sobrevivem à recarga
+ * da página (HISTORICO_PERSISTIDO).
+ *
+ * @returns {Object} Estado e ações do histórico
+ * @returns {Array} returns.registros - Registros atuais
+ * @returns {Function} returns.setRegistros - (atualizacao, chave?) Altera os registros criando um passo de desfazer
+ * @returns {Function} returns.carregarRegistros - Define os registros sem criar passo (carga inicial)
+ * @returns {Function} returns.desfazer - Volta ao passo anterior
+ * @returns {Function} returns.refazer - Reaplica o passo desfeito
+ * @returns {boolean} returns.podeDesfazer - Há passos para desfazer
+ * @returns {boolean} returns.podeRefazer - Há passos para refazer
+ */
+export const useHistoricoRegistros = () => {
+  const [estado, dispatch] = useReducer(historicoReducer, null, () => ({
+    registros: [],
+    ...carregarHistorico(),
+    ultimaAlteracao: 0,
+    ultimaChave: null
+  }));
+
+  // Persistir apenas os passos mais recentes (cada um é uma cópia dos registros)
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEYS.HISTORICO_REGISTROS, JSON.stringify({
+        passado: estado.passado.slice(-HISTORICO_PERSISTIDO),
+        futuro: estado.futuro.slice(0, HISTORICO_PERSISTIDO)
+      }));
+    } catch (error) {
+      console.warn('⚠️ Erro ao salvar histórico de alterações:', error);
+    }
+  }, [estado.passado, estado.futuro]);
+
+  const setRegistros = useCallback(
+    (atualizacao, chave) => dispatch({ tipo: 'alterar', atualizacao, chave, instante: Date.now() }),
+    []
+  );
+
+  const carregarRegistros = useCallback(
+    (registros) => dispatch({ tipo: 'carregar', registros }),
+    []
+  );
+
+  const desfazer = useCallback(() => {
+    console.log('↩️ Desfazendo última alteração');
+    dispatch({ tipo: 'desfazer' });
+  }, []);
+
+  const refazer = useCallback(() => {
+    console.log('↪️ Refazendo alteração');
+    dispatch({ tipo: 'refazer' });
+  }, []);
+
+  return {
+    registros: estado.registros,
+    setRegistros,
+    carregarRegistros,
+    desfazer,
+    refazer,
+    podeDesfazer: estado.passado.length > 0,
+    podeRefazer: estado.futuro.length > 0
+  };
+};
@@ -0,0 +1,73 @@
+import { STORAGE_KEYS, CONFIGURACOES_PADRAO } from '../constants/constants';
+
+/**
+ * Cópia em memória das configurações vigentes
+ *
+ * Os utilitários de cálculo (DateUtils, FeriadosUtils) consultam este valor
+ * a cada chamada, então ele precisa estar atualizado antes da renderização
+ * que usa as novas configurações.
+ */
+let configuracoesAtuais = null;
+
+/**
+ * Serviço de configurações do usuário
+ *
+ * Centraliza leitura e gravação de `STORAGE_KEYS.CONFIGURACOES` no
+ * localStorage, mesclando os valores salvos com `CONFIGURACOES_PADRAO`.
+ *
+ * @namespace ConfigService
+ */
+export const ConfigService = {
+
+  /**
+   * Carrega as configurações do localStorage
+   *
+   * Dados ausentes ou corrompidos resultam nas configurações padrão.
+   *
+   * @returns {Object} Configurações mescladas com os padrões
+   */
+  carregar: () => {
+    let salvas = {};
+
+    try {
+      if (typeof window !== 'undefined' && window.localStorage) {
+        const dados = localStorage.getItem(STORAGE_KEYS.CONFIGURACOES);
+        salvas = dados ? JSON.parse(dados) : {};
+      }
+    } catch (error) {
+      console.error('❌ Erro ao carregar configurações:', error);
+      salvas = {};
+    }
+
+    configuracoesAtuais = { ...CONFIGURACOES_PADRAO, ...salvas };
+    return configuracoesAtuais;
+  },
+
+  /**
+   * Obtém as configurações vigentes (carregando na primeira chamada)
+   *
+   * @returns {Object} Configurações atuais
+   */
+  obter: () => configuracoesAtuais || ConfigService.carregar(),
+
+  /**
+   * Substitui as configurações vigentes e persiste no localStorage
+   *
+   * @param {Object} configuracoes - Configurações completas
+   * @returns {Object} Configurações salvas
+   */
+  salvar: (configuracoes) => {
+    configuracoesAtuais = configuracoes;
+
+    try {
+      if (typeof window !== 'undefined' && window.localStorage) {
+        console.log('💾 Salvando configurações:', configuracoes);
+        localStorage.setItem(STORAGE_KEYS.CONFIGURACOES, JSON.stringify(configuracoes));
+      }
+    } catch (error) {
+      console.error('❌ Erro ao salvar configurações:', error);
+    }
+
+    return configuracoesAtuais;
+  }
+};
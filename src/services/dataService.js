@@ -1,5 +1,48 @@
 import { DateUtils } from '../utils/dateUtils';
 import { PDFUtils } from '../utils/PDFUtils';
+import { RemuneracaoUtils } from '../utils/remuneracaoUtils';
+import { ProjetosUtils } from '../utils/projetosUtils';
+import { LixeiraService } from './lixeiraService';
+import { TIPOS_REGISTRO, ESCALAS_TRABALHO, ESCALA_PADRAO, DIAS_SEMANA_ABREV, MESES } from '../constants/constants';
+
+/**
+ * Divide uma linha CSV em campos, respeitando aspas
+ * 
+ * Campos entre aspas podem conter vírgulas e aspas duplicadas ("")
+ * (ex: observações livres); arquivos sem aspas continuam aceitos.
+ * 
+ * @param {string} linha - Linha do arquivo CSV
+ * @returns {Array<string>} Campos sem as aspas externas e sem espaços nas pontas
+ */
+const dividirLinhaCSV = (linha) => {
+  const campos = [];
+  let atual = "";
+  let entreAspas = false;
+
+  for (let i = 0; i < linha.length; i++) {
+    const caractere = linha[i];
+    if (entreAspas) {
+      if (caractere === '"' && linha[i + 1] === '"') {
+        atual += '"';
+        i++;
+      } else if (caractere === '"') {
+        entreAspas = false;
+      } else {
+        atual += caractere;
+      }
+    } else if (caractere === '"') {
+      entreAspas = true;
+    } else if (caractere === ",") {
+      campos.push(atual.trim());
+      atual = "";
+    } else {
+      atual += caractere;
+    }
+  }
+
+  campos.push(atual.trim());
+  return campos;
+};
 
 /**
  * Serviços para manipulação de dados com suporte a escalas de trabalho
@@ -27,7 +70,9 @@ export const DataService = {
    * 
    * Aplica validações de negócio antes da criação:
    * - Verifica se não excede o limite de dias úteis
-   * - Define data padrão baseada no período atual
+   * - Define data padrão baseada no período atual (hoje ou o primeiro dia
+   *   útil da escala sem registro)
+   * - Se a data já tem registro, oferece combinar os dois ou mantê-los
    * - Gera ID único para o registro
    * - Inicializa com horários vazios para preenchimento posterior
    * 
@@ -40,34 +85,37 @@ export const DataService = {
    */
   adicionarRegistro: (registros, setRegistros, resumo, mesAtual, anoAtual, escalaAtual) => {
     // Validação de limite: verificar se já atingiu o máximo de dias úteis
-    if (resumo.diasTrabalhados >= resumo.diasUteis) {
+    if (resumo.diasRegistrados >= resumo.diasUteis) {
       alert(`⚠️ Limite atingido! Você já registrou ${resumo.diasUteis} dias úteis para este mês.`);
       return;
     }
 
-    // Determinar data padrão para o novo registro
+    // Determinar data padrão para o novo registro: hoje, no mês atual;
+    // nos demais, o primeiro dia útil da escala ainda sem registro
     const hoje = new Date();
     const ehMesAtual = mesAtual === hoje.getMonth() && anoAtual === hoje.getFullYear();
+    const datasOcupadas = new Set(registros.map((registro) => registro.data));
 
-    let dataParaUsar;
-    if (ehMesAtual) {
-      // Se estiver visualizando o mês atual, usar data de hoje
-      dataParaUsar = hoje;
-    } else {
-      // Se estiver em outro período, usar primeiro dia do mês
-      dataParaUsar = new Date(anoAtual, mesAtual, 1);
-    }
+    const dataFormatada = ehMesAtual
+      ? DateUtils.formatarDataISO(hoje)
+      : DateUtils.obterDatasUteis(mesAtual, anoAtual, escalaAtual).find((data) => !datasOcupadas.has(data)) ||
+        DateUtils.formatarDataISO(new Date(anoAtual, mesAtual, 1));
 
-    // Converter para formato ISO (YYYY-MM-DD)
-    const dataFormatada = dataParaUsar.toISOString().split("T")[0];
+    // Data já registrada: combinar com o registro existente ou manter os dois
+    const existente = registros.find((registro) => registro.data === dataFormatada);
+    if (existente) {
+      if (window.confirm(
+        `📋 Já existe um registro em ${DateUtils.formatarData(dataFormatada)}.\n\n` +
+        `Deseja combinar com o registro existente (um novo par de marcações é incluído nele)?\n\n` +
+        `Cancelar mantém os dois registros; a data duplicada fica sinalizada na tabela.`
+      )) {
+        DataService.adicionarIntervalo(registros, setRegistros, existente.id);
+        return;
+      }
+    }
 
-    // Criar novo registro com estrutura padrão
-    const novoRegistro = {
-      id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, // ID único
-      data: dataFormatada,
-      entrada: "",  // Será preenchido pelo usuário
-      saida: "",    // Será preenchido pelo usuário
-    };
+    // Criar novo registro com marcações preenchidas pelo usuário
+    const novoRegistro = DataService.criarRegistro(dataFormatada);
 
     console.log("➕ Adicionando novo registro:", novoRegistro);
 
@@ -75,24 +123,157 @@ export const DataService = {
     setRegistros((registrosAtuais) => [...registrosAtuais, novoRegistro]);
   },
 
+  /**
+   * Cria a estrutura padrão de um registro
+   * 
+   * @param {string} data - Data do registro (YYYY-MM-DD)
+   * @param {Array} [intervalos] - Marcações iniciais (padrão: um par vazio)
+   * @returns {Object} Novo registro com ID único
+   */
+  criarRegistro: (data, intervalos = [{ entrada: "", saida: "" }]) => ({
+    id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, // ID único
+    data,
+    intervalos,
+  }),
+
+  /**
+   * Preenche os dias úteis do mês ainda sem registro com o horário padrão
+   * 
+   * Cada dia recebe as marcações de `DateUtils.montarIntervalosPadrao`
+   * para a meta da escala vigente na data; o usuário edita apenas as
+   * exceções. Todos os registros são incluídos em uma única atualização,
+   * desfeita de uma vez pelo histórico de alterações.
+   * 
+   * @param {Array} registros - Array atual de registros
+   * @param {Function} setRegistros - Setter do estado de registros
+   * @param {number} mesAtual - Mês selecionado (0-11)
+   * @param {number} anoAtual - Ano selecionado
+   * @param {string} escalaAtual - ID da escala atual
+   * @param {Object} jornadaPadrao - Horário padrão (CONFIGURACOES_PADRAO.jornadaPadrao)
+   * @returns {Array<string>|null} IDs dos registros criados ou null se nada foi preenchido
+   */
+  preencherMes: (registros, setRegistros, mesAtual, anoAtual, escalaAtual, jornadaPadrao) => {
+    const datasOcupadas = new Set(registros.map((registro) => registro.data));
+    const novosRegistros = DateUtils.obterDatasUteis(mesAtual, anoAtual, escalaAtual)
+      .filter((data) => !datasOcupadas.has(data))
+      .map((data) =>
+        DataService.criarRegistro(
+          data,
+          DateUtils.montarIntervalosPadrao(
+            data,
+            DateUtils.obterMetaDiaria(data, escalaAtual),
+            jornadaPadrao
+          )
+        )
+      )
+      .filter((registro) => registro.intervalos.length > 0);
+
+    if (novosRegistros.length === 0) {
+      alert(`ℹ️ Todos os dias úteis de ${MESES[mesAtual]}/${anoAtual} já possuem registro.`);
+      return null;
+    }
+
+    const confirmacao = window.confirm(
+      `📅 Preencher ${novosRegistros.length} dia(s) útil(eis) de ${MESES[mesAtual]}/${anoAtual} ` +
+      `com o horário padrão (entrada ${jornadaPadrao.entrada})?\n\n` +
+      `Dias que já possuem registro não são alterados.`
+    );
+    if (!confirmacao) return null;
+
+    console.log(`📅 Preenchendo ${novosRegistros.length} dias de ${mesAtual + 1}/${anoAtual}`);
+
+    setRegistros((registrosAtuais) => [...registrosAtuais, ...novosRegistros]);
+    return novosRegistros.map((registro) => registro.id);
+  },
+
+  /**
+   * Registra uma batida de ponto no horário atual
+   * 
+   * A batida completa o par aberto (saída) ou inicia um novo par
+   * (entrada). Sem registro para o dia, um novo é criado com a entrada.
+   * Se a saída de ontem foi esquecida, a batida vale para hoje e o
+   * usuário é avisado para completar o registro de ontem.
+   * 
+   * @param {Array} registros - Todos os registros
+   * @param {Function} setRegistros - Setter do estado de registros
+   * @param {Date} [agora=new Date()] - Momento da batida
+   * @param {string} escalaId - ID da escala de trabalho
+   * @returns {Object} Batida registrada ({ tipo: "entrada" | "saida", horario: "HH:MM" })
+   */
+  baterPonto: (registros, setRegistros, agora = new Date(), escalaId = ESCALA_PADRAO) => {
+    const horario = `${String(agora.getHours()).padStart(2, "0")}:${String(agora.getMinutes()).padStart(2, "0")}`;
+    const registro = DateUtils.obterRegistroDoPonto(registros, agora, escalaId);
+    const pendente = DateUtils.obterSaidaPendente(registros, agora, escalaId);
+
+    // Avisa na primeira batida do dia; o painel mantém o alerta até a correção
+    if (pendente && !registro) {
+      console.warn("⚠️ Saída não registrada em", pendente.data);
+      window.alert(
+        `⚠️ A saída de ${DateUtils.formatarData(pendente.data)} não foi registrada.\n\n` +
+        "Esta batida vale para hoje; complete a saída de ontem na tabela de registros."
+      );
+    }
+
+    if (!registro) {
+      const data = DateUtils.formatarDataISO(agora);
+      const novoRegistro = DataService.criarRegistro(data, [
+        { entrada: DateUtils.combinarDataHorario(data, horario), saida: "" },
+      ]);
+
+      console.log("⏱️ Entrada registrada em novo registro:", novoRegistro);
+      setRegistros((registrosAtuais) => [...registrosAtuais, novoRegistro]);
+      return { tipo: "entrada", horario };
+    }
+
+    const intervalos = DateUtils.obterIntervalos(registro);
+    const ultimo = intervalos[intervalos.length - 1];
+    const tipo = ultimo.entrada && !ultimo.saida ? "saida" : "entrada";
+    const marcacao = DateUtils.combinarDataHorario(registro.data, horario);
+
+    // Par vazio recebe a entrada; par completo ganha um novo par
+    const novosIntervalos = tipo === "saida"
+      ? [...intervalos.slice(0, -1), { ...ultimo, saida: marcacao }]
+      : !ultimo.entrada && !ultimo.saida
+      ? [...intervalos.slice(0, -1), { entrada: marcacao, saida: "" }]
+      : [...intervalos, { entrada: marcacao, saida: "" }];
+
+    console.log(`⏱️ ${tipo === "saida" ? "Saída" : "Entrada"} registrada às ${horario}`);
+
+    // Marcações após a meia-noite passam para o dia seguinte do registro
+    DataService.atualizarIntervalos(
+      setRegistros,
+      registro.id,
+      DateUtils.normalizarIntervalos(registro.data, novosIntervalos)
+    );
+    return { tipo, horario };
+  },
+
   /**
    * Remove registro específico após confirmação
    * 
    * Aplica dupla confirmação para evitar exclusões acidentais
-   * e remove o registro do array de forma imutável.
+   * e remove o registro do array de forma imutável. O registro
+   * excluído é movido para a lixeira, de onde pode ser restaurado.
    * 
+   * @param {Array} registros - Array atual de registros
    * @param {Function} setRegistros - Setter do estado de registros
+   * @param {Function} setLixeira - Setter do estado da lixeira
    * @param {string} id - ID único do registro a ser removido
    */
-  removerRegistro: (setRegistros, id) => {
+  removerRegistro: (registros, setRegistros, setLixeira, id) => {
+    const registro = registros.find((item) => item.id === id);
+    if (!registro) return;
+
     // Confirmação de segurança
     const confirmacao = window.confirm(
-      "🗑️ Tem certeza que deseja excluir este registro?\n\nEsta ação não pode ser desfeita."
+      "🗑️ Tem certeza que deseja excluir este registro?\n\nEle ficará na lixeira para ser restaurado."
     );
     
     if (confirmacao) {
       console.log("🗑️ Removendo registro:", id);
       
+      setLixeira((itens) => [LixeiraService.criarItem([registro], "exclusao"), ...itens]);
+
       // Filtrar array removendo o registro com o ID especificado
       setRegistros((registrosAtuais) => 
         registrosAtuais.filter((registro) => registro.id !== id)
@@ -100,11 +281,78 @@ export const DataService = {
     }
   },
 
+  /**
+   * Restaura os registros de um item da lixeira
+   * 
+   * Registros que já estão nos dados são ignorados;
+   * datas que já possuem outro registro ficam sinalizadas como duplicadas.
+   * 
+   * @param {Array} registros - Array atual de registros
+   * @param {Function} setRegistros - Setter do estado de registros
+   * @param {Array} lixeira - Itens atuais da lixeira
+   * @param {Function} setLixeira - Setter do estado da lixeira
+   * @param {string} itemId - ID do item da lixeira
+   */
+  restaurarDaLixeira: (registros, setRegistros, lixeira, setLixeira, itemId) => {
+    const item = lixeira.find((itemLixeira) => itemLixeira.id === itemId);
+    if (!item) return;
+
+    const idsAtuais = new Set(registros.map((registro) => registro.id));
+    const restaurados = item.registros.filter((registro) => !idsAtuais.has(registro.id));
+
+    console.log(`♻️ Restaurando ${restaurados.length} registro(s) da lixeira`);
+
+    if (restaurados.length > 0) {
+      setRegistros((registrosAtuais) => [...registrosAtuais, ...restaurados]);
+    }
+    setLixeira((itens) => itens.filter((itemLixeira) => itemLixeira.id !== itemId));
+
+    alert(
+      restaurados.length > 0
+        ? `♻️ ${restaurados.length} registro(s) restaurado(s).`
+        : "ℹ️ Os registros deste item já estão nos dados atuais."
+    );
+  },
+
+  /**
+   * Exclui definitivamente um item da lixeira após confirmação
+   * 
+   * @param {Function} setLixeira - Setter do estado da lixeira
+   * @param {string} itemId - ID do item da lixeira
+   */
+  excluirDaLixeira: (setLixeira, itemId) => {
+    const confirmacao = window.confirm(
+      "🗑️ Excluir definitivamente este item da lixeira?\n\nEsta ação não pode ser desfeita."
+    );
+
+    if (confirmacao) {
+      console.log("🗑️ Excluindo definitivamente da lixeira:", itemId);
+      setLixeira((itens) => itens.filter((item) => item.id !== itemId));
+    }
+  },
+
+  /**
+   * Exclui definitivamente todos os itens da lixeira após confirmação
+   * 
+   * @param {Function} setLixeira - Setter do estado da lixeira
+   */
+  esvaziarLixeira: (setLixeira) => {
+    const confirmacao = window.confirm(
+      "🗑️ Esvaziar a lixeira?\n\nTodos os itens serão excluídos definitivamente."
+    );
+
+    if (confirmacao) {
+      console.log("🗑️ Esvaziando lixeira");
+      setLixeira([]);
+    }
+  },
+
   /**
    * Atualiza campo específico de um registro
    * 
    * Permite modificação granular de qualquer campo do registro
-   * mantendo imutabilidade do estado.
+   * mantendo imutabilidade do estado. Ao alterar a data, as marcações
+   * são reposicionadas no novo dia preservando os horários.
    * 
    * @param {Function} setRegistros - Setter do estado de registros
    * @param {string} id - ID do registro a ser atualizado
@@ -114,52 +362,222 @@ export const DataService = {
   atualizarRegistro: (setRegistros, id, campo, valor) => {
     console.log(`✏️ Atualizando registro ${id}: ${campo} = ${valor}`);
     
+    // Edições seguidas do mesmo campo formam um único passo de desfazer
     setRegistros((registrosAtuais) =>
-      registrosAtuais.map((registro) => 
-        registro.id === id 
-          ? { ...registro, [campo]: valor }  // Atualizar campo específico
-          : registro                         // Manter registro inalterado
-      )
+      registrosAtuais.map((registro) => {
+        if (registro.id !== id) return registro; // Manter registro inalterado
+
+        if (campo === "data" && valor) {
+          // Mover marcações para a nova data (mantendo virada da meia-noite)
+          const { entrada, saida, ...restante } = registro;
+          return {
+            ...restante,
+            data: valor,
+            intervalos: DateUtils.normalizarIntervalos(valor, DateUtils.obterIntervalos(registro)),
+          };
+        }
+
+        return { ...registro, [campo]: valor }; // Atualizar campo específico
+      }),
+      `${id}:${campo}`
     );
   },
 
+  /**
+   * Altera a data de um registro, tratando a colisão com outro registro
+   * 
+   * Se a nova data já possui registro, oferece combinar as marcações dos
+   * dois; recusando, a data é alterada e a duplicidade fica sinalizada na
+   * tabela para resolução posterior.
+   * 
+   * @param {Array} registros - Array atual de registros
+   * @param {Function} setRegistros - Setter do estado de registros
+   * @param {string} id - ID do registro
+   * @param {string} novaData - Nova data (YYYY-MM-DD)
+   */
+  alterarDataRegistro: (registros, setRegistros, id, novaData) => {
+    const existente = registros.find((registro) => registro.id !== id && registro.data === novaData);
+
+    if (existente && window.confirm(
+      `📋 Já existe um registro em ${DateUtils.formatarData(novaData)}.\n\n` +
+      `Deseja combinar as marcações dos dois registros em um só?`
+    )) {
+      const registro = registros.find((item) => item.id === id);
+      // As marcações do registro movido passam para a nova data antes de combinar
+      const movido = {
+        ...registro,
+        data: novaData,
+        intervalos: DateUtils.normalizarIntervalos(novaData, DateUtils.obterIntervalos(registro)),
+      };
+      DataService.substituirPorMesclado(setRegistros, [existente, movido]);
+      return;
+    }
+
+    DataService.atualizarRegistro(setRegistros, id, "data", novaData);
+  },
+
+  /**
+   * Substitui registros da mesma data pelo registro combinado
+   * 
+   * O combinado ocupa a posição do primeiro registro do grupo.
+   * 
+   * @param {Function} setRegistros - Setter do estado de registros
+   * @param {Array} grupo - Registros da mesma data
+   */
+  substituirPorMesclado: (setRegistros, grupo) => {
+    const mesclado = DateUtils.mesclarRegistros(grupo);
+    const idsRemovidos = new Set(grupo.slice(1).map((registro) => registro.id));
+
+    console.log(`🔗 Combinando ${grupo.length} registros de ${mesclado.data}:`, mesclado);
+
+    setRegistros((registrosAtuais) =>
+      registrosAtuais
+        .filter((registro) => !idsRemovidos.has(registro.id))
+        .map((registro) => (registro.id === mesclado.id ? mesclado : registro))
+    );
+  },
+
+  /**
+   * Resolve registros duplicados de uma data: combina as marcações ou
+   * mantém apenas um deles
+   * 
+   * A escolha é feita no DuplicidadePanel. Os registros descartados vão
+   * para a lixeira (um item por registro), de onde podem ser restaurados.
+   * 
+   * @param {Array} registros - Array atual de registros
+   * @param {Function} setRegistros - Setter do estado de registros
+   * @param {Function} setLixeira - Setter do estado da lixeira (recebe os registros descartados)
+   * @param {string} data - Data duplicada (YYYY-MM-DD)
+   * @param {string} [idMantido] - Registro a manter; ausente, as marcações são combinadas
+   * @returns {boolean} true se a duplicidade foi resolvida
+   */
+  resolverDuplicidade: (registros, setRegistros, setLixeira, data, idMantido) => {
+    const grupo = registros.filter((registro) => registro.data === data);
+    if (grupo.length < 2) return false;
+
+    if (!idMantido) {
+      DataService.substituirPorMesclado(setRegistros, grupo);
+      return true;
+    }
+
+    const mantido = grupo.find((registro) => registro.id === idMantido);
+    if (!mantido) return false;
+
+    console.log(`📋 Mantendo o registro ${mantido.id} em ${data}`);
+    const descartados = grupo.filter((registro) => registro !== mantido);
+    setLixeira((itens) => [
+      ...descartados.map((registro) => LixeiraService.criarItem([registro], "exclusao")),
+      ...itens,
+    ]);
+    const idsRemovidos = new Set(descartados.map((registro) => registro.id));
+    setRegistros((registrosAtuais) =>
+      registrosAtuais.filter((registro) => !idsRemovidos.has(registro.id))
+    );
+    return true;
+  },
+
   /**
    * Manipula mudanças em campos de horário (entrada/saída)
    * 
    * Converte input de time (HH:MM) para ISO string completa,
    * considerando a data do registro para criar timestamp correto.
+   * Quando a saída é anterior à entrada, ela é registrada no dia
+   * seguinte (turnos que cruzam a meia-noite).
+   * Registros no formato legado (entrada/saida únicos) são convertidos
+   * para a lista de intervalos na primeira edição.
    * 
    * @param {Array} registros - Array atual de registros
    * @param {Function} setRegistros - Setter do estado de registros
    * @param {string} id - ID do registro
    * @param {string} campo - "entrada" ou "saida"
    * @param {string} valor - Horário no formato HH:MM ou string vazia
+   * @param {number} [indice=0] - Posição do intervalo dentro do registro
    */
-  handleTimeChange: (registros, setRegistros, id, campo, valor) => {
-    if (valor) {
-      // Encontrar o registro correspondente
-      const registro = registros.find((r) => r.id === id);
-      
-      if (registro) {
-        // Extrair horas e minutos do input
-        const [hours, minutes] = valor.split(":");
-        
-        // Criar data completa combinando data do registro com horário
-        const dataCompleta = new Date(registro.data + "T00:00:00");
-        dataCompleta.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-        
-        // Converter para ISO string e atualizar
-        DataService.atualizarRegistro(
-          setRegistros, 
-          id, 
-          campo, 
-          dataCompleta.toISOString()
-        );
-      }
-    } else {
-      // Limpar horário (valor vazio)
-      DataService.atualizarRegistro(setRegistros, id, campo, "");
-    }
+  handleTimeChange: (registros, setRegistros, id, campo, valor, indice = 0) => {
+    // Encontrar o registro correspondente
+    const registro = registros.find((r) => r.id === id);
+    if (!registro) return;
+
+    // Combinar data do registro com horário (ou limpar quando vazio)
+    const valorISO = valor ? DateUtils.combinarDataHorario(registro.data, valor) : "";
+
+    const intervalos = DateUtils.obterIntervalos(registro).map((intervalo, i) =>
+      i === indice ? { ...intervalo, [campo]: valorISO } : intervalo
+    );
+
+    // Saídas anteriores à entrada passam para o dia seguinte (turno noturno)
+    DataService.atualizarIntervalos(
+      setRegistros,
+      id,
+      DateUtils.normalizarIntervalos(registro.data, intervalos),
+      `${id}:${campo}:${indice}`
+    );
+  },
+
+  /**
+   * Substitui a lista de intervalos (pares entrada/saída) de um registro
+   * 
+   * Remove os campos legados `entrada`/`saida` para que o registro passe
+   * a ser lido exclusivamente pelos intervalos.
+   * 
+   * @param {Function} setRegistros - Setter do estado de registros
+   * @param {string} id - ID do registro
+   * @param {Array} intervalos - Nova lista de intervalos
+   * @param {string} [chaveAgrupamento] - Chave que agrupa edições seguidas em um
+   *   único passo de desfazer (sem chave, a alteração abre um novo passo)
+   */
+  atualizarIntervalos: (setRegistros, id, intervalos, chaveAgrupamento) => {
+    console.log(`✏️ Atualizando intervalos do registro ${id}:`, intervalos);
+
+    setRegistros((registrosAtuais) =>
+      registrosAtuais.map((registro) => {
+        if (registro.id !== id) return registro;
+
+        const { entrada, saida, ...restante } = registro;
+        return { ...restante, intervalos };
+      }),
+      chaveAgrupamento
+    );
+  },
+
+  /**
+   * Adiciona um novo par de marcação vazio ao final do registro
+   * 
+   * @param {Array} registros - Array atual de registros
+   * @param {Function} setRegistros - Setter do estado de registros
+   * @param {string} id - ID do registro
+   */
+  adicionarIntervalo: (registros, setRegistros, id) => {
+    const registro = registros.find((r) => r.id === id);
+    if (!registro) return;
+
+    DataService.atualizarIntervalos(setRegistros, id, [
+      ...DateUtils.obterIntervalos(registro),
+      { entrada: "", saida: "" },
+    ]);
+  },
+
+  /**
+   * Remove um par de marcação do registro
+   * 
+   * O registro sempre mantém ao menos um par (vazio) para edição.
+   * 
+   * @param {Array} registros - Array atual de registros
+   * @param {Function} setRegistros - Setter do estado de registros
+   * @param {string} id - ID do registro
+   * @param {number} indice - Posição do intervalo a remover
+   */
+  removerIntervalo: (registros, setRegistros, id, indice) => {
+    const registro = registros.find((r) => r.id === id);
+    if (!registro) return;
+
+    const intervalos = DateUtils.obterIntervalos(registro).filter((_, i) => i !== indice);
+
+    DataService.atualizarIntervalos(
+      setRegistros,
+      id,
+      intervalos.length > 0 ? intervalos : [{ entrada: "", saida: "" }]
+    );
   },
 
   // ===============================
@@ -217,8 +635,9 @@ export const DataService = {
    * @param {Array} registros - Todos os registros do sistema
    * @param {Object} resumo - Estatísticas do período atual
    * @param {string} escalaAtual - ID da escala de trabalho
+   * @param {Array} projetos - Catálogo de projetos (nomes da coluna "Projetos")
    */
-  exportarDados: (registros, resumo, escalaAtual) => {
+  exportarDados: (registros, resumo, escalaAtual, projetos = []) => {
     try {
       console.log("📤 Iniciando exportação de dados...");
       
@@ -230,38 +649,55 @@ export const DataService = {
         "Data", 
         "Entrada", 
         "Saída", 
+        "Intervalos", 
         "Horas Trabalhadas", 
         "Diferença da Jornada", 
         "Status", 
-        "Escala"
+        "Escala",
+        "Horas Noturnas",
+        "Noturno (Hora Reduzida)",
+        "Observações",
+        "Tags",
+        "Projetos"
       ];
 
       // Processar cada registro para linha do CSV
       const linhasCSV = registros.map((registro) => {
-        // Calcular métricas do registro
-        const horasTrabalhadas = DateUtils.calcularHorasTrabalhadas(
-          registro.entrada, 
-          registro.saida
-        );
-        const diferenca = horasTrabalhadas > 0 
-          ? horasTrabalhadas - escalaInfo.horasPorDia 
-          : 0;
+        // Calcular métricas do registro (soma de todos os intervalos)
+        const { horasTrabalhadas, diferenca, diferencaBruta, feriado, tipo, noturno } =
+          DateUtils.calcularResultadoDia(registro, escalaAtual);
+        const ehAusencia = tipo.efeito !== "trabalho";
+        // Marcações de dias de ausência são ignoradas no cálculo e não são exportadas
+        const intervalos = ehAusencia
+          ? [{ entrada: "", saida: "" }]
+          : DateUtils.obterIntervalos(registro);
+        const primeiraEntrada = intervalos[0].entrada;
+        const ultimaSaida = intervalos[intervalos.length - 1].saida;
 
-        // Determinar status baseado na diferença
+        // Determinar status baseado na diferença (ou no tipo de ausência)
         let status = "Normal";
         if (diferenca > 0) status = "Hora Extra";
         if (diferenca < 0) status = "Débito";
         if (horasTrabalhadas === 0) status = "Sem Registro";
+        if (diferenca !== diferencaBruta) status += ` (Tolerância: ${DateUtils.formatarMinutos(diferencaBruta)})`;
+        if (ehAusencia) status = tipo.nome;
+        if (feriado) status += ` (Feriado${feriado.meioPeriodo ? " meio período" : ""}: ${feriado.nome})`;
 
         // Retornar linha formatada
         return [
           DateUtils.formatarData(registro.data),
-          registro.entrada ? DateUtils.formatarHora(registro.entrada) : "",
-          registro.saida ? DateUtils.formatarHora(registro.saida) : "",
+          primeiraEntrada ? DateUtils.formatarHora(primeiraEntrada) : "",
+          ultimaSaida ? DateUtils.formatarHora(ultimaSaida) : "",
+          ehAusencia ? "" : DateUtils.formatarIntervalos(registro),
           horasTrabalhadas > 0 ? DateUtils.formatarMinutos(horasTrabalhadas) : "0:00h",
-          horasTrabalhadas > 0 ? DateUtils.formatarMinutos(diferenca) : "0:00h",
+          diferenca !== 0 ? DateUtils.formatarMinutos(diferenca) : "0:00h",
           status,
-          escalaInfo.nome,
+          DateUtils.obterEscalaInfo(DateUtils.obterEscalaNaData(registro.data, escalaAtual)).nome,
+          noturno.minutos > 0 ? DateUtils.formatarMinutos(noturno.minutos) : "",
+          noturno.minutos > 0 ? DateUtils.formatarMinutos(noturno.minutosReduzidos) : "",
+          (registro.observacao || "").replace(/\s*\n\s*/g, " "),
+          (registro.tags || []).join("; "),
+          ProjetosUtils.descreverAlocacoes(registro, projetos),
         ];
       });
 
@@ -270,36 +706,141 @@ export const DataService = {
         "--- RESUMO DO PERÍODO ---", 
         "", 
         "",
+        "",
         DateUtils.formatarMinutos(resumo.horasTrabalhadasTotal),
         DateUtils.formatarMinutos(resumo.saldoFinal),
         `${resumo.diasTrabalhados}/${resumo.diasUteis} dias`,
         escalaInfo.nome,
+        DateUtils.formatarMinutos(resumo.totalNoturno),
+        DateUtils.formatarMinutos(resumo.totalNoturnoReduzido),
+      ];
+
+      // Linha do banco de horas (saldo anterior, movimento e saldo final do mês)
+      const bancoHorasLinha = [
+        "--- BANCO DE HORAS ---",
+        `Saldo anterior: ${DateUtils.formatarMinutos(resumo.saldoAnterior)}`,
+        `Movimento do mês: ${DateUtils.formatarMinutos(resumo.saldoFinal)}`,
+        `Saldo acumulado: ${DateUtils.formatarMinutos(resumo.saldoAcumulado)}`,
+        "",
+        "",
+        "",
+        "",
+        "",
+        ""
+      ];
+
+      // Linha do adicional noturno (22:00 às 05:00, hora de 52m30s)
+      const noturnoLinha = [
+        "--- ADICIONAL NOTURNO ---",
+        `Horas noturnas: ${DateUtils.formatarMinutos(resumo.totalNoturno)}`,
+        `Em hora reduzida: ${DateUtils.formatarMinutos(resumo.totalNoturnoReduzido)}`,
+        "",
+        "",
+        "",
+        "",
+        "",
+        "",
+        ""
       ];
 
+      // Linha do valor das horas extras (separado por adicional)
+      const { remuneracao } = resumo;
+      const remuneracaoLinha = [
+        "--- VALOR DAS HORAS EXTRAS ---",
+        `Hora normal: ${RemuneracaoUtils.formatarMoeda(remuneracao.valorHora)}`,
+        `Dias comuns: ${DateUtils.formatarMinutos(remuneracao.minutosDiasUteis)} = ${RemuneracaoUtils.formatarMoeda(remuneracao.valorDiasUteis)}`,
+        `Domingos/feriados: ${DateUtils.formatarMinutos(remuneracao.minutosDomingosFeriados)} = ${RemuneracaoUtils.formatarMoeda(remuneracao.valorDomingosFeriados)}`,
+        `Total: ${RemuneracaoUtils.formatarMoeda(remuneracao.valorTotal)}`,
+        "",
+        "",
+        "",
+        "",
+        ""
+      ];
+
+      // Horas e valor a faturar por projeto no período atual (apenas com alocações)
+      const relatorioProjetos = resumo.projetos;
+      const projetosLinhas = relatorioProjetos.minutosAlocados > 0
+        ? [
+            ...relatorioProjetos.linhas.map((linha) => [
+              "--- PROJETO ---",
+              ProjetosUtils.rotularProjeto(linha),
+              `Horas: ${DateUtils.formatarMinutos(linha.minutos).replace("+", "")}`,
+              `Dias: ${linha.dias}`,
+              linha.faturavel ? "Faturável" : "Não faturável",
+              linha.faturavel ? `Valor/hora: ${RemuneracaoUtils.formatarMoeda(linha.valorHora)}` : "",
+              linha.faturavel ? `Valor: ${RemuneracaoUtils.formatarMoeda(linha.valor)}` : "",
+              "",
+              "",
+              ""
+            ]),
+            [
+              "--- PROJETOS (TOTAL) ---",
+              `Alocadas: ${DateUtils.formatarMinutos(relatorioProjetos.minutosAlocados).replace("+", "")}`,
+              `Faturáveis: ${DateUtils.formatarMinutos(relatorioProjetos.minutosFaturaveis).replace("+", "")}`,
+              `Valor a faturar: ${RemuneracaoUtils.formatarMoeda(relatorioProjetos.valorTotal)}`,
+              "",
+              "",
+              "",
+              "",
+              "",
+              ""
+            ]
+          ]
+        : [];
+
       // Linha de configuração da escala
       const configEscalaLinha = [
         "--- CONFIGURAÇÃO DA ESCALA ---", 
         escalaInfo.nome,
         escalaInfo.descricao,
-        `${escalaInfo.horasPorDia / 60}h/dia`,
+        escalaInfo.minutosPorDiaSemana ? "Meta por dia da semana" : `${escalaInfo.horasPorDia / 60}h/dia`,
         `${escalaInfo.horasSemana}h/semana`,
         "",
+        "",
+        "",
+        "",
         ""
       ];
 
+      // Escalas vigentes entre o primeiro e o último registro exportado
+      const datasRegistros = registros.map((registro) => registro.data).sort();
+      const escalasPeriodo = datasRegistros.length > 0
+        ? DateUtils.obterEscalasNoPeriodo(datasRegistros[0], datasRegistros[datasRegistros.length - 1], escalaAtual)
+        : [];
+      const escalasPeriodoLinhas = escalasPeriodo.length > 1
+        ? escalasPeriodo.map((trecho) => [
+            "--- ESCALA NO PERÍODO ---",
+            trecho.nome,
+            `${DateUtils.formatarData(trecho.inicio)} a ${DateUtils.formatarData(trecho.fim)}`,
+            "",
+            "",
+            "",
+            "",
+            "",
+            "",
+            ""
+          ])
+        : [];
+
       // Combinar todas as linhas
       const todasLinhas = [
         cabecalho, 
         ...linhasCSV, 
         [""], 
         resumoLinha, 
+        bancoHorasLinha,
+        noturnoLinha,
+        remuneracaoLinha,
+        ...projetosLinhas,
         [""], 
-        configEscalaLinha
+        configEscalaLinha,
+        ...escalasPeriodoLinhas
       ];
 
-      // Converter para formato CSV
+      // Converter para formato CSV (aspas internas duplicadas)
       const csvContent = todasLinhas
-        .map((linha) => linha.map((campo) => `"${campo}"`).join(","))
+        .map((linha) => linha.map((campo) => `"${String(campo).replace(/"/g, '""')}"`).join(","))
         .join("\n");
 
       // Criar e baixar arquivo
@@ -366,7 +907,7 @@ export const DataService = {
         }
 
         // Analisar cabeçalho para validar estrutura
-        const cabecalho = linhas[0].split(",").map((col) => col.replace(/"/g, "").trim());
+        const cabecalho = dividirLinhaCSV(linhas[0]);
         const colunasEsperadas = ["Data", "Entrada", "Saída"];
         const temColunasBasicas = colunasEsperadas.some((col) =>
           cabecalho.some((header) => header.includes(col))
@@ -377,24 +918,37 @@ export const DataService = {
           return;
         }
 
+        // Localizar colunas pelo cabeçalho (com posição padrão para arquivos antigos)
+        const localizarColuna = (nome, padrao) => {
+          const indice = cabecalho.findIndex((header) => header === nome);
+          return indice >= 0 ? indice : padrao;
+        };
+        const indiceEntrada = localizarColuna("Entrada", 1);
+        const indiceSaida = localizarColuna("Saída", 2);
+        const indiceIntervalos = localizarColuna("Intervalos", -1);
+        const indiceStatus = localizarColuna("Status", -1);
+        const indiceObservacoes = localizarColuna("Observações", -1);
+        const indiceTags = localizarColuna("Tags", -1);
+        const indiceProjetos = localizarColuna("Projetos", -1);
+
         const registrosImportados = [];
 
         // Processar cada linha de dados
         for (let i = 1; i < linhas.length; i++) {
           const linha = linhas[i].trim();
-          
-          // Pular linhas vazias, resumos ou configurações
-          if (!linha || 
-              linha.startsWith("---") || 
-              linha.includes("RESUMO") || 
-              linha.includes("CONFIGURAÇÃO")) {
+          if (!linha) continue;
+
+          const campos = dividirLinhaCSV(linha);
+
+          // Registros começam pela data; cabeçalhos de seção (resumo,
+          // configuração) e suas linhas são ignorados. Observações podem
+          // conter qualquer texto, por isso só a primeira coluna é avaliada.
+          if (!/^(\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{4})$/.test(campos[0])) {
             continue;
           }
 
-          const campos = linha.split(",").map((campo) => campo.replace(/"/g, "").trim());
-
           // Validar se linha tem dados suficientes
-          if (campos.length >= 3 && campos[0] && !campos[0].startsWith("---")) {
+          if (campos.length >= 3) {
             try {
               // Processar data
               let dataFormatada = campos[0];
@@ -404,37 +958,49 @@ export const DataService = {
                 dataFormatada = `${ano}-${mes.padStart(2, "0")}-${dia.padStart(2, "0")}`;
               }
 
-              const entradaStr = campos[1];
-              const saidaStr = campos[2];
+              // Processar horários: coluna "Intervalos" (múltiplos pares)
+              // tem prioridade; arquivos antigos usam apenas Entrada/Saída
+              const intervalosStr = indiceIntervalos >= 0 ? campos[indiceIntervalos] : "";
+              const paresHorarios = intervalosStr
+                ? intervalosStr.split("|").map((par) => par.trim().split("-"))
+                : [[campos[indiceEntrada], campos[indiceSaida]]];
 
-              // Processar horários
-              let entradaISO = "";
-              let saidaISO = "";
+              // O sufixo "(+1)" (dia seguinte) é recalculado pela normalização
+              const limparHorario = (horario) => (horario || "").replace("(+1)", "").trim();
 
-              if (entradaStr && entradaStr !== "") {
-                const [horaE, minE] = entradaStr.split(":").map((x) => parseInt(x));
-                if (!isNaN(horaE) && !isNaN(minE)) {
-                  const entradaDate = new Date(dataFormatada + "T00:00:00");
-                  entradaDate.setHours(horaE, minE, 0, 0);
-                  entradaISO = entradaDate.toISOString();
-                }
-              }
+              const intervalos = DateUtils.normalizarIntervalos(
+                dataFormatada,
+                paresHorarios.map(([entradaStr, saidaStr]) => ({
+                  entrada: DateUtils.combinarDataHorario(dataFormatada, limparHorario(entradaStr)),
+                  saida: DateUtils.combinarDataHorario(dataFormatada, limparHorario(saidaStr)),
+                }))
+              );
 
-              if (saidaStr && saidaStr !== "") {
-                const [horaS, minS] = saidaStr.split(":").map((x) => parseInt(x));
-                if (!isNaN(horaS) && !isNaN(minS)) {
-                  const saidaDate = new Date(dataFormatada + "T00:00:00");
-                  saidaDate.setHours(horaS, minS, 0, 0);
-                  saidaISO = saidaDate.toISOString();
-                }
-              }
+              // Ausências são exportadas com o nome do tipo na coluna Status
+              const status = indiceStatus >= 0 ? campos[indiceStatus] || "" : "";
+              const tipoAusencia = TIPOS_REGISTRO.find(
+                (tipo) => tipo.efeito !== "trabalho" && status.startsWith(tipo.nome)
+              );
+
+              // Observações e tags (separadas por ";") quando o arquivo as possui
+              const observacao = indiceObservacoes >= 0 ? campos[indiceObservacoes] || "" : "";
+              const tags = indiceTags >= 0
+                ? DateUtils.normalizarTags((campos[indiceTags] || "").split(";"))
+                : [];
+              // Alocações localizadas pelo nome no catálogo de projetos atual
+              const alocacoes = indiceProjetos >= 0
+                ? ProjetosUtils.interpretarAlocacoes(campos[indiceProjetos])
+                : [];
 
               // Criar registro importado
               registrosImportados.push({
                 id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${i}`,
                 data: dataFormatada,
-                entrada: entradaISO,
-                saida: saidaISO,
+                intervalos,
+                ...(tipoAusencia && { tipo: tipoAusencia.id }),
+                ...(observacao && { observacao }),
+                ...(tags.length > 0 && { tags }),
+                ...(alocacoes.length > 0 && { alocacoes }),
               });
               
             } catch (error) {
@@ -450,11 +1016,29 @@ export const DataService = {
           return;
         }
 
+        // Datas repetidas no arquivo: oferecer combinar as marcações de cada data
+        const duplicados = DateUtils.encontrarDuplicados(registrosImportados);
+        if (duplicados.length > 0 && window.confirm(
+          `📋 O arquivo tem ${duplicados.length} data(s) com mais de um registro ` +
+          `(${duplicados.slice(0, 5).map((grupo) => DateUtils.formatarData(grupo.data)).join(", ")}` +
+          `${duplicados.length > 5 ? "..." : ""}).\n\n` +
+          `Deseja combinar as marcações de cada data em um único registro?`
+        )) {
+          duplicados.forEach((grupo) => {
+            const mesclado = DateUtils.mesclarRegistros(grupo.registros);
+            const posicao = registrosImportados.indexOf(grupo.registros[0]);
+            registrosImportados[posicao] = mesclado;
+            grupo.registros.slice(1).forEach((registro) =>
+              registrosImportados.splice(registrosImportados.indexOf(registro), 1)
+            );
+          });
+        }
+
         // Confirmar substituição dos dados
         const confirmacao = window.confirm(
           `📊 Foram encontrados ${registrosImportados.length} registros válidos.\n\n` +
           `⚠️ Deseja substituir todos os dados atuais pelos dados importados?\n\n` +
-          `Esta ação não pode ser desfeita.`
+          `Use Desfazer (Ctrl+Z) para voltar aos dados anteriores.`
         );
         
         if (confirmacao) {
@@ -485,31 +1069,39 @@ export const DataService = {
    * 
    * Aplica dupla confirmação para evitar perda acidental de dados
    * e limpa tanto o estado quanto o localStorage (quando disponível).
+   * Uma cópia de todos os registros é guardada na lixeira antes da limpeza.
    * 
+   * @param {Array} registros - Array atual de registros
    * @param {Function} setRegistros - Setter do estado de registros
+   * @param {Function} setLixeira - Setter do estado da lixeira
    */
-  limparDados: (setRegistros) => {
+  limparDados: (registros, setRegistros, setLixeira) => {
     // Primeira confirmação
     const primeiraConfirmacao = window.confirm(
       "🗑️ Tem certeza que deseja limpar TODOS os dados?\n\n" +
-      "Esta ação removerá permanentemente:\n" +
+      "Esta ação removerá:\n" +
       "• Todos os registros de ponto\n" +
       "• Histórico de horas trabalhadas\n" +
       "• Configurações salvas\n\n" +
-      "Esta ação não pode ser desfeita."
+      "Uma cópia dos registros ficará na lixeira para ser restaurada."
     );
     
     if (primeiraConfirmacao) {
       // Segunda confirmação para maior segurança
       const segundaConfirmacao = window.confirm(
         "⚠️ ATENÇÃO: CONFIRMAÇÃO FINAL\n\n" +
-        "Todos os registros serão perdidos permanentemente.\n\n" +
+        "Todos os registros serão removidos.\n\n" +
         "Tem certeza absoluta que deseja continuar?"
       );
       
       if (segundaConfirmacao) {
         console.log("🗑️ Iniciando limpeza completa dos dados...");
         
+        // Guardar cópia de tudo na lixeira antes de apagar
+        if (registros.length > 0) {
+          setLixeira((itens) => [LixeiraService.criarItem(registros, "limpeza"), ...itens]);
+        }
+
         // Limpar estado da aplicação
         setRegistros([]);
         
@@ -528,5 +1120,678 @@ export const DataService = {
         console.log("🗑️ Limpeza concluída");
       }
     }
+  },
+
+  // ===============================
+  // GERENCIAMENTO DE CONFIGURAÇÕES
+  // ===============================
+
+  /**
+   * Cadastra um feriado do usuário (municipal, estadual ou ponte da empresa)
+   * 
+   * Valida data e nome e impede dois cadastros para a mesma data.
+   * Feriados recorrentes são comparados apenas por dia/mês.
+   * 
+   * @param {Object} configuracoes - Configurações atuais
+   * @param {Function} atualizarConfiguracoes - Atualizador das configurações
+   * @param {Object} feriado - Dados do formulário
+   * @param {string} feriado.data - Data no formato YYYY-MM-DD
+   * @param {string} feriado.nome - Descrição do feriado
+   * @param {boolean} feriado.recorrente - Repete todo ano na mesma data
+   * @param {boolean} feriado.meioPeriodo - Dispensa apenas metade da jornada
+   * @returns {boolean} true se o feriado foi cadastrado
+   */
+  adicionarFeriado: (configuracoes, atualizarConfiguracoes, feriado) => {
+    const nome = (feriado.nome || "").trim();
+
+    if (!feriado.data || !nome) {
+      alert("⚠️ Informe a data e o nome do feriado.");
+      return false;
+    }
+
+    const feriadosAtuais = configuracoes.feriadosPersonalizados || [];
+    const duplicado = feriadosAtuais.find((existente) =>
+      existente.recorrente || feriado.recorrente
+        ? existente.data.substring(5) === feriado.data.substring(5)
+        : existente.data === feriado.data
+    );
+
+    if (duplicado) {
+      alert(`⚠️ Já existe um feriado cadastrado nesta data: ${duplicado.nome}.`);
+      return false;
+    }
+
+    const novoFeriado = {
+      id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      data: feriado.data,
+      nome,
+      recorrente: !!feriado.recorrente,
+      meioPeriodo: !!feriado.meioPeriodo,
+    };
+
+    console.log("🎉 Adicionando feriado:", novoFeriado);
+
+    atualizarConfiguracoes({
+      feriadosPersonalizados: [...feriadosAtuais, novoFeriado].sort((a, b) =>
+        a.data.localeCompare(b.data)
+      ),
+    });
+    return true;
+  },
+
+  /**
+   * Define a abertura do banco de horas
+   * 
+   * @param {Function} atualizarConfiguracoes - Atualizador das configurações
+   * @param {Object} dados - Dados do formulário
+   * @param {string} dados.saldoInicial - Saldo de abertura no formato [+|-]H:MM
+   * @param {string} dados.inicio - Mês de abertura (YYYY-MM) ou vazio
+   * @returns {boolean} true se a configuração foi salva
+   */
+  atualizarBancoHoras: (atualizarConfiguracoes, dados) => {
+    const saldoInicial = DateUtils.converterSaldoParaMinutos(dados.saldoInicial || "0:00");
+
+    if (saldoInicial === null) {
+      alert("⚠️ Saldo inicial inválido. Use o formato H:MM, com sinal negativo para débito (ex: -3:30).");
+      return false;
+    }
+
+    console.log("🏦 Atualizando banco de horas:", saldoInicial, dados.inicio);
+
+    atualizarConfiguracoes({
+      bancoHoras: { saldoInicial, inicio: dados.inicio || "" },
+    });
+    return true;
+  },
+
+  /**
+   * Salva o perfil de remuneração usado para valorar as horas extras
+   * 
+   * @param {Function} atualizarConfiguracoes - Atualizador das configurações
+   * @param {Object} dados - Dados do formulário (valores numéricos ou texto)
+   * @returns {boolean} true se o perfil foi salvo
+   */
+  atualizarRemuneracao: (atualizarConfiguracoes, dados) => {
+    // Aceita vírgula como separador decimal (ex: "3500,50")
+    const converterNumero = (valor) => Number(String(valor || "0").replace(",", "."));
+
+    const remuneracao = {
+      salario: converterNumero(dados.salario),
+      divisor: converterNumero(dados.divisor),
+      adicionalDiasUteis: converterNumero(dados.adicionalDiasUteis),
+      adicionalDomingosFeriados: converterNumero(dados.adicionalDomingosFeriados),
+    };
+
+    if (Object.values(remuneracao).some((valor) => isNaN(valor) || valor < 0)) {
+      alert("⚠️ Informe apenas valores numéricos positivos.");
+      return false;
+    }
+
+    if (remuneracao.divisor === 0) {
+      alert("⚠️ O divisor mensal deve ser maior que zero (ex: 220).");
+      return false;
+    }
+
+    console.log("💰 Atualizando perfil de remuneração:", remuneracao);
+
+    atualizarConfiguracoes({ remuneracao });
+    return true;
+  },
+
+  /**
+   * Valida e salva a política de tolerância das marcações
+   * 
+   * @param {Function} atualizarConfiguracoes - Atualizador das configurações
+   * @param {Object} dados - Dados do formulário ({ ativa, minutosPorMarcacao, limiteDiario })
+   * @returns {boolean} true se a política foi salva
+   */
+  atualizarTolerancia: (atualizarConfiguracoes, dados) => {
+    const tolerancia = {
+      ativa: !!dados.ativa,
+      minutosPorMarcacao: Number(dados.minutosPorMarcacao),
+      limiteDiario: Number(dados.limiteDiario),
+    };
+
+    if (
+      [tolerancia.minutosPorMarcacao, tolerancia.limiteDiario].some(
+        (valor) => !Number.isInteger(valor) || valor < 0
+      )
+    ) {
+      alert("⚠️ Informe a tolerância em minutos inteiros (ex: 5 e 10).");
+      return false;
+    }
+
+    console.log("⏱️ Atualizando tolerância das marcações:", tolerancia);
+
+    atualizarConfiguracoes({ tolerancia });
+    return true;
+  },
+
+  /**
+   * Valida e salva os limites de horas extras diárias e horas semanais
+   * 
+   * @param {Function} atualizarConfiguracoes - Atualizador das configurações
+   * @param {Object} dados - Dados do formulário ({ extrasDiarias, horasSemanais }, em horas)
+   * @returns {boolean} true se os limites foram salvos
+   */
+  atualizarLimites: (atualizarConfiguracoes, dados) => {
+    const converterNumero = (valor) => Number(String(valor || "0").replace(",", "."));
+
+    const limites = {
+      extrasDiarias: converterNumero(dados.extrasDiarias),
+      horasSemanais: converterNumero(dados.horasSemanais),
+    };
+
+    if (Object.values(limites).some((valor) => isNaN(valor) || valor < 0)) {
+      alert("⚠️ Informe os limites em horas (ex: 2 e 44).");
+      return false;
+    }
+
+    if (limites.extrasDiarias > 24 || limites.horasSemanais > 168) {
+      alert("⚠️ Limites acima de 24h por dia ou 168h por semana não são válidos.");
+      return false;
+    }
+
+    console.log("⏫ Atualizando limites de jornada:", limites);
+
+    atualizarConfiguracoes({ limites });
+    return true;
+  },
+
+  /**
+   * Valida e salva o horário padrão usado para preencher o mês
+   * 
+   * @param {Function} atualizarConfiguracoes - Atualizador das configurações
+   * @param {Object} dados - Dados do formulário ({ entrada, inicioIntervalo, intervalo })
+   * @returns {boolean} true se o horário foi salvo
+   */
+  atualizarJornadaPadrao: (atualizarConfiguracoes, dados) => {
+    const jornadaPadrao = {
+      entrada: dados.entrada,
+      inicioIntervalo: dados.inicioIntervalo,
+      intervalo: Number(dados.intervalo),
+    };
+
+    if (!/^\d{2}:\d{2}$/.test(jornadaPadrao.entrada || "")) {
+      alert("⚠️ Informe o horário de entrada (ex: 08:00).");
+      return false;
+    }
+
+    if (!Number.isInteger(jornadaPadrao.intervalo) || jornadaPadrao.intervalo < 0) {
+      alert("⚠️ Informe o intervalo em minutos inteiros (ex: 60).");
+      return false;
+    }
+
+    if (jornadaPadrao.intervalo > 0 && !/^\d{2}:\d{2}$/.test(jornadaPadrao.inicioIntervalo || "")) {
+      alert("⚠️ Informe o início do intervalo (ex: 12:00).");
+      return false;
+    }
+
+    console.log("🕗 Atualizando horário padrão:", jornadaPadrao);
+
+    atualizarConfiguracoes({ jornadaPadrao });
+    return true;
+  },
+
+  /**
+   * Valida e salva o prazo de retenção da lixeira
+   * 
+   * @param {Function} atualizarConfiguracoes - Atualizador das configurações
+   * @param {Object} dados - Dados do formulário ({ diasRetencao })
+   * @returns {boolean} true se o prazo foi salvo
+   */
+  atualizarLixeira: (atualizarConfiguracoes, dados) => {
+    const lixeira = { diasRetencao: Number(dados.diasRetencao) };
+
+    if (!Number.isInteger(lixeira.diasRetencao) || lixeira.diasRetencao < 0) {
+      alert("⚠️ Informe o prazo em dias inteiros (ex: 30; 0 mantém até excluir manualmente).");
+      return false;
+    }
+
+    console.log("🗑️ Atualizando prazo da lixeira:", lixeira);
+
+    atualizarConfiguracoes({ lixeira });
+    return true;
+  },
+
+  /**
+   * Cria ou atualiza uma escala personalizada
+   * 
+   * A carga diária é informada como duração (H:MM) e pode ser substituída
+   * em dias específicos (ex: sábado com 4h); a semanal é informada em horas
+   * e, se omitida, é a soma das cargas dos dias marcados. A descrição
+   * exibida no seletor é gerada a partir dos dias e das cargas.
+   * 
+   * Escalas cíclicas (12x36, 24x48, 5x1) trocam os dias da semana por uma
+   * sequência de trabalho (T) e folga (F) repetida a partir da data de
+   * início; a carga semanal automática é a média do ciclo. Escalas de
+   * semanas alternadas (sábado sim, sábado não) informam os dias de cada
+   * semana do padrão e uma data da semana A; a carga semanal automática é
+   * a média das semanas.
+   * 
+   * Uma escala em uso (a atual ou uma do histórico de escalas) não é
+   * alterada no lugar, pois isso recalcularia os meses já avaliados por
+   * ela: as alterações são salvas como uma nova escala, que o chamador
+   * passa a usar a partir de `dados.inicio` (registrarTrocaEscala).
+   * 
+   * @param {Object} configuracoes - Configurações atuais
+   * @param {Function} atualizarConfiguracoes - Atualizador das configurações
+   * @param {Object} dados - Dados do formulário
+   * @param {string} [dados.id] - ID da escala em edição (vazio para nova escala)
+   * @param {string} [dados.inicio] - Data (YYYY-MM-DD) a partir da qual a edição de uma escala em uso vale
+   * @param {string} dados.nome - Nome da escala
+   * @param {Array<number>} dados.diasUteis - Dias da semana trabalhados (0=Dom, 6=Sáb)
+   * @param {string} dados.horasPorDia - Carga diária no formato H:MM
+   * @param {Object} [dados.jornadas] - Cargas por dia da semana ({ 6: "4:00" }); vazias usam a diária
+   * @param {string|number} dados.horasSemana - Carga semanal em horas (opcional)
+   * @param {Object} [dados.ciclo] - Escala cíclica ({ sequencia: "TF", inicio: "2024-01-01" })
+   * @param {Object} [dados.padraoSemanas] - Semanas alternadas ({ semanas: [[1, ..., 6], [1, ..., 5]], inicio: "2024-01-01" })
+   * @param {string} escalaAtual - ID da escala atual
+   * @returns {string|null} ID da escala salva ou null se inválida
+   */
+  salvarEscalaPersonalizada: (configuracoes, atualizarConfiguracoes, dados, escalaAtual) => {
+    let nome = (dados.nome || "").trim();
+    const sequencia = String(dados.ciclo?.sequencia || "").trim().toUpperCase();
+    const ciclica = sequencia.length > 0;
+    const ordenarDias = (dias) => [...new Set(dias || [])].sort((a, b) => a - b);
+    // Semanas alternadas exigem ao menos duas semanas no padrão
+    const semanasPadrao = !ciclica && dados.padraoSemanas?.semanas?.length > 1
+      ? dados.padraoSemanas.semanas.map(ordenarDias)
+      : null;
+    // Escalas cíclicas podem cair em qualquer dia da semana; nas alternadas,
+    // valem os dias que aparecem em alguma semana do padrão
+    const diasUteis = ciclica
+      ? [0, 1, 2, 3, 4, 5, 6]
+      : ordenarDias(semanasPadrao ? semanasPadrao.flat() : dados.diasUteis);
+    const horasPorDia = DateUtils.converterSaldoParaMinutos(dados.horasPorDia);
+
+    if (!nome) {
+      alert("⚠️ Informe o nome da escala.");
+      return null;
+    }
+
+    if (ciclica) {
+      if (!/^[TF]+$/.test(sequencia) || !sequencia.includes("T")) {
+        alert("⚠️ Informe o ciclo com T (trabalho) e F (folga), ex: TF para 12x36.");
+        return null;
+      }
+
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(dados.ciclo.inicio || "")) {
+        alert("⚠️ Informe a data de início do ciclo.");
+        return null;
+      }
+    } else if (diasUteis.length === 0) {
+      alert("⚠️ Selecione ao menos um dia de trabalho.");
+      return null;
+    } else if (semanasPadrao && !/^\d{4}-\d{2}-\d{2}$/.test(dados.padraoSemanas.inicio || "")) {
+      alert("⚠️ Informe uma data da semana A.");
+      return null;
+    }
+
+    const cargaValida = (minutos) => minutos > 0 && minutos <= 24 * 60;
+
+    if (!cargaValida(horasPorDia)) {
+      alert("⚠️ Informe a carga diária no formato H:MM (ex: 7:20).");
+      return null;
+    }
+
+    // Meta de cada dia da semana (0 nos dias de folga)
+    const minutosPorDiaSemana = Array.from({ length: 7 }, (_, dia) => {
+      if (!diasUteis.includes(dia)) return 0;
+      const especifica = ciclica ? "" : String(dados.jornadas?.[dia] || "").trim();
+      return especifica ? DateUtils.converterSaldoParaMinutos(especifica) : horasPorDia;
+    });
+
+    if (diasUteis.some((dia) => !cargaValida(minutosPorDiaSemana[dia]))) {
+      alert("⚠️ Informe as cargas de cada dia no formato H:MM (ex: 4:00).");
+      return null;
+    }
+
+    const cargaUnica = diasUteis.every((dia) => minutosPorDiaSemana[dia] === horasPorDia);
+    // Em escalas cíclicas, a semana média é a fração de dias trabalhados × 7
+    const diasTrabalhoCiclo = sequencia.split("").filter((dia) => dia === "T").length;
+    const somarDias = (dias) => dias.reduce((total, dia) => total + minutosPorDiaSemana[dia], 0);
+    const totalSemana = ciclica
+      ? (diasTrabalhoCiclo / sequencia.length) * 7 * horasPorDia
+      : semanasPadrao
+      ? semanasPadrao.reduce((total, dias) => total + somarDias(dias), 0) / semanasPadrao.length
+      : somarDias(diasUteis);
+
+    const horasSemana = String(dados.horasSemana ?? "").trim()
+      ? Number(String(dados.horasSemana).replace(",", "."))
+      : Math.round(totalSemana / 6) / 10;
+
+    if (isNaN(horasSemana) || horasSemana <= 0 || horasSemana > 168) {
+      alert("⚠️ Informe a carga semanal em horas (ex: 44).");
+      return null;
+    }
+
+    const escalasAtuais = configuracoes.escalasPersonalizadas || [];
+    let id = dados.id || `escala_usuario_${Date.now()}`;
+
+    // Escala em uso: a edição vira uma nova escala a partir da data informada
+    const emUso = !!dados.id && (
+      dados.id === escalaAtual ||
+      (configuracoes.historicoEscalas || []).some((periodo) => periodo.escalaId === dados.id)
+    );
+
+    if (emUso) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(dados.inicio || "")) {
+        alert("⚠️ Informe a data a partir da qual a escala alterada vale.");
+        return null;
+      }
+
+      const original = DateUtils.obterEscalas(escalasAtuais).find((escala) => escala.id === dados.id) ||
+        DateUtils.obterEscalaInfo(dados.id);
+      if (!window.confirm(
+        `🗓️ A escala "${original.nome}" já foi usada para calcular meses anteriores.\n\n` +
+        `As alterações serão salvas como uma nova escala, válida a partir de ` +
+        `${DateUtils.formatarData(dados.inicio)}; os dias anteriores mantêm a escala original.\n\n` +
+        `Deseja continuar?`
+      )) {
+        return null;
+      }
+
+      id = `escala_usuario_${Date.now()}`;
+      if (nome.toLowerCase() === original.nome.toLowerCase()) {
+        nome = `${nome} (desde ${DateUtils.formatarData(dados.inicio)})`;
+      }
+    }
+
+    const nomeEmUso = DateUtils.obterEscalas(escalasAtuais).find(
+      (escala) => escala.id !== id && escala.nome.toLowerCase() === nome.toLowerCase()
+    );
+
+    if (nomeEmUso) {
+      alert(`⚠️ Já existe uma escala chamada "${nomeEmUso.nome}".`);
+      return null;
+    }
+
+    // Descrição agrupando os dias com a mesma carga (ex: "Seg, Ter 8:00h; Sáb 4:00h")
+    const grupos = {};
+    diasUteis.forEach((dia) => {
+      const carga = DateUtils.formatarMinutos(minutosPorDiaSemana[dia]).replace("+", "");
+      grupos[carga] = [...(grupos[carga] || []), DIAS_SEMANA_ABREV[dia]];
+    });
+    const descricaoCargas = cargaUnica
+      ? `${DateUtils.formatarMinutos(horasPorDia).replace("+", "")} por dia`
+      : Object.entries(grupos)
+          .map(([carga, dias]) => `${dias.join(", ")} ${carga}`)
+          .join("; ");
+    const descricao = ciclica
+      ? `Ciclo ${sequencia} desde ${DateUtils.formatarData(dados.ciclo.inicio)}, ${descricaoCargas}`
+      : semanasPadrao
+      ? `${semanasPadrao
+          .map((dias, indice) => `Semana ${String.fromCharCode(65 + indice)}: ${dias.map((dia) => DIAS_SEMANA_ABREV[dia]).join(", ") || "folga"}`)
+          .join(" / ")} (${descricaoCargas})`
+      : cargaUnica
+      ? `${diasUteis.map((dia) => DIAS_SEMANA_ABREV[dia]).join(", ")}, ${descricaoCargas}`
+      : descricaoCargas;
+
+    const escala = {
+      id,
+      nome,
+      descricao,
+      horasPorDia,
+      ...(cargaUnica ? {} : { minutosPorDiaSemana }),
+      diasUteis,
+      ...(ciclica ? { ciclo: { sequencia, inicio: dados.ciclo.inicio } } : {}),
+      ...(semanasPadrao ? { padraoSemanas: { semanas: semanasPadrao, inicio: dados.padraoSemanas.inicio } } : {}),
+      horasSemana,
+      personalizavel: true,
+    };
+
+    console.log("🗓️ Salvando escala personalizada:", escala);
+
+    atualizarConfiguracoes({
+      escalasPersonalizadas: escalasAtuais.some((item) => item.id === id)
+        ? escalasAtuais.map((item) => (item.id === id ? escala : item))
+        : [...escalasAtuais, escala],
+    });
+    return id;
+  },
+
+  /**
+   * Remove uma escala personalizada após confirmação
+   * 
+   * Escalas predefinidas editadas voltam à configuração original. A
+   * escala em uso e as do histórico ainda definem a meta dos registros
+   * (inclusive dos meses passados sem período no histórico), por isso não
+   * podem ser removidas nem restauradas.
+   * 
+   * @param {Object} configuracoes - Configurações atuais
+   * @param {Function} atualizarConfiguracoes - Atualizador das configurações
+   * @param {string} id - ID da escala
+   * @param {string} escalaAtual - ID da escala em uso
+   * @returns {boolean} true se a escala foi removida
+   */
+  removerEscalaPersonalizada: (configuracoes, atualizarConfiguracoes, id, escalaAtual) => {
+    const escalasAtuais = configuracoes.escalasPersonalizadas || [];
+    const escala = escalasAtuais.find((item) => item.id === id);
+    if (!escala) return false;
+
+    const predefinida = ESCALAS_TRABALHO.some((item) => item.id === id);
+    const acao = predefinida ? "restaurada" : "removida";
+
+    if (id === escalaAtual) {
+      alert(
+        `⚠️ A escala "${escala.nome}" está em uso e não pode ser ${acao}.\n\n` +
+        "Troque de escala a partir de uma data antes de removê-la."
+      );
+      return false;
+    }
+
+    if ((configuracoes.historicoEscalas || []).some((item) => item.escalaId === id)) {
+      alert(`⚠️ A escala "${escala.nome}" está no histórico de escalas e não pode ser ${acao}.`);
+      return false;
+    }
+
+    const mensagem = predefinida
+      ? `↩️ Restaurar a escala "${escala.nome}" para a configuração original?`
+      : `🗑️ Remover a escala "${escala.nome}"?`;
+
+    if (!window.confirm(mensagem)) return false;
+
+    console.log("🗑️ Removendo escala personalizada:", id);
+    atualizarConfiguracoes({
+      escalasPersonalizadas: escalasAtuais.filter((item) => item.id !== id),
+    });
+    return true;
+  },
+
+  /**
+   * Registra a troca de escala a partir de uma data
+   * 
+   * A escala anterior passa para o histórico até a véspera da data
+   * informada, de modo que os registros anteriores continuam avaliados
+   * pela escala da época. Períodos do histórico posteriores à data são
+   * substituídos pela nova escala.
+   * 
+   * @param {Object} configuracoes - Configurações atuais
+   * @param {Function} atualizarConfiguracoes - Atualizador das configurações
+   * @param {Object} dados - Dados da troca
+   * @param {string} dados.escalaAnterior - ID da escala atual antes da troca
+   * @param {string} dados.escalaId - ID da nova escala
+   * @param {string} dados.inicio - Data (YYYY-MM-DD) a partir da qual a nova escala vale
+   * @returns {boolean} true se a troca foi registrada
+   */
+  registrarTrocaEscala: (configuracoes, atualizarConfiguracoes, dados) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dados.inicio || "")) {
+      alert("⚠️ Informe a data a partir da qual a nova escala vale.");
+      return false;
+    }
+
+    const [ano, mes, dia] = dados.inicio.split("-").map(Number);
+    const vespera = DateUtils.formatarDataISO(new Date(ano, mes - 1, dia - 1));
+    const periodos = [...(configuracoes.historicoEscalas || [])].sort((a, b) =>
+      a.ate.localeCompare(b.ate)
+    );
+
+    // Períodos encerrados antes da data ficam como estão; o período que
+    // atravessa a data (ou a escala anterior, se nenhum) é encerrado na véspera
+    const historico = periodos.filter((periodo) => periodo.ate < vespera);
+    const vigenteNaVespera =
+      periodos.find((periodo) => periodo.ate >= vespera)?.escalaId || dados.escalaAnterior;
+    const ultimo = historico[historico.length - 1];
+
+    if (ultimo && ultimo.escalaId === vigenteNaVespera) {
+      historico[historico.length - 1] = { ...ultimo, ate: vespera };
+    } else {
+      historico.push({ escalaId: vigenteNaVespera, ate: vespera });
+    }
+
+    // Período com a mesma escala da nova se funde a ela
+    if (historico[historico.length - 1].escalaId === dados.escalaId) {
+      historico.pop();
+    }
+
+    console.log(`🗓️ Escala ${dados.escalaId} a partir de ${dados.inicio}:`, historico);
+
+    atualizarConfiguracoes({ historicoEscalas: historico });
+    return true;
+  },
+
+  /**
+   * Remove um período do histórico de escalas após confirmação
+   * 
+   * As datas do período passam a usar a escala do período seguinte.
+   * 
+   * @param {Object} configuracoes - Configurações atuais
+   * @param {Function} atualizarConfiguracoes - Atualizador das configurações
+   * @param {string} ate - Último dia do período (identifica o período)
+   * @returns {boolean} true se o período foi removido
+   */
+  removerPeriodoEscala: (configuracoes, atualizarConfiguracoes, ate) => {
+    const historico = configuracoes.historicoEscalas || [];
+    const periodo = historico.find((item) => item.ate === ate);
+    if (!periodo) return false;
+
+    const nome = DateUtils.obterEscalaInfo(periodo.escalaId).nome;
+    if (!window.confirm(`🗑️ Remover o período da escala "${nome}" até ${DateUtils.formatarData(ate)}? As datas passam a usar a escala seguinte.`)) {
+      return false;
+    }
+
+    console.log("🗑️ Removendo período do histórico de escalas:", periodo);
+    atualizarConfiguracoes({
+      historicoEscalas: historico.filter((item) => item.ate !== ate),
+    });
+    return true;
+  },
+
+  /**
+   * Remove um feriado do usuário após confirmação
+   * 
+   * @param {Object} configuracoes - Configurações atuais
+   * @param {Function} atualizarConfiguracoes - Atualizador das configurações
+   * @param {string} id - ID do feriado
+   */
+  removerFeriado: (configuracoes, atualizarConfiguracoes, id) => {
+    const feriado = (configuracoes.feriadosPersonalizados || []).find((item) => item.id === id);
+    if (!feriado) return;
+
+    if (window.confirm(`🗑️ Remover o feriado "${feriado.nome}"?`)) {
+      console.log("🗑️ Removendo feriado:", id);
+      atualizarConfiguracoes({
+        feriadosPersonalizados: configuracoes.feriadosPersonalizados.filter((item) => item.id !== id),
+      });
+    }
+  },
+
+  // ===============================
+  // PROJETOS E CLIENTES
+  // ===============================
+
+  /**
+   * Cria ou atualiza um projeto do catálogo
+   * 
+   * @param {Object} configuracoes - Configurações atuais
+   * @param {Function} atualizarConfiguracoes - Atualizador das configurações
+   * @param {Object} dados - Dados do formulário
+   * @param {string} [dados.id] - ID do projeto em edição (vazio para novo projeto)
+   * @param {string} dados.nome - Nome do projeto
+   * @param {string} dados.cliente - Cliente (opcional)
+   * @param {boolean} dados.faturavel - Horas cobradas do cliente
+   * @param {string|number} dados.valorHora - Valor por hora em reais (opcional)
+   * @returns {string|null} ID do projeto salvo ou null se inválido
+   */
+  salvarProjeto: (configuracoes, atualizarConfiguracoes, dados) => {
+    const nome = (dados.nome || "").trim();
+    const cliente = (dados.cliente || "").trim();
+    const valorHora = String(dados.valorHora ?? "").trim()
+      ? Number(String(dados.valorHora).replace(",", "."))
+      : 0;
+
+    if (!nome) {
+      alert("⚠️ Informe o nome do projeto.");
+      return null;
+    }
+
+    if (isNaN(valorHora) || valorHora < 0) {
+      alert("⚠️ Informe o valor por hora em reais (ex: 150,00).");
+      return null;
+    }
+
+    const projetosAtuais = configuracoes.projetos || [];
+    const id = dados.id || `projeto_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const nomeEmUso = projetosAtuais.find(
+      (projeto) =>
+        projeto.id !== id &&
+        projeto.nome.toLowerCase() === nome.toLowerCase() &&
+        (projeto.cliente || "").toLowerCase() === cliente.toLowerCase()
+    );
+
+    if (nomeEmUso) {
+      alert(`⚠️ Já existe o projeto "${nomeEmUso.nome}"${cliente ? ` para ${cliente}` : ""}.`);
+      return null;
+    }
+
+    const projeto = { id, nome, cliente, faturavel: !!dados.faturavel, valorHora };
+
+    console.log("💼 Salvando projeto:", projeto);
+
+    atualizarConfiguracoes({
+      projetos: projetosAtuais.some((item) => item.id === id)
+        ? projetosAtuais.map((item) => (item.id === id ? projeto : item))
+        : [...projetosAtuais, projeto],
+    });
+    return id;
+  },
+
+  /**
+   * Remove um projeto do catálogo após confirmação
+   * 
+   * Projetos com horas alocadas não podem ser removidos, para que os
+   * relatórios dos meses anteriores continuem corretos.
+   * 
+   * @param {Object} configuracoes - Configurações atuais
+   * @param {Function} atualizarConfiguracoes - Atualizador das configurações
+   * @param {Array} registros - Todos os registros
+   * @param {string} id - ID do projeto
+   * @returns {boolean} true se o projeto foi removido
+   */
+  removerProjeto: (configuracoes, atualizarConfiguracoes, registros, id) => {
+    const projetosAtuais = configuracoes.projetos || [];
+    const projeto = projetosAtuais.find((item) => item.id === id);
+    if (!projeto) return false;
+
+    const diasAlocados = registros.filter((registro) =>
+      (registro.alocacoes || []).some((alocacao) => alocacao.projetoId === id)
+    ).length;
+
+    if (diasAlocados > 0) {
+      alert(
+        `⚠️ O projeto "${projeto.nome}" tem horas alocadas em ${diasAlocados} dia(s) ` +
+        `e não pode ser removido. Remova as alocações antes.`
+      );
+      return false;
+    }
+
+    if (!window.confirm(`🗑️ Remover o projeto "${projeto.nome}"?`)) return false;
+
+    console.log("🗑️ Removendo projeto:", id);
+    atualizarConfiguracoes({
+      projetos: projetosAtuais.filter((item) => item.id !== id),
+    });
+    return true;
   }
 };
\ No newline at end of file
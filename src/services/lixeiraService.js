@@ -0,0 +1,118 @@
+import { STORAGE_KEYS } from '../constants/constants';
+
+/**
+ * Serviço da lixeira de registros
+ *
+ * Registros excluídos e limpezas completas são guardados em
+ * `STORAGE_KEYS.LIXEIRA` até serem restaurados, excluídos definitivamente
+ * ou expurgados após o prazo de retenção (CONFIGURACOES_PADRAO.lixeira).
+ *
+ * Cada item da lixeira tem a forma:
+ * `{ id, excluidoEm: ISO, origem: 'exclusao' | 'limpeza', registros: [...] }`
+ *
+ * @namespace LixeiraService
+ */
+export const LixeiraService = {
+
+  /**
+   * Carrega os itens da lixeira do localStorage
+   *
+   * @returns {Array<Object>} Itens da lixeira (vazio se ausente ou corrompido)
+   */
+  carregar: () => {
+    try {
+      if (typeof window !== 'undefined' && window.localStorage) {
+        const dados = localStorage.getItem(STORAGE_KEYS.LIXEIRA);
+        const itens = dados ? JSON.parse(dados) : [];
+        return Array.isArray(itens) ? itens : [];
+      }
+    } catch (error) {
+      console.error('❌ Erro ao carregar lixeira:', error);
+    }
+    return [];
+  },
+
+  /**
+   * Persiste os itens da lixeira no localStorage
+   *
+   * @param {Array<Object>} itens - Itens da lixeira
+   */
+  salvar: (itens) => {
+    try {
+      if (typeof window !== 'undefined' && window.localStorage) {
+        localStorage.setItem(STORAGE_KEYS.LIXEIRA, JSON.stringify(itens));
+      }
+    } catch (error) {
+      console.error('❌ Erro ao salvar lixeira:', error);
+    }
+  },
+
+  /**
+   * Cria um item da lixeira com a data/hora da exclusão
+   *
+   * @param {Array} registros - Registros excluídos
+   * @param {string} origem - 'exclusao' (um registro) ou 'limpeza' (todos os dados)
+   * @param {Date} [agora=new Date()] - Momento da exclusão
+   * @returns {Object} Item da lixeira
+   */
+  criarItem: (registros, origem, agora = new Date()) => ({
+    id: `${agora.getTime()}_${Math.random().toString(36).substr(2, 9)}`,
+    excluidoEm: agora.toISOString(),
+    origem,
+    registros
+  }),
+
+  /**
+   * Remove os itens excluídos há mais dias que o prazo de retenção
+   *
+   * @param {Array<Object>} itens - Itens da lixeira
+   * @param {number} diasRetencao - Prazo em dias (0 = manter até a exclusão manual)
+   * @param {Date} [agora=new Date()] - Data de referência
+   * @returns {Array<Object>} Itens dentro do prazo
+   *
+   * @example
+   * // Item excluído há 40 dias com retenção de 30 dias
+   * LixeiraService.expurgarVencidos(itens, 30).length; // 0
+   */
+  expurgarVencidos: (itens, diasRetencao, agora = new Date()) => {
+    if (!(diasRetencao > 0)) return itens;
+
+    const limite = agora.getTime() - diasRetencao * 24 * 60 * 60 * 1000;
+    const validos = itens.filter((item) => new Date(item.excluidoEm).getTime() >= limite);
+
+    if (validos.length < itens.length) {
+      console.log(`🗑️ ${itens.length - validos.length} item(ns) expurgado(s) da lixeira`);
+    }
+    return validos.length < itens.length ? validos : itens;
+  },
+
+  /**
+   * Mantém a lixeira coerente com os registros ao desfazer/refazer
+   *
+   * Itens cujos registros voltaram todos aos dados (ex: exclusão desfeita)
+   * saem da lixeira e ficam suspensos; quando os registros saem de novo
+   * (ex: exclusão refeita), o item volta à lixeira. Assim um registro
+   * nunca está ao mesmo tempo nos dados e na lixeira.
+   *
+   * @param {Array<Object>} itens - Itens da lixeira
+   * @param {Array<Object>} suspensos - Itens retirados por estarem nos dados
+   * @param {Array} registros - Registros atuais
+   * @returns {Object} { itens, suspensos } (as mesmas listas se nada mudou)
+   */
+  sincronizarComRegistros: (itens, suspensos, registros) => {
+    const ids = new Set(registros.map((registro) => registro.id));
+    const nosDados = (item) =>
+      item.registros.length > 0 && item.registros.every((registro) => ids.has(registro.id));
+    const foraDosDados = (item) => item.registros.every((registro) => !ids.has(registro.id));
+
+    const voltaram = itens.filter(nosDados);
+    const sairam = suspensos.filter(foraDosDados);
+    if (voltaram.length === 0 && sairam.length === 0) return { itens, suspensos };
+
+    return {
+      itens: [...sairam, ...itens.filter((item) => !voltaram.includes(item))]
+        .sort((a, b) => b.excluidoEm.localeCompare(a.excluidoEm)),
+      suspensos: [...suspensos.filter((item) => !sairam.includes(item)), ...voltaram]
+    };
+  }
+};
@@ -1,5 +1,8 @@
-import { MESES, JORNADA_PADRAO } from '../constants/constants';
+import { MESES, ESCALA_PADRAO, TIPOS_REGISTRO } from '../constants/constants';
 import { DateUtils } from './dateUtils';
+import { FeriadosUtils } from './feriadosUtils';
+import { RemuneracaoUtils } from './remuneracaoUtils';
+import { ProjetosUtils } from './projetosUtils';
 
 /**
  * Gerador de relatórios PDF usando jsPDF
@@ -12,8 +15,14 @@ import jsPDF from 'jspdf';
 export const PDFUtils = {
   /**
    * Gerar relatório PDF completo
+   *
+   * @param {Array} dados - Registros do período
+   * @param {Object} resumo - Métricas calculadas do período
+   * @param {number} mes - Mês (0-11)
+   * @param {number} ano - Ano
+   * @param {string} escalaId - ID da escala usada para a meta diária
    */
-  gerarRelatorioPDF: async (dados, resumo, mes, ano) => {
+  gerarRelatorioPDF: async (dados, resumo, mes, ano, escalaId = ESCALA_PADRAO) => {
     try {
       // Criar nova instância do jsPDF
       const pdf = new jsPDF();
@@ -50,18 +59,87 @@ export const PDFUtils = {
       pdf.setFontSize(12);
       pdf.setFont('helvetica', 'normal');
       
+      // Escalas vigentes no mês (mais de uma quando houve troca de escala)
+      const ultimoDia = new Date(ano, mes + 1, 0).getDate();
+      const escalasMes = DateUtils.obterEscalasNoPeriodo(
+        DateUtils.formatarDataISO(new Date(ano, mes, 1)),
+        DateUtils.formatarDataISO(new Date(ano, mes, ultimoDia)),
+        escalaId
+      );
+      
       const resumoItems = [
+        escalasMes.length > 1
+          ? `Escalas: ${escalasMes
+            .map(trecho => `${trecho.nome} (${DateUtils.formatarData(trecho.inicio).substring(0, 5)} a ${DateUtils.formatarData(trecho.fim).substring(0, 5)})`)
+            .join('; ')}`
+          : `Escala: ${escalasMes[0].nome}`,
         `Dias Trabalhados: ${resumo.diasTrabalhados}/${resumo.diasUteis}`,
         `Horas Trabalhadas: ${DateUtils.formatarMinutos(resumo.horasTrabalhadasTotal)}`,
         `Horas Extras: ${DateUtils.formatarMinutos(resumo.totalExtras)}`,
         `Horas em Débito: ${DateUtils.formatarMinutos(resumo.totalDebito)}`,
         `Saldo Final: ${DateUtils.formatarMinutos(resumo.saldoFinal)}`,
-        `Percentual Cumprido: ${resumo.percentualCumprido}%`
+        `Percentual Cumprido: ${resumo.percentualCumprido}%`,
+        `Banco de Horas - Saldo Anterior: ${DateUtils.formatarMinutos(resumo.saldoAnterior)}`,
+        `Banco de Horas - Movimento do Mês: ${DateUtils.formatarMinutos(resumo.saldoFinal)}`,
+        `Banco de Horas - Saldo Acumulado: ${DateUtils.formatarMinutos(resumo.saldoAcumulado)}`
       ];
       
+      if (resumo.remuneracao?.valorHora > 0) {
+        const { remuneracao } = resumo;
+        resumoItems.push(
+          `Valor das Horas Extras: ${RemuneracaoUtils.formatarMoeda(remuneracao.valorTotal)} ` +
+          `(dias comuns ${DateUtils.formatarMinutos(remuneracao.minutosDiasUteis)} = ` +
+          `${RemuneracaoUtils.formatarMoeda(remuneracao.valorDiasUteis)}; domingos/feriados ` +
+          `${DateUtils.formatarMinutos(remuneracao.minutosDomingosFeriados)} = ` +
+          `${RemuneracaoUtils.formatarMoeda(remuneracao.valorDomingosFeriados)})`
+        );
+      }
+      
+      if (resumo.diasAusencia > 0) {
+        resumoItems.push(
+          `Ausências: ${TIPOS_REGISTRO
+            .filter(tipo => resumo.ausencias[tipo.id])
+            .map(tipo => `${tipo.nome} (${resumo.ausencias[tipo.id]})`)
+            .join(', ')}`
+        );
+      }
+      
+      if (resumo.horasAbonadas > 0) {
+        resumoItems.push(`Horas Abonadas: ${DateUtils.formatarMinutos(resumo.horasAbonadas)}`);
+      }
+      
+      if (resumo.horasEmFeriados > 0) {
+        resumoItems.push(`Trabalho em Feriados: ${DateUtils.formatarMinutos(resumo.horasEmFeriados)}`);
+      }
+      
+      if (resumo.totalNoturno > 0) {
+        resumoItems.push(
+          `Adicional Noturno: ${DateUtils.formatarMinutos(resumo.totalNoturno)} ` +
+          `(${DateUtils.formatarMinutos(resumo.totalNoturnoReduzido)} em hora reduzida)`
+        );
+      }
+      
+      if (resumo.indenizacaoIntrajornada > 0) {
+        resumoItems.push(
+          `Intervalo Intrajornada Suprimido: ${DateUtils.formatarMinutos(resumo.indenizacaoIntrajornada)} ` +
+          `(${resumo.violacoesIntrajornada} dia(s), devido como indenização)`
+        );
+      }
+      
+      if (resumo.feriados?.length > 0) {
+        resumoItems.push(
+          `Feriados: ${resumo.feriados
+            .map(feriado => `${feriado.nome} (${DateUtils.formatarData(feriado.data).substring(0, 5)}${feriado.meioPeriodo ? ', meio período' : ''})`)
+            .join(', ')}`
+        );
+      }
+      
       resumoItems.forEach(item => {
-        pdf.text(item, margin, yPos);
-        yPos += 8;
+        // Quebrar linhas longas (ex: lista de feriados)
+        pdf.splitTextToSize(item, pageWidth - (margin * 2)).forEach(linha => {
+          pdf.text(linha, margin, yPos);
+          yPos += 8;
+        });
       });
       
       // Espaço antes da tabela
@@ -73,19 +151,26 @@ export const PDFUtils = {
       pdf.text('REGISTROS DETALHADOS', margin, yPos);
       yPos += 15;
       
-      // Cabeçalho da tabela
-      pdf.setFillColor(240, 240, 240); // Cinza claro
-      pdf.rect(margin, yPos - 5, pageWidth - (margin * 2), 10, 'F');
+      // Colunas da tabela (posição relativa à margem)
+      const colunas = [
+        { titulo: 'Data', x: 5 },
+        { titulo: 'Marcações', x: 35 },
+        { titulo: 'H. Trabalhadas', x: 100 },
+        { titulo: 'Noturno', x: 128 },
+        { titulo: 'Diferença', x: 150 }
+      ];
       
-      pdf.setFontSize(10);
-      pdf.setFont('helvetica', 'bold');
-      pdf.text('Data', margin + 5, yPos + 2);
-      pdf.text('Entrada', margin + 35, yPos + 2);
-      pdf.text('Saída', margin + 70, yPos + 2);
-      pdf.text('H. Trabalhadas', margin + 100, yPos + 2);
-      pdf.text('Diferença', margin + 150, yPos + 2);
+      // Cabeçalho da tabela
+      const desenharCabecalhoTabela = () => {
+        pdf.setFillColor(240, 240, 240); // Cinza claro
+        pdf.rect(margin, yPos - 5, pageWidth - (margin * 2), 10, 'F');
+        pdf.setFontSize(10);
+        pdf.setFont('helvetica', 'bold');
+        colunas.forEach(coluna => pdf.text(coluna.titulo, margin + coluna.x, yPos + 2));
+        yPos += 15;
+      };
       
-      yPos += 15;
+      desenharCabecalhoTabela();
       
       // Dados da tabela
       pdf.setFont('helvetica', 'normal');
@@ -98,16 +183,9 @@ export const PDFUtils = {
           yPos = margin;
           
           // Repetir cabeçalho da tabela na nova página
-          pdf.setFillColor(240, 240, 240);
-          pdf.rect(margin, yPos - 5, pageWidth - (margin * 2), 10, 'F');
-          pdf.setFont('helvetica', 'bold');
-          pdf.text('Data', margin + 5, yPos + 2);
-          pdf.text('Entrada', margin + 35, yPos + 2);
-          pdf.text('Saída', margin + 70, yPos + 2);
-          pdf.text('H. Trabalhadas', margin + 100, yPos + 2);
-          pdf.text('Diferença', margin + 150, yPos + 2);
-          yPos += 15;
+          desenharCabecalhoTabela();
           pdf.setFont('helvetica', 'normal');
+          pdf.setFontSize(9);
         }
         
         // Linha zebrada
@@ -116,15 +194,30 @@ export const PDFUtils = {
           pdf.rect(margin, yPos - 3, pageWidth - (margin * 2), 8, 'F');
         }
         
-        pdf.setTextColor(0, 0, 0);
-        pdf.text(DateUtils.formatarData(registro.data), margin + 5, yPos + 2);
-        pdf.text(DateUtils.formatarHora(registro.entrada), margin + 35, yPos + 2);
-        pdf.text(DateUtils.formatarHora(registro.saida), margin + 70, yPos + 2);
-        
-        const horasTrabalhadas = DateUtils.calcularHorasTrabalhadas(registro.entrada, registro.saida);
-        pdf.text(DateUtils.formatarMinutos(horasTrabalhadas), margin + 100, yPos + 2);
+        const { horasTrabalhadas, diferenca, feriado, tipo, noturno } =
+          DateUtils.calcularResultadoDia(registro, escalaId);
         
-        const diferenca = horasTrabalhadas > 0 ? horasTrabalhadas - JORNADA_PADRAO : 0;
+        pdf.setTextColor(0, 0, 0);
+        // Datas de feriado recebem asterisco (legenda ao final da tabela)
+        const marcaFeriado = feriado ? (feriado.meioPeriodo ? ' **' : ' *') : '';
+        pdf.text(
+          `${DateUtils.formatarData(registro.data)}${marcaFeriado}`,
+          margin + colunas[0].x,
+          yPos + 2
+        );
+        // Ausências mostram o tipo no lugar das marcações
+        pdf.text(
+          tipo.efeito === 'trabalho' ? DateUtils.formatarIntervalos(registro) : tipo.nome,
+          margin + colunas[1].x,
+          yPos + 2
+        );
+        pdf.text(DateUtils.formatarMinutos(horasTrabalhadas), margin + colunas[2].x, yPos + 2);
+        // Horas noturnas já convertidas para hora reduzida (52m30s)
+        pdf.text(
+          noturno.minutos > 0 ? DateUtils.formatarMinutos(noturno.minutosReduzidos) : '-',
+          margin + colunas[3].x,
+          yPos + 2
+        );
         
         // Colorir diferença
         if (diferenca > 0) {
@@ -135,11 +228,178 @@ export const PDFUtils = {
           pdf.setTextColor(0, 0, 0); // Preto para neutro
         }
         
-        pdf.text(DateUtils.formatarMinutos(diferenca), margin + 150, yPos + 2);
+        pdf.text(DateUtils.formatarMinutos(diferenca), margin + colunas[4].x, yPos + 2);
+        
+        // Observação, tags e projetos do dia em uma linha complementar (abaixo das marcações)
+        const notas = [
+          registro.observacao,
+          ...(registro.tags || []).map(tag => `#${tag}`),
+          ProjetosUtils.descreverAlocacoes(registro)
+        ]
+          .filter(Boolean)
+          .join('  ');
+        if (notas) {
+          pdf.setTextColor(102, 102, 102);
+          pdf.setFontSize(8);
+          pdf.text(
+            pdf.splitTextToSize(notas, pageWidth - margin * 2 - colunas[1].x)[0],
+            margin + colunas[1].x,
+            yPos + 7
+          );
+          pdf.setFontSize(9);
+          yPos += 5;
+        }
         
         yPos += 8;
       });
       
+      // Legenda de feriados
+      const feriadosRegistros = dados.map(registro => FeriadosUtils.obterFeriado(registro.data)).filter(Boolean);
+      pdf.setTextColor(102, 102, 102);
+      pdf.setFontSize(8);
+      if (feriadosRegistros.some(feriado => !feriado.meioPeriodo)) {
+        pdf.text('* Feriado: horas trabalhadas contabilizadas como extras', margin, yPos + 4);
+        yPos += 5;
+      }
+      if (feriadosRegistros.some(feriado => feriado.meioPeriodo)) {
+        pdf.text('** Feriado de meio período: meta diária reduzida à metade', margin, yPos + 4);
+        yPos += 5;
+      }
+      
+      // Horas e valor a faturar por projeto/cliente
+      const relatorioProjetos = resumo.projetos;
+      if (relatorioProjetos?.minutosAlocados > 0) {
+        yPos += 15;
+        if (yPos > pageHeight - 60) {
+          pdf.addPage();
+          yPos = margin;
+        }
+        
+        pdf.setTextColor(0, 0, 0);
+        pdf.setFontSize(14);
+        pdf.setFont('helvetica', 'bold');
+        pdf.text('HORAS POR PROJETO', margin, yPos);
+        yPos += 12;
+        
+        const colunasProjetos = [
+          { titulo: 'Projeto', x: 5 },
+          { titulo: 'Horas', x: 90 },
+          { titulo: 'Dias', x: 110 },
+          { titulo: 'Valor/hora', x: 125 },
+          { titulo: 'Valor', x: 150 }
+        ];
+        
+        pdf.setFillColor(240, 240, 240);
+        pdf.rect(margin, yPos - 5, pageWidth - (margin * 2), 10, 'F');
+        pdf.setFontSize(10);
+        colunasProjetos.forEach(coluna => pdf.text(coluna.titulo, margin + coluna.x, yPos + 2));
+        yPos += 12;
+        
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(9);
+        relatorioProjetos.linhas.forEach(linha => {
+          if (yPos > pageHeight - 30) {
+            pdf.addPage();
+            yPos = margin;
+          }
+          pdf.text(
+            pdf.splitTextToSize(ProjetosUtils.rotularProjeto(linha), colunasProjetos[1].x - colunasProjetos[0].x - 5)[0],
+            margin + colunasProjetos[0].x,
+            yPos
+          );
+          pdf.text(DateUtils.formatarMinutos(linha.minutos).replace('+', ''), margin + colunasProjetos[1].x, yPos);
+          pdf.text(String(linha.dias), margin + colunasProjetos[2].x, yPos);
+          pdf.text(
+            linha.faturavel ? RemuneracaoUtils.formatarMoeda(linha.valorHora) : 'Não faturável',
+            margin + colunasProjetos[3].x,
+            yPos
+          );
+          pdf.text(linha.faturavel ? RemuneracaoUtils.formatarMoeda(linha.valor) : '-', margin + colunasProjetos[4].x, yPos);
+          yPos += 7;
+        });
+        
+        pdf.setFont('helvetica', 'bold');
+        pdf.text(
+          `Alocadas: ${DateUtils.formatarMinutos(relatorioProjetos.minutosAlocados).replace('+', '')} · ` +
+          `Faturáveis: ${DateUtils.formatarMinutos(relatorioProjetos.minutosFaturaveis).replace('+', '')} · ` +
+          `Valor a faturar: ${RemuneracaoUtils.formatarMoeda(relatorioProjetos.valorTotal)}`,
+          margin + colunasProjetos[0].x,
+          yPos + 2
+        );
+        pdf.setFont('helvetica', 'normal');
+        yPos += 7;
+      }
+      
+      // Conformidade da jornada: interjornada e limites diários/semanais
+      const formatarDuracao = (minutos) => DateUtils.formatarMinutos(Math.max(minutos, 0)).replace('+', '');
+      const formatarMarcacao = (data, horario) =>
+        `${DateUtils.formatarData(data)} ${DateUtils.formatarHora(horario).substring(0, 5)}`;
+      const limitesJornada = resumo.limitesJornada || { dias: [], semanas: [] };
+      
+      const secoesConformidade = [
+        {
+          titulo: 'Descanso entre jornadas inferior a 11h (CLT art. 66)',
+          linhas: (resumo.violacoesInterjornada || []).map(violacao =>
+            `Saída ${formatarMarcacao(violacao.dataAnterior, violacao.saidaAnterior)} -> ` +
+            `entrada ${formatarMarcacao(violacao.data, violacao.entrada)}: descanso de ` +
+            formatarDuracao(violacao.descanso)
+          )
+        },
+        {
+          titulo: 'Horas extras acima do limite diário (CLT art. 59)',
+          linhas: limitesJornada.dias.map(dia =>
+            `${DateUtils.formatarData(dia.data)}: ${formatarDuracao(dia.extras)} de extras ` +
+            `(limite ${formatarDuracao(dia.limite)})`
+          )
+        },
+        {
+          titulo: 'Semanas acima do limite semanal (CF art. 7º, XIII)',
+          linhas: limitesJornada.semanas.map(semana =>
+            `${semana.id} (${DateUtils.formatarData(semana.inicio)} a ${DateUtils.formatarData(semana.fim)}): ` +
+            `${formatarDuracao(semana.minutos)} trabalhadas (limite ${formatarDuracao(semana.limite)}, ` +
+            `escala ${formatarDuracao(semana.cargaEscala)})`
+          )
+        }
+      ].filter(secao => secao.linhas.length > 0);
+      
+      if (secoesConformidade.length > 0) {
+        yPos += 15;
+        if (yPos > pageHeight - 60) {
+          pdf.addPage();
+          yPos = margin;
+        }
+        
+        pdf.setTextColor(0, 0, 0);
+        pdf.setFontSize(14);
+        pdf.setFont('helvetica', 'bold');
+        pdf.text('CONFORMIDADE DA JORNADA', margin, yPos);
+        yPos += 12;
+        
+        secoesConformidade.forEach(secao => {
+          if (yPos > pageHeight - 40) {
+            pdf.addPage();
+            yPos = margin;
+          }
+          
+          pdf.setFontSize(10);
+          pdf.setFont('helvetica', 'bold');
+          pdf.text(secao.titulo, margin, yPos);
+          yPos += 8;
+          
+          pdf.setFontSize(9);
+          pdf.setFont('helvetica', 'normal');
+          secao.linhas.forEach(linha => {
+            if (yPos > pageHeight - 30) {
+              pdf.addPage();
+              yPos = margin;
+            }
+            pdf.text(linha, margin + 5, yPos);
+            yPos += 7;
+          });
+          yPos += 4;
+        });
+      }
+      
       // Rodapé
       const totalPages = pdf.internal.getNumberOfPages();
       for (let i = 1; i <= totalPages; i++) {
@@ -1,4 +1,18 @@
-import { ESCALAS_TRABALHO, ESCALA_PADRAO } from '../constants/constants';
+import {
+  ESCALAS_TRABALHO,
+  ESCALA_PADRAO,
+  TIPOS_REGISTRO,
+  TIPO_REGISTRO_PADRAO,
+  PRAZO_COMPENSACAO_MESES,
+  ALERTAS_VENCIMENTO_DIAS,
+  HORARIO_NOTURNO,
+  DESCANSO_INTERJORNADA_MINUTOS,
+  JORNADA_MAXIMA_MINUTOS,
+  TOLERANCIA_SAIDA_PONTO_MINUTOS,
+  INTERVALO_INTRAJORNADA
+} from '../constants/constants';
+import { FeriadosUtils } from './feriadosUtils';
+import { ConfigService } from '../services/configService';
 
 /**
  * DateUtils - Biblioteca completa de utilitários para manipulação de datas e cálculos temporais
@@ -9,10 +23,17 @@ import { ESCALAS_TRABALHO, ESCALA_PADRAO } from '../constants/constants';
  * - Validação de consistência temporal
  * - Geração de datasets para visualizações
  * - Integração com diferentes escalas de trabalho
+ * - Calendário de feriados nacionais
  * - Estatísticas avançadas de produtividade
  *
- * Todas as funções são puras (sem efeitos colaterais), otimizadas para performance
- * e incluem tratamento robusto de erros para garantir estabilidade da aplicação.
+ * As funções não têm efeitos colaterais e incluem tratamento robusto de erros
+ * para garantir estabilidade da aplicação. Nem todas são puras: as que dependem
+ * das configurações do usuário (escalas personalizadas, histórico de escalas,
+ * feriados próprios, tolerância) as leem de `ConfigService.obter()` por
+ * parâmetro padrão, como `obterEscalas`, `obterEscalaNaData` e
+ * `calcularResultadoDia` (e `FeriadosUtils.obterFeriado`), diretamente ou
+ * pelas funções que elas chamam. O resultado depende, portanto, da
+ * configuração salva no momento da chamada.
  *
  */
 export const DateUtils = {
@@ -134,6 +155,32 @@ export const DateUtils = {
     return `${sinal}${horas}:${minutosRestantes.toString().padStart(2, '0')}h`;
   },
 
+  /**
+   * Formata os pares de marcação de um registro em uma única linha
+   *
+   * Usado em relatórios (CSV/PDF) e aceito de volta na importação.
+   * Pares totalmente vazios são omitidos.
+   *
+   * @param {Object} registro - Registro de ponto
+   * @returns {string} Intervalos separados por " | " (ex: "08:00-12:00 | 13:00-17:30")
+   *
+   * @example
+   * DateUtils.formatarIntervalos(registro); // "08:00-12:00 | 13:00-17:30"
+   * DateUtils.formatarIntervalos(noturno);  // "22:00-06:00(+1)"
+   */
+  formatarIntervalos: (registro) => {
+    // Marcações no dia seguinte ao registro recebem o sufixo "(+1)"
+    const formatar = (valor) => {
+      const diaSeguinte = valor && DateUtils.obterDataLocal(valor) > registro.data;
+      return `${DateUtils.formatarHora(valor)}${diaSeguinte ? '(+1)' : ''}`;
+    };
+
+    return DateUtils.obterIntervalos(registro)
+      .filter((intervalo) => intervalo.entrada || intervalo.saida)
+      .map((intervalo) => `${formatar(intervalo.entrada)}-${formatar(intervalo.saida)}`)
+      .join(' | ');
+  },
+
   // ===============================
   // CÁLCULOS DE JORNADA TRABALHADA
   // ===============================
@@ -190,8 +237,8 @@ export const DateUtils = {
       // Converter milissegundos para minutos (arredondar para baixo)
       const minutos = Math.floor(diferencaMs / (1000 * 60));
       
-      // Alertar sobre jornadas suspeitamente longas (mais de 12h)
-      if (minutos > 12 * 60) {
+      // Alertar sobre pares mais longos que um dia (nenhuma escala os prevê)
+      if (minutos > 24 * 60) {
         console.warn(`⚠️ Jornada muito longa detectada: ${(minutos / 60).toFixed(1)}h`);
       }
       
@@ -203,16 +250,491 @@ export const DateUtils = {
     }
   },
 
+  /**
+   * Obtém a lista de pares de marcação (entrada/saída) de um registro
+   *
+   * Registros novos armazenam as marcações em `intervalos`. Registros antigos,
+   * salvos antes do suporte a múltiplas marcações, possuem apenas os campos
+   * `entrada` e `saida` e são convertidos para um único par, sem alterar o
+   * objeto original.
+   *
+   * @param {Object} registro - Registro de ponto
+   * @returns {Array<{entrada: string, saida: string}>} Pares de marcação do dia
+   *
+   * @example
+   * DateUtils.obterIntervalos({ data: "2024-03-15", entrada: "...", saida: "..." });
+   * // [{ entrada: "...", saida: "..." }]
+   */
+  obterIntervalos: (registro) => {
+    if (!registro) return [];
+
+    const intervalos = Array.isArray(registro.intervalos) && registro.intervalos.length > 0
+      ? registro.intervalos
+      // Formato legado: um único par entrada/saída
+      : [{ entrada: registro.entrada || '', saida: registro.saida || '' }];
+
+    // Garantir que turnos que cruzam a meia-noite terminem no dia seguinte,
+    // inclusive em registros salvos antes dessa regra existir
+    return DateUtils.normalizarIntervalos(registro.data, intervalos);
+  },
+
+  /**
+   * Posiciona as marcações de um dia em ordem cronológica, virando a meia-noite
+   *
+   * Cada marcação é reconstruída a partir do seu horário (HH:MM) sobre a data
+   * do registro. Uma saída anterior (ou igual) à entrada do mesmo par passa
+   * para o dia seguinte, e os pares seguintes continuam nesse dia. Assim um
+   * turno 22:00–06:00 soma 8 horas e continua atribuído à data em que começou.
+   *
+   * Uma entrada anterior à saída do par anterior só vira o dia quando, no dia
+   * seguinte, ficaria a menos de DESCANSO_INTERJORNADA_MINUTOS dessa saída
+   * (pausa que cruza a meia-noite, ex: 22:00–23:30 e 00:30–06:00). Fora isso
+   * ela fica na mesma data e a sobreposição é apontada por validarRegistro.
+   *
+   * @param {string} data - Data do registro (YYYY-MM-DD)
+   * @param {Array<{entrada: string, saida: string}>} intervalos - Pares de marcação
+   * @returns {Array<{entrada: string, saida: string}>} Pares com timestamps ajustados
+   *
+   * @example
+   * // 22:00 → 06:00 vira 15/03 22:00 → 16/03 06:00
+   * DateUtils.normalizarIntervalos("2024-03-15", [{ entrada, saida }]);
+   * // 08:00–12:00 e 11:00–13:00 continuam em 15/03 (pares sobrepostos)
+   */
+  normalizarIntervalos: (data, intervalos) => {
+    if (!data || !Array.isArray(intervalos)) return intervalos || [];
+
+    let diasAdicionais = 0;
+    let minutosAnterior = null;
+
+    // Entrada antes da saída anterior: vira o dia só se a pausa for plausível
+    const viraEntrada = (minutos, anterior) =>
+      minutos < anterior && minutos + 24 * 60 - anterior < DESCANSO_INTERJORNADA_MINUTOS;
+    // Saída antes da entrada do par (igual indica turno de 24 horas)
+    const viraSaida = (minutos, anterior) => minutos <= anterior;
+    // Saída sem entrada no par: compara com a marcação anterior
+    const viraSaidaAvulsa = (minutos, anterior) => minutos < anterior;
+
+    const posicionar = (valor, viraDia) => {
+      if (!valor) return '';
+
+      const dateObj = new Date(valor);
+      if (isNaN(dateObj.getTime())) return valor;
+
+      const minutos = dateObj.getHours() * 60 + dateObj.getMinutes();
+      if (minutosAnterior !== null && viraDia(minutos, minutosAnterior)) {
+        diasAdicionais++;
+      }
+      minutosAnterior = minutos;
+
+      const horario = `${String(dateObj.getHours()).padStart(2, '0')}:${String(dateObj.getMinutes()).padStart(2, '0')}`;
+      return DateUtils.combinarDataHorario(DateUtils.adicionarDias(data, diasAdicionais), horario) || valor;
+    };
+
+    return intervalos.map((intervalo) => {
+      const entrada = posicionar(intervalo.entrada, viraEntrada);
+      const saida = posicionar(intervalo.saida, entrada ? viraSaida : viraSaidaAvulsa);
+      return { ...intervalo, entrada, saida };
+    });
+  },
+
+  /**
+   * Verifica se a última marcação do registro cai no dia seguinte à data do registro
+   *
+   * @param {Object} registro - Registro de ponto
+   * @returns {boolean} true para turnos que atravessam a meia-noite
+   *
+   * @example
+   * DateUtils.terminaNoDiaSeguinte(registroNoturno); // true (22:00–06:00)
+   */
+  terminaNoDiaSeguinte: (registro) => {
+    return DateUtils.obterIntervalos(registro).some(
+      (intervalo) => DateUtils.obterDataLocal(intervalo.saida) > registro.data
+    );
+  },
+
+  /**
+   * Calcula o total trabalhado em um registro somando todos os seus intervalos
+   *
+   * Pares incompletos (sem entrada ou sem saída) não são contabilizados.
+   * O tempo entre a saída de um par e a entrada do seguinte (almoço,
+   * pausas) não é considerado tempo trabalhado. Em registros de um único
+   * par, o intervalo pré-assinalado (`intervaloPreAssinalado`, em minutos)
+   * é descontado do total.
+   *
+   * @param {Object} registro - Registro de ponto
+   * @returns {number} Minutos trabalhados no dia
+   *
+   * @example
+   * // 08:00–12:00 e 13:00–17:30
+   * DateUtils.calcularHorasRegistro(registro); // 510 minutos (8h30)
+   */
+  calcularHorasRegistro: (registro) => {
+    const intervalos = DateUtils.obterIntervalos(registro);
+    const total = intervalos.reduce(
+      (soma, intervalo) =>
+        soma + DateUtils.calcularHorasTrabalhadas(intervalo.entrada, intervalo.saida),
+      0
+    );
+
+    if (intervalos.length === 1 && total > 0) {
+      return Math.max(total - DateUtils.obterIntervaloPreAssinalado(registro), 0);
+    }
+
+    return total;
+  },
+
+  /**
+   * Obtém o intervalo pré-assinalado de um registro
+   *
+   * Usado em registros de um único par, em que o almoço não foi batido
+   * (ex: dados antigos com apenas entrada e saída).
+   *
+   * @param {Object} registro - Registro de ponto
+   * @returns {number} Minutos de intervalo pré-assinalado (0 se não informado)
+   */
+  obterIntervaloPreAssinalado: (registro) =>
+    Math.max(parseInt(registro?.intervaloPreAssinalado, 10) || 0, 0),
+
+  /**
+   * Verifica se o último par do registro está aberto e ainda pode receber a saída
+   *
+   * O par aberto vale até a jornada prevista do dia (ou a da escala, em
+   * folgas) mais TOLERANCIA_SAIDA_PONTO_MINUTOS, contados da entrada.
+   *
+   * @param {Object} registro - Registro de ponto
+   * @param {Date} agora - Momento da batida
+   * @param {string} escalaId - ID da escala de trabalho
+   * @returns {boolean} true se o par aberto está dentro do prazo
+   *
+   * @example
+   * // Escala de 8h: entrada às 22:00, batida às 06:00 do dia seguinte
+   * DateUtils.parAbertoNoPrazo(registro, agora, 'escala_5x2_8h'); // true
+   * // Entrada às 08:00, batida às 08:05 do dia seguinte (saída esquecida)
+   * DateUtils.parAbertoNoPrazo(registro, agora, 'escala_5x2_8h'); // false
+   */
+  parAbertoNoPrazo: (registro, agora, escalaId = ESCALA_PADRAO) => {
+    const ultimo = DateUtils.obterIntervalos(registro).slice(-1)[0];
+    if (!ultimo?.entrada || ultimo.saida) return false;
+
+    const jornada = Math.max(
+      DateUtils.obterMetaDiaria(registro.data, escalaId),
+      DateUtils.obterEscalaInfo(DateUtils.obterEscalaNaData(registro.data, escalaId)).horasPorDia
+    );
+    const decorridos = (agora.getTime() - new Date(ultimo.entrada).getTime()) / (1000 * 60);
+    return decorridos <= jornada + TOLERANCIA_SAIDA_PONTO_MINUTOS;
+  },
+
+  /**
+   * Localiza o registro que recebe a próxima batida de ponto
+   *
+   * Um par aberto (entrada sem saída) de ontem continua recebendo a saída
+   * dentro do prazo de parAbertoNoPrazo, para turnos que cruzam a
+   * meia-noite; fora isso, vale o registro de hoje (dias de ausência não
+   * recebem batidas).
+   *
+   * @param {Array} registros - Todos os registros
+   * @param {Date} [agora=new Date()] - Momento da batida
+   * @param {string} escalaId - ID da escala de trabalho
+   * @returns {Object|null} Registro encontrado ou null se for preciso criar um
+   */
+  obterRegistroDoPonto: (registros, agora = new Date(), escalaId = ESCALA_PADRAO) => {
+    const hoje = DateUtils.formatarDataISO(agora);
+    const ontem = DateUtils.adicionarDias(hoje, -1);
+    const ehDiaTrabalhado = (registro) =>
+      DateUtils.obterTipoRegistro(registro).efeito === 'trabalho';
+
+    return (
+      registros.find(
+        (registro) =>
+          registro.data === ontem && ehDiaTrabalhado(registro) && DateUtils.parAbertoNoPrazo(registro, agora, escalaId)
+      ) ||
+      registros.find((registro) => registro.data === hoje && ehDiaTrabalhado(registro)) ||
+      null
+    );
+  },
+
+  /**
+   * Localiza o registro de ontem com a saída esquecida
+   *
+   * É o par aberto de ontem que passou do prazo de parAbertoNoPrazo: as
+   * batidas seguintes vão para o registro de hoje e a saída de ontem
+   * precisa ser completada na tabela.
+   *
+   * @param {Array} registros - Todos os registros
+   * @param {Date} [agora=new Date()] - Momento da batida
+   * @param {string} escalaId - ID da escala de trabalho
+   * @returns {Object|null} Registro de ontem sem saída ou null
+   */
+  obterSaidaPendente: (registros, agora = new Date(), escalaId = ESCALA_PADRAO) => {
+    const ontem = DateUtils.adicionarDias(DateUtils.formatarDataISO(agora), -1);
+
+    return (
+      registros.find((registro) => {
+        if (registro.data !== ontem || DateUtils.obterTipoRegistro(registro).efeito !== 'trabalho') return false;
+        const ultimo = DateUtils.obterIntervalos(registro).slice(-1)[0];
+        return !!ultimo?.entrada && !ultimo.saida && !DateUtils.parAbertoNoPrazo(registro, agora, escalaId);
+      }) || null
+    );
+  },
+
+  /**
+   * Acompanha a jornada do dia enquanto o ponto está sendo batido
+   *
+   * O par aberto (entrada sem saída) conta até `agora`. A saída prevista
+   * completa a meta do dia; a saída com saldo também compensa o saldo dos
+   * outros dias do mês (saldo positivo antecipa, negativo adia).
+   *
+   * @param {Object|null} registro - Registro do dia (null antes da primeira batida)
+   * @param {Date} agora - Momento atual
+   * @param {string} escalaId - ID da escala de trabalho
+   * @param {number} [saldoMes=0] - Saldo do mês sem o dia, em minutos
+   * @returns {Object} Situação do dia
+   * @returns {number} returns.segundosTrabalhados - Tempo trabalhado até agora, em segundos
+   * @returns {number} returns.meta - Meta do dia em minutos
+   * @returns {boolean} returns.emAndamento - Há um par aberto (trabalhando agora)
+   * @returns {number} returns.restante - Minutos para cumprir a meta (negativo = além da meta)
+   * @returns {number} returns.restanteComSaldo - Minutos para zerar o saldo do mês
+   * @returns {Date|null} returns.saidaPrevista - Horário para cumprir a meta (com par aberto)
+   * @returns {Date|null} returns.saidaComSaldo - Horário para zerar o saldo (com par aberto)
+   *
+   * @example
+   * // Entrada às 08:00, agora 12:00, meta 8h, saldo do mês +0:30h
+   * DateUtils.calcularPontoEmAndamento(registro, agora, 'escala_5x2_8h', 30);
+   * // { restante: 240, restanteComSaldo: 210, saidaPrevista: 16:00, saidaComSaldo: 15:30, ... }
+   */
+  calcularPontoEmAndamento: (registro, agora, escalaId = ESCALA_PADRAO, saldoMes = 0) => {
+    const data = registro?.data || DateUtils.formatarDataISO(agora);
+    const intervalos = registro ? DateUtils.obterIntervalos(registro) : [];
+    const ultimo = intervalos[intervalos.length - 1];
+    const emAndamento = !!ultimo?.entrada && !ultimo.saida;
+
+    const segundosFechados = intervalos.reduce(
+      (soma, intervalo) => soma + DateUtils.calcularHorasTrabalhadas(intervalo.entrada, intervalo.saida) * 60,
+      0
+    );
+    const segundosAbertos = emAndamento
+      ? Math.max(Math.floor((agora.getTime() - new Date(ultimo.entrada).getTime()) / 1000), 0)
+      : 0;
+    // Mesmo critério de calcularHorasRegistro para o intervalo pré-assinalado
+    const preAssinalado = intervalos.length === 1 ? DateUtils.obterIntervaloPreAssinalado(registro) * 60 : 0;
+    const segundosTrabalhados = Math.max(segundosFechados + segundosAbertos - preAssinalado, 0);
+
+    const meta = DateUtils.obterMetaDiaria(data, escalaId);
+    const restante = meta - Math.floor(segundosTrabalhados / 60);
+    const restanteComSaldo = restante - saldoMes;
+    const previsao = (minutos) =>
+      emAndamento ? new Date(agora.getTime() + Math.max(minutos, 0) * 60 * 1000) : null;
+
+    return {
+      segundosTrabalhados,
+      meta,
+      emAndamento,
+      restante,
+      restanteComSaldo,
+      saidaPrevista: previsao(restante),
+      saidaComSaldo: previsao(restanteComSaldo)
+    };
+  },
+
+  /**
+   * Avalia o intervalo intrajornada de um registro (CLT art. 71)
+   *
+   * Com múltiplos pares, o intervalo é a soma dos tempos entre a saída de
+   * um par e a entrada do seguinte. Com um único par, vale o intervalo
+   * pré-assinalado. O tempo suprimido do mínimo legal é devido como
+   * indenização.
+   *
+   * @param {Object} registro - Registro de ponto
+   * @returns {Object|null} Avaliação do dia (null para ausências ou dias sem marcações)
+   * @returns {number} returns.jornada - Minutos trabalhados
+   * @returns {number} returns.intervalo - Minutos de intervalo
+   * @returns {number} returns.minimo - Intervalo mínimo exigido para a jornada
+   * @returns {number} returns.indenizacao - Minutos suprimidos do intervalo mínimo
+   * @returns {boolean} returns.preAssinalado - Intervalo informado manualmente (par único)
+   *
+   * @example
+   * // 08:00–12:00 e 12:20–17:20 (9h com 20min de almoço)
+   * DateUtils.calcularIntrajornada(registro); // { jornada: 540, intervalo: 20, minimo: 60, indenizacao: 40, ... }
+   */
+  calcularIntrajornada: (registro) => {
+    if (DateUtils.obterTipoRegistro(registro).efeito !== 'trabalho') return null;
+
+    const jornada = DateUtils.calcularHorasRegistro(registro);
+    if (jornada === 0) return null;
+
+    const completos = DateUtils.obterIntervalos(registro).filter(
+      (intervalo) => intervalo.entrada && intervalo.saida
+    );
+    const preAssinalado = completos.length === 1;
+
+    let intervalo = 0;
+    if (preAssinalado) {
+      intervalo = DateUtils.obterIntervaloPreAssinalado(registro);
+    } else {
+      for (let i = 1; i < completos.length; i++) {
+        intervalo += DateUtils.calcularHorasTrabalhadas(completos[i - 1].saida, completos[i].entrada);
+      }
+    }
+
+    const faixa = INTERVALO_INTRAJORNADA.find((item) => jornada > item.jornadaAcimaDe);
+    const minimo = faixa ? faixa.minimo : 0;
+
+    return {
+      jornada,
+      intervalo,
+      minimo,
+      indenizacao: Math.max(minimo - intervalo, 0),
+      preAssinalado
+    };
+  },
+
+  /**
+   * Calcula a parcela noturna (22:00 às 05:00) de um registro
+   *
+   * Soma a sobreposição de cada intervalo com as janelas noturnas,
+   * inclusive turnos que cruzam a meia-noite, e converte o total para
+   * horas reduzidas (cada hora noturna vale 52m30s, ou seja, 60 minutos
+   * reais equivalem a 68m34s).
+   *
+   * @param {Object} registro - Registro de ponto
+   * @returns {Object} Parcela noturna
+   * @returns {number} returns.minutos - Minutos reais trabalhados no período noturno
+   * @returns {number} returns.minutosReduzidos - Equivalente em hora reduzida (arredondado)
+   *
+   * @example
+   * // 22:00–05:00
+   * DateUtils.calcularHorasNoturnas(registro); // { minutos: 420, minutosReduzidos: 480 }
+   */
+  calcularHorasNoturnas: (registro) => {
+    let minutos = 0;
+
+    DateUtils.obterIntervalos(registro).forEach(({ entrada, saida }) => {
+      if (DateUtils.calcularHorasTrabalhadas(entrada, saida) === 0) return;
+
+      const inicio = new Date(entrada);
+      const fim = new Date(saida);
+
+      // Janelas noturnas que podem tocar o intervalo: começam às 22:00
+      // do dia anterior à entrada até o dia da saída
+      const dia = new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate() - 1);
+      while (dia <= fim) {
+        const inicioJanela = new Date(dia.getFullYear(), dia.getMonth(), dia.getDate(), 0, HORARIO_NOTURNO.inicio);
+        const fimJanela = new Date(dia.getFullYear(), dia.getMonth(), dia.getDate() + 1, 0, HORARIO_NOTURNO.fim);
+        const sobreposicao = Math.min(fim, fimJanela) - Math.max(inicio, inicioJanela);
+
+        if (sobreposicao > 0) {
+          minutos += Math.round(sobreposicao / (1000 * 60));
+        }
+        dia.setDate(dia.getDate() + 1);
+      }
+    });
+
+    return {
+      minutos,
+      minutosReduzidos: Math.round((minutos * 60) / HORARIO_NOTURNO.minutosHoraReduzida)
+    };
+  },
+
   // ===============================
   // INTEGRAÇÃO COM ESCALAS DE TRABALHO
   // ===============================
 
+  /**
+   * Lista as escalas disponíveis: predefinidas e personalizadas pelo usuário
+   *
+   * Escalas personalizadas com o mesmo `id` de uma escala predefinida
+   * personalizável (ex: 'escala_personalizada') a substituem.
+   *
+   * @param {Array} [personalizadas] - Escalas do usuário (padrão: configuração salva)
+   * @returns {Array<Object>} Escalas disponíveis para seleção
+   */
+  obterEscalas: (personalizadas = ConfigService.obter().escalasPersonalizadas) => {
+    const escalasUsuario = personalizadas || [];
+    const substituidas = ESCALAS_TRABALHO.map(
+      (escala) =>
+        (escala.personalizavel && escalasUsuario.find((item) => item.id === escala.id)) || escala
+    );
+    const novas = escalasUsuario.filter(
+      (item) => !ESCALAS_TRABALHO.some((escala) => escala.id === item.id)
+    );
+
+    return [...substituidas, ...novas];
+  },
+
+  /**
+   * Obtém a escala vigente em uma data segundo o histórico de escalas
+   *
+   * O histórico guarda as escalas anteriores com o último dia em que
+   * valeram; cada uma vale do dia seguinte ao fim da anterior até o seu
+   * `ate`. Depois do último período, vale a escala atual. Assim, trocar de
+   * escala não recalcula os meses passados.
+   *
+   * @param {string} data - Data no formato YYYY-MM-DD
+   * @param {string} escalaId - Escala atual (vale após o último período do histórico)
+   * @param {Array} [historico] - Períodos anteriores ({ escalaId, ate }); padrão: configuração salva
+   * @returns {string} ID da escala vigente na data
+   *
+   * @example
+   * // Histórico: [{ escalaId: 'escala_5x2_6h', ate: '2024-06-16' }]
+   * DateUtils.obterEscalaNaData('2024-06-14', 'escala_5x2_8h'); // 'escala_5x2_6h'
+   * DateUtils.obterEscalaNaData('2024-06-17', 'escala_5x2_8h'); // 'escala_5x2_8h'
+   */
+  obterEscalaNaData: (data, escalaId = ESCALA_PADRAO, historico = ConfigService.obter().historicoEscalas) => {
+    const periodo = [...(historico || [])]
+      .sort((a, b) => a.ate.localeCompare(b.ate))
+      .find((item) => data <= item.ate);
+
+    return periodo ? periodo.escalaId : escalaId;
+  },
+
+  /**
+   * Lista as escalas vigentes em um período, com as datas em que valeram
+   *
+   * @param {string} inicio - Primeiro dia do período (YYYY-MM-DD)
+   * @param {string} fim - Último dia do período (YYYY-MM-DD)
+   * @param {string} escalaId - Escala atual (vale após o último período do histórico)
+   * @param {Array} [historico] - Períodos anteriores ({ escalaId, ate }); padrão: configuração salva
+   * @returns {Array<Object>} Trechos do período ({ escalaId, nome, inicio, fim }) em ordem
+   *
+   * @example
+   * DateUtils.obterEscalasNoPeriodo('2024-06-01', '2024-06-30', 'escala_5x2_8h');
+   * // [{ escalaId: 'escala_5x2_6h', nome: '5x2 - 6h/dia', inicio: '2024-06-01', fim: '2024-06-16' },
+   * //  { escalaId: 'escala_5x2_8h', nome: '5x2 - 8h/dia', inicio: '2024-06-17', fim: '2024-06-30' }]
+   */
+  obterEscalasNoPeriodo: (inicio, fim, escalaId = ESCALA_PADRAO, historico = ConfigService.obter().historicoEscalas) => {
+    const trechos = [];
+    const [ano, mes, dia] = inicio.split('-').map(Number);
+    let deslocamento = 0;
+    let data = inicio;
+
+    while (data <= fim) {
+      const escalaNaData = DateUtils.obterEscalaNaData(data, escalaId, historico);
+      const ultimo = trechos[trechos.length - 1];
+
+      if (ultimo && ultimo.escalaId === escalaNaData) {
+        ultimo.fim = data;
+      } else {
+        trechos.push({
+          escalaId: escalaNaData,
+          nome: DateUtils.obterEscalaInfo(escalaNaData).nome,
+          inicio: data,
+          fim: data
+        });
+      }
+
+      deslocamento++;
+      data = DateUtils.formatarDataISO(new Date(ano, mes - 1, dia + deslocamento));
+    }
+
+    return trechos;
+  },
+
   /**
    * Obtém configuração completa da escala de trabalho
    *
-   * Busca informações detalhadas da escala especificada ou retorna
-   * configuração padrão segura caso a escala não seja encontrada.
-   * Utilizada como base para todos os cálculos de jornada.
+   * Busca informações detalhadas da escala especificada (predefinida ou
+   * personalizada) ou retorna configuração padrão segura caso a escala
+   * não seja encontrada. Utilizada como base para todos os cálculos de jornada.
    *
    * @param {string} escalaId - Identificador da escala de trabalho
    * @returns {Object} Configuração completa da escala
@@ -220,8 +742,11 @@ export const DateUtils = {
    * @returns {string} returns.nome - Nome descritivo da escala
    * @returns {string} returns.descricao - Descrição detalhada
    * @returns {number} returns.horasPorDia - Horas diárias em minutos
+   * @returns {Array<number>} [returns.minutosPorDiaSemana] - Meta por dia da semana (0=Dom, 6=Sáb)
    * @returns {number} returns.horasSemana - Total de horas semanais
    * @returns {Array<number>} returns.diasUteis - Dias da semana trabalhados (0=Dom, 6=Sáb)
+   * @returns {Object} [returns.ciclo] - Sequência de trabalho/folga e data de início (escalas cíclicas)
+   * @returns {Object} [returns.padraoSemanas] - Dias de cada semana do padrão e semana de início (semanas alternadas)
    *
    * @example
    * const escala = DateUtils.obterEscalaInfo('escala_6x1_7h');
@@ -234,8 +759,8 @@ export const DateUtils = {
       escalaId = ESCALA_PADRAO;
     }
     
-    // Buscar escala no array de escalas disponíveis
-    const escala = ESCALAS_TRABALHO.find(e => e.id === escalaId);
+    // Buscar escala entre as predefinidas e as do usuário
+    const escala = DateUtils.obterEscalas().find(e => e.id === escalaId);
     
     if (!escala) {
       console.warn(`⚠️ Escala '${escalaId}' não encontrada, usando fallback`);
@@ -258,6 +783,8 @@ export const DateUtils = {
    *
    * Conta apenas os dias da semana que são considerados dias de trabalho
    * na escala especificada, percorrendo todo o mês calendário.
+   * Feriados nacionais e do usuário que caem nesses dias não são contados
+   * (feriados de meio período continuam contando como dia útil).
    *
    * @param {number} mes - Mês para cálculo (0-11, onde 0=Janeiro)
    * @param {number} ano - Ano para cálculo (ex: 2024)
@@ -266,10 +793,10 @@ export const DateUtils = {
    *
    * @example
    * // Para março de 2024 com escala 6x1 (segunda a sábado)
-   * DateUtils.obterDiasUteis(2, 2024, 'escala_6x1_7h'); // 26 dias
+   * DateUtils.obterDiasUteis(2, 2024, 'escala_6x1_7h'); // 25 dias (Sexta-feira Santa)
    * 
    * // Para março de 2024 com escala 5x2 (segunda a sexta)
-   * DateUtils.obterDiasUteis(2, 2024, 'escala_5x2_8h'); // 21 dias
+   * DateUtils.obterDiasUteis(2, 2024, 'escala_5x2_8h'); // 20 dias
    */
   obterDiasUteis: (mes, ano, escalaId = ESCALA_PADRAO) => {
     try {
@@ -282,11 +809,10 @@ export const DateUtils = {
       
       // Iterar por todos os dias do mês
       for (let dia = 1; dia <= diasNoMes; dia++) {
-        const data = new Date(ano, mes, dia);
-        const diaSemana = data.getDay(); // 0=Domingo, 1=Segunda, ..., 6=Sábado
+        const data = DateUtils.formatarDataISO(new Date(ano, mes, dia));
         
-        // Verificar se este dia da semana é dia útil na escala
-        if (escalaInfo.diasUteis.includes(diaSemana)) {
+        // Verificar se é dia de trabalho na escala e não é feriado
+        if (DateUtils.ehDiaUtil(data, escalaId)) {
           diasUteis++;
         }
       }
@@ -300,30 +826,348 @@ export const DateUtils = {
     }
   },
 
+  /**
+   * Lista as datas úteis do mês na escala especificada
+   *
+   * Mesmo critério de `obterDiasUteis` (dias de trabalho da escala vigente
+   * em cada data, exceto feriados de dia inteiro).
+   *
+   * @param {number} mes - Mês (0-11)
+   * @param {number} ano - Ano (ex: 2024)
+   * @param {string} escalaId - ID da escala de trabalho
+   * @returns {Array<string>} Datas no formato YYYY-MM-DD, em ordem
+   *
+   * @example
+   * DateUtils.obterDatasUteis(0, 2024, 'escala_5x2_8h').slice(0, 2); // ['2024-01-02', '2024-01-03']
+   */
+  obterDatasUteis: (mes, ano, escalaId = ESCALA_PADRAO) => {
+    const diasNoMes = new Date(ano, mes + 1, 0).getDate();
+
+    return Array.from({ length: diasNoMes }, (_, i) =>
+      DateUtils.formatarDataISO(new Date(ano, mes, i + 1))
+    ).filter((data) => DateUtils.ehDiaUtil(data, escalaId));
+  },
+
   /**
    * Calcula total de horas que deveriam ser trabalhadas no mês
    *
-   * Multiplica a quantidade de dias úteis pela jornada diária da escala
-   * para estabelecer a meta mensal de horas trabalhadas.
+   * Soma a meta diária de cada dia do mês (jornada da escala nos dias
+   * úteis, zero em folgas e feriados) para estabelecer a meta mensal.
+   *
+   * @param {number} mes - Mês para cálculo (0-11)
+   * @param {number} ano - Ano para cálculo
+   * @param {string} escalaId - ID da escala de trabalho
+   * @returns {number} Total de minutos esperados no mês
+   *
+   * @example
+   * // Para escala 7h/dia com 25 dias úteis em março/2024
+   * DateUtils.calcularHorasEsperadas(2, 2024, 'escala_6x1_7h'); 
+   * // Retorna: 10500 minutos (175 horas)
+   */
+  calcularHorasEsperadas: (mes, ano, escalaId = ESCALA_PADRAO) => {
+    const diasNoMes = new Date(ano, mes + 1, 0).getDate();
+    let horasEsperadas = 0;
+    
+    for (let dia = 1; dia <= diasNoMes; dia++) {
+      horasEsperadas += DateUtils.obterMetaDiaria(
+        DateUtils.formatarDataISO(new Date(ano, mes, dia)),
+        escalaId
+      );
+    }
+    
+    console.log(`🎯 Meta mensal: ${(horasEsperadas / 60).toFixed(1)}h`);
+    return horasEsperadas;
+  },
+
+  /**
+   * Conta os dias corridos entre duas datas
+   *
+   * @param {string} inicio - Data inicial (YYYY-MM-DD)
+   * @param {string} fim - Data final (YYYY-MM-DD)
+   * @returns {number} Dias de `inicio` até `fim` (negativo se `fim` for anterior)
+   *
+   * @example
+   * DateUtils.contarDiasCorridos('2024-02-28', '2024-03-01'); // 2
+   */
+  contarDiasCorridos: (inicio, fim) => {
+    // UTC evita dias de 23h/25h no horário de verão
+    const [anoInicio, mesInicio, diaInicio] = inicio.split('-').map(Number);
+    const [anoFim, mesFim, diaFim] = fim.split('-').map(Number);
+    return Math.round(
+      (Date.UTC(anoFim, mesFim - 1, diaFim) - Date.UTC(anoInicio, mesInicio - 1, diaInicio)) / (1000 * 60 * 60 * 24)
+    );
+  },
+
+  /**
+   * Verifica se a escala prevê trabalho na data, sem considerar feriados
+   *
+   * Escalas semanais usam os dias da semana de `diasUteis`. Escalas
+   * cíclicas (12x36, 24x48, 5x1) usam a posição da data no ciclo,
+   * contada a partir de `ciclo.inicio` (datas anteriores também valem).
+   * Escalas de semanas alternadas usam os dias da semana do padrão
+   * (A, B, ...) em que a data cai, contando a semana de
+   * `padraoSemanas.inicio` como semana A.
+   *
+   * @param {string} data - Data no formato YYYY-MM-DD
+   * @param {Object} escalaInfo - Escala (de obterEscalaInfo)
+   * @returns {boolean} false nas folgas previstas pela escala
+   *
+   * @example
+   * // 12x36 iniciada em 2024-01-01
+   * DateUtils.ehDiaDeTrabalhoNaEscala('2024-01-03', escala12x36); // true
+   * DateUtils.ehDiaDeTrabalhoNaEscala('2024-01-04', escala12x36); // false
+   *
+   * // Sábado sim, sábado não (semana A iniciada em 2024-01-01)
+   * DateUtils.ehDiaDeTrabalhoNaEscala('2024-01-06', escalaSabadoAlternado); // true
+   * DateUtils.ehDiaDeTrabalhoNaEscala('2024-01-13', escalaSabadoAlternado); // false
+   */
+  ehDiaDeTrabalhoNaEscala: (data, escalaInfo) => {
+    const sequencia = escalaInfo.ciclo?.sequencia;
+    const semanas = escalaInfo.padraoSemanas?.semanas;
+    const diaSemana = new Date(data + 'T00:00:00').getDay();
+    // Posição no padrão, inclusive para datas anteriores ao início
+    const posicaoNoPadrao = (quantidade, tamanho) => ((quantidade % tamanho) + tamanho) % tamanho;
+
+    if (sequencia) {
+      const diasCorridos = DateUtils.contarDiasCorridos(escalaInfo.ciclo.inicio, data);
+      return sequencia[posicaoNoPadrao(diasCorridos, sequencia.length)].toUpperCase() === 'T';
+    }
+
+    if (semanas?.length) {
+      // Semanas inteiras entre a segunda-feira da semana A e a da data
+      const semanasCorridas = DateUtils.contarDiasCorridos(
+        DateUtils.obterSemanaISO(escalaInfo.padraoSemanas.inicio).inicio,
+        DateUtils.obterSemanaISO(data).inicio
+      ) / 7;
+      return semanas[posicaoNoPadrao(semanasCorridas, semanas.length)].includes(diaSemana);
+    }
+
+    return escalaInfo.diasUteis.includes(diaSemana);
+  },
+
+  /**
+   * Lista os próximos sábados com trabalho previsto pela escala
+   *
+   * Útil em escalas de semanas alternadas, em que os sábados trabalhados
+   * mudam de uma semana para outra. Sábados em feriados não entram.
+   *
+   * @param {string} dataReferencia - Data a partir da qual buscar (YYYY-MM-DD, inclusive)
+   * @param {string} escalaId - ID da escala de trabalho
+   * @param {number} [quantidade=4] - Quantidade de sábados a retornar
+   * @returns {Array<string>} Datas (YYYY-MM-DD) dos próximos sábados trabalhados
+   *
+   * @example
+   * DateUtils.obterProximosSabadosTrabalhados('2024-01-02', 'escala_sabado_alternado', 2);
+   * // ['2024-01-06', '2024-01-20']
+   */
+  obterProximosSabadosTrabalhados: (dataReferencia, escalaId = ESCALA_PADRAO, quantidade = 4) => {
+    const referencia = new Date(dataReferencia + 'T00:00:00');
+    const sabado = new Date(
+      referencia.getFullYear(),
+      referencia.getMonth(),
+      referencia.getDate() + ((6 - referencia.getDay() + 7) % 7)
+    );
+    const sabados = [];
+
+    // Limite de um ano de busca para escalas sem sábados
+    for (let semana = 0; semana < 53 && sabados.length < quantidade; semana++) {
+      const data = DateUtils.formatarDataISO(
+        new Date(sabado.getFullYear(), sabado.getMonth(), sabado.getDate() + semana * 7)
+      );
+      if (DateUtils.ehDiaUtil(data, escalaId)) sabados.push(data);
+    }
+
+    return sabados;
+  },
+
+  /**
+   * Verifica se uma data é folga prevista pela escala
+   *
+   * @param {string} data - Data no formato YYYY-MM-DD
+   * @param {string} escalaId - ID da escala de trabalho
+   * @returns {boolean} true nos dias de descanso da escala
+   */
+  ehFolgaEscala: (data, escalaId = ESCALA_PADRAO) =>
+    !DateUtils.ehDiaDeTrabalhoNaEscala(
+      data,
+      DateUtils.obterEscalaInfo(DateUtils.obterEscalaNaData(data, escalaId))
+    ),
+
+  /**
+   * Verifica se uma data é dia de trabalho na escala
+   *
+   * Um dia é útil quando a escala prevê trabalho na data (dia da semana,
+   * posição no ciclo ou semana do padrão) e a data não é feriado de dia
+   * inteiro. Havendo histórico de escalas, vale a escala vigente na data.
+   *
+   * @param {string} data - Data no formato YYYY-MM-DD
+   * @param {string} escalaId - ID da escala de trabalho
+   * @returns {boolean} true se há jornada prevista para o dia
+   *
+   * @example
+   * DateUtils.ehDiaUtil("2024-04-22", 'escala_5x2_8h'); // true (segunda-feira)
+   * DateUtils.ehDiaUtil("2024-04-21", 'escala_6x1_7h'); // false (domingo, Tiradentes)
+   */
+  ehDiaUtil: (data, escalaId = ESCALA_PADRAO) => {
+    const escalaInfo = DateUtils.obterEscalaInfo(DateUtils.obterEscalaNaData(data, escalaId));
+    const feriado = FeriadosUtils.obterFeriado(data);
+
+    return DateUtils.ehDiaDeTrabalhoNaEscala(data, escalaInfo) && !(feriado && !feriado.meioPeriodo);
+  },
+
+  /**
+   * Obtém a jornada da escala para um dia da semana
+   *
+   * Escalas com `minutosPorDiaSemana` têm meta própria em cada dia (ex:
+   * 8h de segunda a sexta e 4h no sábado); as demais usam `horasPorDia`.
+   *
+   * @param {Object} escalaInfo - Escala (de obterEscalaInfo)
+   * @param {number} diaSemana - Dia da semana (0=Dom, 6=Sáb)
+   * @returns {number} Minutos previstos para o dia da semana
+   *
+   * @example
+   * DateUtils.obterJornadaDiaSemana(DateUtils.obterEscalaInfo('escala_5x1_sabado_4h'), 6); // 240
+   */
+  obterJornadaDiaSemana: (escalaInfo, diaSemana) => {
+    const jornadaDia = escalaInfo.minutosPorDiaSemana?.[diaSemana];
+    return typeof jornadaDia === 'number' ? jornadaDia : escalaInfo.horasPorDia;
+  },
+
+  /**
+   * Obtém a jornada prevista (meta) para uma data específica
+   *
+   * Havendo histórico de escalas, usa a escala vigente na data.
+   *
+   * @param {string} data - Data no formato YYYY-MM-DD
+   * @param {string} escalaId - ID da escala de trabalho
+   * @returns {number} Minutos previstos (0 em folgas e feriados, metade em meio período)
+   *
+   * @example
+   * DateUtils.obterMetaDiaria("2024-04-22", 'escala_5x2_8h'); // 480
+   * DateUtils.obterMetaDiaria("2024-05-30", 'escala_5x2_8h'); // 0 (Corpus Christi)
+   * DateUtils.obterMetaDiaria("2024-04-20", 'escala_5x1_sabado_4h'); // 240 (sábado)
+   */
+  obterMetaDiaria: (data, escalaId = ESCALA_PADRAO) => {
+    if (!DateUtils.ehDiaUtil(data, escalaId)) return 0;
+
+    const jornada = DateUtils.obterJornadaDiaSemana(
+      DateUtils.obterEscalaInfo(DateUtils.obterEscalaNaData(data, escalaId)),
+      new Date(data + 'T00:00:00').getDay()
+    );
+    return FeriadosUtils.obterFeriado(data)?.meioPeriodo ? Math.round(jornada / 2) : jornada;
+  },
+
+  /**
+   * Obtém o tipo do registro (dia trabalhado ou ausência)
+   *
+   * Registros sem `tipo` ou com tipo desconhecido são dias trabalhados.
+   *
+   * @param {Object} registro - Registro de ponto
+   * @returns {Object} Item de TIPOS_REGISTRO ({ id, nome, efeito })
+   *
+   * @example
+   * DateUtils.obterTipoRegistro({ tipo: 'ferias' }); // { id: 'ferias', nome: 'Férias', efeito: 'abono' }
+   */
+  obterTipoRegistro: (registro) => {
+    return (
+      TIPOS_REGISTRO.find((tipo) => tipo.id === registro?.tipo) ||
+      TIPOS_REGISTRO.find((tipo) => tipo.id === TIPO_REGISTRO_PADRAO)
+    );
+  },
+
+  /**
+   * Aplica a tolerância de variação das marcações (CLT art. 58 §1º)
+   *
+   * Variações de até `minutosPorMarcacao` por marcação, limitadas a
+   * `limiteDiario` por dia, não são computadas como extra nem débito.
+   * Como os registros não guardam o horário previsto de cada batida, a
+   * variação líquida do dia é comparada ao limite que as marcações do dia
+   * permitem (ex: 2 batidas × 5min = 10min). Ultrapassado o limite, a
+   * diferença inteira é considerada.
+   *
+   * @param {number} diferenca - Diferença bruta do dia em minutos
+   * @param {number} marcacoes - Quantidade de batidas preenchidas no dia
+   * @param {Object} tolerancia - Política de tolerância (CONFIGURACOES_PADRAO.tolerancia)
+   * @returns {number} Diferença após a tolerância
+   *
+   * @example
+   * // 08:03–12:00 e 13:00–17:00: 4 batidas, 3min abaixo da meta de 8h
+   * DateUtils.aplicarTolerancia(-3, 4, { ativa: true, minutosPorMarcacao: 5, limiteDiario: 10 }); // 0
+   */
+  aplicarTolerancia: (diferenca, marcacoes, tolerancia) => {
+    if (!tolerancia?.ativa || diferenca === 0) return diferenca;
+
+    const limite = Math.min(
+      (Number(tolerancia.minutosPorMarcacao) || 0) * marcacoes,
+      Number(tolerancia.limiteDiario) || 0
+    );
+
+    return Math.abs(diferenca) <= limite ? 0 : diferenca;
+  },
+
+  /**
+   * Calcula o resultado de um registro em relação à meta do seu dia
+   *
+   * Centraliza o cálculo diário usado no resumo, gráficos, tabela e
+   * relatórios. Em feriados e folgas a meta é zero, portanto todo o
+   * tempo trabalhado conta como hora extra.
+   *
+   * Ausências ignoram as marcações: as justificadas zeram a meta do dia
+   * (a jornada prevista vira horas abonadas) e as demais descontam a
+   * jornada inteira como débito.
    *
-   * @param {number} mes - Mês para cálculo (0-11)
-   * @param {number} ano - Ano para cálculo
+   * Nos dias trabalhados a diferença considera a tolerância das
+   * marcações; a diferença sem tolerância fica em `diferencaBruta`.
+   *
+   * @param {Object} registro - Registro de ponto
    * @param {string} escalaId - ID da escala de trabalho
-   * @returns {number} Total de minutos esperados no mês
+   * @param {Object} [tolerancia] - Política de tolerância (padrão: configuração do usuário)
+   * @returns {Object} Resultado do dia
+   * @returns {number} returns.horasTrabalhadas - Minutos trabalhados
+   * @returns {number} returns.meta - Minutos previstos para a data
+   * @returns {number} returns.diferenca - Extras (+) ou débito (-) em minutos; 0 sem marcações
+   * @returns {number} returns.diferencaBruta - Diferença antes da tolerância
+   * @returns {number} returns.horasAbonadas - Minutos de meta dispensados por ausência justificada
+   * @returns {Object|null} returns.feriado - Feriado da data, se houver
+   * @returns {Object} returns.tipo - Tipo do registro (TIPOS_REGISTRO)
+   * @returns {Object} returns.noturno - Parcela noturna ({ minutos, minutosReduzidos })
+   * @returns {Object|null} returns.intrajornada - Avaliação do intervalo (calcularIntrajornada)
    *
    * @example
-   * // Para escala 7h/dia com 26 dias úteis em março
-   * DateUtils.calcularHorasEsperadas(2, 2024, 'escala_6x1_7h'); 
-   * // Retorna: 10920 minutos (182 horas)
+   * const { diferenca, feriado } = DateUtils.calcularResultadoDia(registro, 'escala_5x2_8h');
    */
-  calcularHorasEsperadas: (mes, ano, escalaId = ESCALA_PADRAO) => {
-    const diasUteis = DateUtils.obterDiasUteis(mes, ano, escalaId);
-    const escalaInfo = DateUtils.obterEscalaInfo(escalaId);
-    
-    const horasEsperadas = diasUteis * escalaInfo.horasPorDia;
-    
-    console.log(`🎯 Meta mensal: ${(horasEsperadas / 60).toFixed(1)}h (${diasUteis} dias × ${escalaInfo.horasPorDia / 60}h)`);
-    return horasEsperadas;
+  calcularResultadoDia: (registro, escalaId = ESCALA_PADRAO, tolerancia = ConfigService.obter().tolerancia) => {
+    const tipo = DateUtils.obterTipoRegistro(registro);
+    const metaPrevista = DateUtils.obterMetaDiaria(registro.data, escalaId);
+    const feriado = FeriadosUtils.obterFeriado(registro.data);
+
+    const semNoturno = { minutos: 0, minutosReduzidos: 0 };
+
+    if (tipo.efeito === 'abono') {
+      return { horasTrabalhadas: 0, meta: 0, diferenca: 0, diferencaBruta: 0, horasAbonadas: metaPrevista, feriado, tipo, noturno: semNoturno, intrajornada: null };
+    }
+
+    if (tipo.efeito === 'debito') {
+      return { horasTrabalhadas: 0, meta: metaPrevista, diferenca: -metaPrevista, diferencaBruta: -metaPrevista, horasAbonadas: 0, feriado, tipo, noturno: semNoturno, intrajornada: null };
+    }
+
+    const horasTrabalhadas = DateUtils.calcularHorasRegistro(registro);
+    const diferencaBruta = horasTrabalhadas > 0 ? horasTrabalhadas - metaPrevista : 0;
+    // Pares vazios ou incompletos não contam como batidas
+    const marcacoes = DateUtils.obterIntervalos(registro)
+      .reduce((total, { entrada, saida }) => total + (entrada ? 1 : 0) + (saida ? 1 : 0), 0);
+
+    return {
+      horasTrabalhadas,
+      meta: metaPrevista,
+      diferenca: DateUtils.aplicarTolerancia(diferencaBruta, marcacoes, tolerancia),
+      diferencaBruta,
+      horasAbonadas: 0,
+      feriado,
+      tipo,
+      noturno: DateUtils.calcularHorasNoturnas(registro),
+      intrajornada: DateUtils.calcularIntrajornada(registro)
+    };
   },
 
   // ===============================
@@ -335,12 +1179,13 @@ export const DateUtils = {
    *
    * Aplica regras de negócio para detectar inconsistências:
    * - Horários em ordem incorreta (saída antes da entrada)
-   * - Jornadas excessivamente longas (>12h)
+   * - Jornadas excessivamente longas (acima de `jornadaMaxima`)
    * - Jornadas muito curtas (<30min - possível erro)
    * - Formatos inválidos
    *
    * @param {string|Date} entrada - Horário de entrada
    * @param {string|Date} saida - Horário de saída
+   * @param {number} [jornadaMaxima=JORNADA_MAXIMA_MINUTOS] - Duração máxima aceita em minutos
    * @returns {Object} Resultado da validação
    * @returns {boolean} returns.valido - Se os horários são válidos
    * @returns {string} returns.mensagem - Mensagem de erro (se inválido) ou string vazia
@@ -351,7 +1196,7 @@ export const DateUtils = {
    *   console.error("Erro:", resultado.mensagem);
    * }
    */
-  validarHorarios: (entrada, saida) => {
+  validarHorarios: (entrada, saida, jornadaMaxima = JORNADA_MAXIMA_MINUTOS) => {
     // Permitir horários vazios (registro ainda sendo preenchido)
     if (!entrada || !saida) {
       return { valido: true, mensagem: '' };
@@ -380,11 +1225,11 @@ export const DateUtils = {
       // Calcular duração para validações adicionais
       const horasTrabalhadas = DateUtils.calcularHorasTrabalhadas(entrada, saida);
       
-      // Validar jornada máxima razoável (12 horas)
-      if (horasTrabalhadas > 12 * 60) {
+      // Validar jornada máxima razoável (12 horas ou a meta da escala)
+      if (horasTrabalhadas > jornadaMaxima) {
         return { 
           valido: false, 
-          mensagem: 'Jornada superior a 12 horas - verifique os horários' 
+          mensagem: `Jornada superior a ${jornadaMaxima / 60} horas - verifique os horários` 
         };
       }
       
@@ -407,6 +1252,396 @@ export const DateUtils = {
     }
   },
 
+  /**
+   * Valida todas as marcações de um registro
+   *
+   * Registros com um único par seguem as regras de `validarHorarios`.
+   * Com múltiplos pares, cada intervalo deve estar em ordem cronológica,
+   * não pode sobrepor o anterior, e as regras de jornada máxima/mínima
+   * passam a valer para o total do dia. Ausências não têm marcações a validar.
+   * A jornada máxima é a maior entre JORNADA_MAXIMA_MINUTOS e a meta do dia
+   * na escala (ex: 24 horas na escala 24x48).
+   *
+   * @param {Object} registro - Registro de ponto
+   * @param {string} escalaId - ID da escala de trabalho
+   * @returns {Object} Resultado da validação ({ valido, mensagem })
+   *
+   * @example
+   * const resultado = DateUtils.validarRegistro(registro);
+   * if (!resultado.valido) alert(resultado.mensagem);
+   */
+  validarRegistro: (registro, escalaId = ESCALA_PADRAO) => {
+    if (DateUtils.obterTipoRegistro(registro).efeito !== 'trabalho') {
+      return { valido: true, mensagem: '' };
+    }
+
+    const intervalos = DateUtils.obterIntervalos(registro);
+    const jornadaMaxima = Math.max(JORNADA_MAXIMA_MINUTOS, DateUtils.obterMetaDiaria(registro.data, escalaId));
+
+    if (intervalos.length === 1) {
+      return DateUtils.validarHorarios(intervalos[0].entrada, intervalos[0].saida, jornadaMaxima);
+    }
+
+    let saidaAnterior = null;
+
+    for (let i = 0; i < intervalos.length; i++) {
+      const { entrada, saida } = intervalos[i];
+
+      // Intervalos ainda sendo preenchidos não são validados
+      if (!entrada || !saida) continue;
+
+      const entradaDate = new Date(entrada);
+      const saidaDate = new Date(saida);
+
+      if (isNaN(entradaDate.getTime()) || isNaN(saidaDate.getTime())) {
+        return { valido: false, mensagem: 'Horários com formato inválido detectados' };
+      }
+
+      if (saidaDate <= entradaDate) {
+        return {
+          valido: false,
+          mensagem: `Intervalo ${i + 1}: saída deve ser posterior à entrada`
+        };
+      }
+
+      if (saidaAnterior && entradaDate < saidaAnterior) {
+        return {
+          valido: false,
+          mensagem: `Intervalo ${i + 1} começa antes do fim do intervalo anterior`
+        };
+      }
+
+      saidaAnterior = saidaDate;
+    }
+
+    const totalTrabalhado = DateUtils.calcularHorasRegistro(registro);
+
+    if (totalTrabalhado > jornadaMaxima) {
+      return {
+        valido: false,
+        mensagem: `Jornada superior a ${jornadaMaxima / 60} horas - verifique os horários`
+      };
+    }
+
+    if (totalTrabalhado > 0 && totalTrabalhado < 30) {
+      return {
+        valido: false,
+        mensagem: 'Jornada muito curta (menos de 30 minutos) - possível erro'
+      };
+    }
+
+    return { valido: true, mensagem: '' };
+  },
+
+  /**
+   * Agrupa os registros que compartilham a mesma data (duplicados)
+   *
+   * @param {Array} registros - Registros de ponto
+   * @returns {Array<Object>} Grupos com mais de um registro ({ data, registros }), em ordem de data
+   *
+   * @example
+   * DateUtils.encontrarDuplicados([{ id: 'a', data: '2024-06-17' }, { id: 'b', data: '2024-06-17' }]);
+   * // [{ data: '2024-06-17', registros: [{ id: 'a', ... }, { id: 'b', ... }] }]
+   */
+  encontrarDuplicados: (registros) => {
+    const porData = {};
+    (registros || []).forEach((registro) => {
+      porData[registro.data] = [...(porData[registro.data] || []), registro];
+    });
+
+    return Object.entries(porData)
+      .filter(([, grupo]) => grupo.length > 1)
+      .map(([data, grupo]) => ({ data, registros: grupo }))
+      .sort((a, b) => a.data.localeCompare(b.data));
+  },
+
+  /**
+   * Combina registros da mesma data em um único registro
+   *
+   * As marcações preenchidas de todos são reunidas em ordem cronológica.
+   * O registro resultante mantém o ID do primeiro; se algum for dia
+   * trabalhado, o resultado é trabalhado (as marcações prevalecem sobre
+   * a ausência). Observações são unidas, as tags somadas e as horas
+   * alocadas em cada projeto acumuladas.
+   *
+   * @param {Array} registros - Registros da mesma data
+   * @returns {Object} Registro combinado
+   *
+   * @example
+   * // 08:00–12:00 e 13:00–17:00 em registros separados
+   * DateUtils.mesclarRegistros([manha, tarde]).intervalos.length; // 2
+   */
+  mesclarRegistros: (registros) => {
+    const [primeiro] = registros;
+    const intervalos = registros
+      .flatMap((registro) => DateUtils.obterIntervalos(registro))
+      .filter((intervalo) => intervalo.entrada || intervalo.saida)
+      .sort((a, b) => (a.entrada || a.saida).localeCompare(b.entrada || b.saida));
+    const trabalhado = registros.find(
+      (registro) => DateUtils.obterTipoRegistro(registro).efeito === 'trabalho'
+    );
+    const preAssinalado = Math.max(...registros.map(DateUtils.obterIntervaloPreAssinalado));
+    const observacoes = [...new Set(registros.map((registro) => (registro.observacao || '').trim()))]
+      .filter(Boolean)
+      .join(' · ');
+    const todasTags = DateUtils.normalizarTags(registros.flatMap((registro) => registro.tags || []));
+    const minutosPorProjeto = {};
+    registros
+      .flatMap((registro) => registro.alocacoes || [])
+      .forEach(({ projetoId, minutos }) => {
+        minutosPorProjeto[projetoId] = (minutosPorProjeto[projetoId] || 0) + (Number(minutos) || 0);
+      });
+    const todasAlocacoes = Object.entries(minutosPorProjeto)
+      .map(([projetoId, minutos]) => ({ projetoId, minutos }));
+
+    const { entrada, saida, tipo, intervaloPreAssinalado, observacao, tags, alocacoes, ...restante } = primeiro;
+    return {
+      ...restante,
+      intervalos: intervalos.length > 0 ? intervalos : [{ entrada: '', saida: '' }],
+      ...(trabalhado ? (trabalhado.tipo ? { tipo: trabalhado.tipo } : {}) : { tipo: primeiro.tipo }),
+      ...(preAssinalado > 0 ? { intervaloPreAssinalado: preAssinalado } : {}),
+      ...(observacoes ? { observacao: observacoes } : {}),
+      ...(todasTags.length > 0 ? { tags: todasTags } : {}),
+      ...(todasAlocacoes.length > 0 ? { alocacoes: todasAlocacoes } : {})
+    };
+  },
+
+  /**
+   * Normaliza tags informadas pelo usuário
+   *
+   * Aceita texto separado por vírgulas ou uma lista. Remove espaços e o
+   * prefixo "#", descarta vazias e repetidas (sem diferenciar maiúsculas).
+   * ";" também separa tags, pois é o separador da coluna Tags do CSV.
+   *
+   * @param {string|Array<string>} entrada - Tags em texto ou lista
+   * @returns {Array<string>} Tags únicas, na ordem informada
+   *
+   * @example
+   * DateUtils.normalizarTags('#deploy, Visita cliente, deploy'); // ['deploy', 'Visita cliente']
+   * DateUtils.normalizarTags(['plantão;noturno']);                // ['plantão', 'noturno']
+   */
+  normalizarTags: (entrada) => {
+    const lista = Array.isArray(entrada) ? entrada : String(entrada || '').split(',');
+    const vistas = new Set();
+
+    return lista
+      .flatMap((tag) => String(tag).split(';'))
+      .map((tag) => tag.trim().replace(/^#+/, '').trim())
+      .filter((tag) => {
+        const chave = tag.toLowerCase();
+        if (!tag || vistas.has(chave)) return false;
+        vistas.add(chave);
+        return true;
+      });
+  },
+
+  /**
+   * Lista as tags usadas nos registros
+   *
+   * @param {Array} registros - Registros de ponto
+   * @returns {Array<string>} Tags únicas em ordem alfabética
+   */
+  obterTags: (registros) =>
+    DateUtils.normalizarTags((registros || []).flatMap((registro) => registro.tags || []))
+      .sort((a, b) => a.localeCompare(b, 'pt-BR')),
+
+  /**
+   * Totaliza horas trabalhadas, extras e débitos por tag
+   *
+   * Um registro com várias tags conta em cada uma delas.
+   *
+   * @param {Array} registros - Registros do período
+   * @param {string} escalaId - ID da escala de trabalho
+   * @returns {Array<Object>} { tag, dias, horasTrabalhadas, extras, debito }, maiores extras primeiro
+   *
+   * @example
+   * DateUtils.calcularResumoPorTag(registrosMes, 'escala_5x2_8h')[0];
+   * // { tag: 'deploy noturno', dias: 3, horasTrabalhadas: 1800, extras: 360, debito: 0 }
+   */
+  calcularResumoPorTag: (registros, escalaId = ESCALA_PADRAO) => {
+    const porTag = {};
+
+    (registros || []).forEach((registro) => {
+      const tags = DateUtils.normalizarTags(registro.tags || []);
+      if (tags.length === 0) return;
+
+      const { horasTrabalhadas, diferenca } = DateUtils.calcularResultadoDia(registro, escalaId);
+      tags.forEach((tag) => {
+        const chave = tag.toLowerCase();
+        const total = porTag[chave] || { tag, dias: 0, horasTrabalhadas: 0, extras: 0, debito: 0 };
+        total.dias += 1;
+        total.horasTrabalhadas += horasTrabalhadas;
+        total.extras += Math.max(diferenca, 0);
+        total.debito += Math.max(-diferenca, 0);
+        porTag[chave] = total;
+      });
+    });
+
+    return Object.values(porTag).sort((a, b) => b.extras - a.extras || a.tag.localeCompare(b.tag, 'pt-BR'));
+  },
+
+  /**
+   * Verifica o descanso entre jornadas consecutivas (interjornada)
+   *
+   * Compara a última saída de cada dia trabalhado com a primeira entrada
+   * do dia trabalhado seguinte e aponta descansos menores que o mínimo
+   * legal. Ausências e dias sem marcações completas são ignorados. Deve
+   * receber todos os registros, para que a virada de mês seja avaliada.
+   *
+   * @param {Array} registros - Registros de ponto
+   * @param {number} descansoMinimo - Descanso mínimo em minutos (padrão: 11h)
+   * @returns {Array<Object>} Violações em ordem cronológica
+   * @returns {string} returns[].registroId - ID do registro que iniciou a jornada cedo demais
+   * @returns {string} returns[].data - Data desse registro (YYYY-MM-DD)
+   * @returns {string} returns[].dataAnterior - Data da jornada anterior
+   * @returns {string} returns[].saidaAnterior - Última saída da jornada anterior (ISO)
+   * @returns {string} returns[].entrada - Primeira entrada da jornada (ISO)
+   * @returns {number} returns[].descanso - Descanso efetivo em minutos
+   *
+   * @example
+   * // Saída 23:00 e entrada 07:00 no dia seguinte
+   * DateUtils.verificarInterjornada(registros)[0].descanso; // 480
+   */
+  verificarInterjornada: (registros, descansoMinimo = DESCANSO_INTERJORNADA_MINUTOS) => {
+    const jornadas = (registros || [])
+      .filter((registro) => DateUtils.obterTipoRegistro(registro).efeito === 'trabalho')
+      .map((registro) => {
+        const completos = DateUtils.obterIntervalos(registro).filter(
+          (intervalo) => intervalo.entrada && intervalo.saida
+        );
+        if (completos.length === 0) return null;
+
+        return {
+          registro,
+          entrada: completos[0].entrada,
+          saida: completos[completos.length - 1].saida
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => new Date(a.entrada) - new Date(b.entrada));
+
+    const violacoes = [];
+
+    for (let i = 1; i < jornadas.length; i++) {
+      const anterior = jornadas[i - 1];
+      const atual = jornadas[i];
+      const descanso = Math.round(
+        (new Date(atual.entrada) - new Date(anterior.saida)) / (1000 * 60)
+      );
+
+      if (descanso < descansoMinimo) {
+        violacoes.push({
+          registroId: atual.registro.id,
+          data: atual.registro.data,
+          dataAnterior: anterior.registro.data,
+          saidaAnterior: anterior.saida,
+          entrada: atual.entrada,
+          descanso
+        });
+      }
+    }
+
+    return violacoes;
+  },
+
+  /**
+   * Obtém a semana ISO 8601 de uma data (semanas de segunda a domingo)
+   *
+   * @param {string} data - Data no formato YYYY-MM-DD
+   * @returns {Object} Semana da data
+   * @returns {string} returns.id - Identificador da semana (ex: "2024-W12")
+   * @returns {string} returns.inicio - Segunda-feira da semana (YYYY-MM-DD)
+   * @returns {string} returns.fim - Domingo da semana (YYYY-MM-DD)
+   *
+   * @example
+   * DateUtils.obterSemanaISO('2024-03-20'); // { id: '2024-W12', inicio: '2024-03-18', fim: '2024-03-24' }
+   */
+  obterSemanaISO: (data) => {
+    const dia = new Date(data + 'T00:00:00');
+    const deslocamento = (dia.getDay() + 6) % 7; // 0=Seg, ..., 6=Dom
+    const segunda = new Date(dia.getFullYear(), dia.getMonth(), dia.getDate() - deslocamento);
+    const domingo = new Date(segunda.getFullYear(), segunda.getMonth(), segunda.getDate() + 6);
+
+    // A semana pertence ao ano da sua quinta-feira
+    const quinta = new Date(segunda.getFullYear(), segunda.getMonth(), segunda.getDate() + 3);
+    const primeiroDiaAno = new Date(quinta.getFullYear(), 0, 1);
+    const numero = Math.floor(Math.round((quinta - primeiroDiaAno) / (1000 * 60 * 60 * 24)) / 7) + 1;
+
+    return {
+      id: `${quinta.getFullYear()}-W${String(numero).padStart(2, '0')}`,
+      inicio: DateUtils.formatarDataISO(segunda),
+      fim: DateUtils.formatarDataISO(domingo)
+    };
+  },
+
+  /**
+   * Verifica os limites legais de jornada diários e semanais
+   *
+   * Dias com horas extras acima do limite diário e semanas ISO com total
+   * trabalhado acima do limite semanal são apontados. Cada semana também
+   * informa o excedente sobre a carga semanal da escala (`horasSemana`).
+   * Deve receber todos os registros, para que semanas que atravessam a
+   * virada do mês sejam somadas por inteiro.
+   *
+   * @param {Array} registros - Registros de ponto
+   * @param {string} escalaId - ID da escala de trabalho
+   * @param {Object} limites - Limites em horas (CONFIGURACOES_PADRAO.limites); 0 desativa
+   * @returns {Object} Limites excedidos
+   * @returns {Array<Object>} returns.dias - Dias acima do limite ({ registroId, data, extras, limite })
+   * @returns {Array<Object>} returns.semanas - Semanas acima do limite
+   *   ({ id, inicio, fim, minutos, cargaEscala, excedenteEscala, limite, registroIds })
+   *
+   * @example
+   * const { dias, semanas } = DateUtils.verificarLimitesJornada(registros, 'escala_5x2_8h', { extrasDiarias: 2, horasSemanais: 44 });
+   */
+  verificarLimitesJornada: (registros, escalaId = ESCALA_PADRAO, limites = {}) => {
+    const limiteDiario = Math.round((Number(limites.extrasDiarias) || 0) * 60);
+    const limiteSemanal = Math.round((Number(limites.horasSemanais) || 0) * 60);
+    // Carga da escala vigente na segunda-feira da semana
+    const cargaEscala = (semana) =>
+      DateUtils.obterEscalaInfo(DateUtils.obterEscalaNaData(semana.inicio, escalaId)).horasSemana * 60;
+
+    const dias = [];
+    const semanas = {};
+
+    (registros || []).forEach((registro) => {
+      const { horasTrabalhadas, diferenca } = DateUtils.calcularResultadoDia(registro, escalaId);
+      if (horasTrabalhadas === 0) return;
+
+      if (limiteDiario > 0 && diferenca > limiteDiario) {
+        dias.push({ registroId: registro.id, data: registro.data, extras: diferenca, limite: limiteDiario });
+      }
+
+      const semana = DateUtils.obterSemanaISO(registro.data);
+      if (!semanas[semana.id]) {
+        semanas[semana.id] = { ...semana, minutos: 0, registros: [] };
+      }
+      semanas[semana.id].minutos += horasTrabalhadas;
+      semanas[semana.id].registros.push(registro);
+    });
+
+    const semanasExcedidas = limiteSemanal > 0
+      ? Object.values(semanas)
+        .filter((semana) => semana.minutos > limiteSemanal)
+        .map(({ registros: registrosSemana, ...semana }) => ({
+          ...semana,
+          cargaEscala: cargaEscala(semana),
+          excedenteEscala: Math.max(semana.minutos - cargaEscala(semana), 0),
+          limite: limiteSemanal,
+          // Em ordem cronológica: o último registro fecha a semana
+          registroIds: registrosSemana
+            .sort((a, b) => a.data.localeCompare(b.data))
+            .map((registro) => registro.id)
+        }))
+        .sort((a, b) => a.inicio.localeCompare(b.inicio))
+      : [];
+
+    return {
+      dias: dias.sort((a, b) => a.data.localeCompare(b.data)),
+      semanas: semanasExcedidas
+    };
+  },
+
   // ===============================
   // GERAÇÃO DE DATASETS PARA GRÁFICOS
   // ===============================
@@ -448,9 +1683,8 @@ export const DateUtils = {
     // Informações básicas do período
     const diasNoMes = new Date(ano, mes + 1, 0).getDate();
     const escalaInfo = DateUtils.obterEscalaInfo(escalaId);
-    const metaDiaria = escalaInfo.horasPorDia; // Meta em minutos
     
-    console.log(`🎯 Meta diária: ${(metaDiaria / 60).toFixed(1)}h`);
+    console.log(`🎯 Meta diária: ${(escalaInfo.horasPorDia / 60).toFixed(1)}h (zero em folgas e feriados)`);
     console.log(`📅 Total de dias no mês: ${diasNoMes}`);
     
     const dadosProcessados = [];
@@ -480,15 +1714,21 @@ export const DateUtils = {
         return match;
       });
       
-      // Calcular horas trabalhadas para este dia
-      const horasTrabalhadasMinutos = registroEncontrado 
-        ? DateUtils.calcularHorasTrabalhadas(registroEncontrado.entrada, registroEncontrado.saida)
-        : 0;
+      // Feriado e folga prevista pela escala (independem de haver registro)
+      const feriado = FeriadosUtils.obterFeriado(dataISO);
+      const folgaEscala = DateUtils.ehFolgaEscala(dataISO, escalaId);
       
-      // Calcular diferença em relação à meta (para extras/débitos)
-      const diferencaMinutos = horasTrabalhadasMinutos > 0 
-        ? horasTrabalhadasMinutos - metaDiaria 
-        : 0;
+      // Calcular horas trabalhadas e diferença em relação à meta (extras/débitos)
+      // Ausências justificadas zeram a meta do dia
+      const {
+        horasTrabalhadas: horasTrabalhadasMinutos,
+        diferenca: diferencaMinutos,
+        meta: metaDiaria,
+        tipo
+      } = registroEncontrado
+        ? DateUtils.calcularResultadoDia(registroEncontrado, escalaId)
+        : { horasTrabalhadas: 0, diferenca: 0, meta: DateUtils.obterMetaDiaria(dataISO, escalaId), tipo: null };
+      const ausencia = tipo && tipo.efeito !== 'trabalho' ? tipo : null;
       
       // Formato de exibição da data para eixo X dos gráficos
       const dataDisplay = `${dia.toString().padStart(2, '0')}/${(mes + 1).toString().padStart(2, '0')}`;
@@ -503,9 +1743,14 @@ export const DateUtils = {
         horasDebito: diferencaMinutos < 0 ? Number((Math.abs(diferencaMinutos) / 60).toFixed(2)) : 0,
         meta: Number((metaDiaria / 60).toFixed(2)),                      // Meta em horas decimais
         temRegistro: !!registroEncontrado,                              // Flag para dias com dados
+        feriado: feriado ? feriado.nome : null,                         // Nome do feriado (se houver)
+        folgaEscala,                                                      // Folga prevista pela escala
+        trabalhoEmFeriado: !!feriado && !feriado.meioPeriodo && horasTrabalhadasMinutos > 0, // Jornada em feriado
+        ausencia: ausencia ? ausencia.nome : null,                      // Tipo de ausência (férias, atestado...)
         // Campos adicionais para análises avançadas
         produtividade: metaDiaria > 0 ? Number(((horasTrabalhadasMinutos / metaDiaria) * 100).toFixed(1)) : 0,
-        status: horasTrabalhadasMinutos === 0 ? 'sem-registro' : 
+        status: ausencia ? (ausencia.efeito === 'abono' ? 'abonado' : 'debito') :
+                horasTrabalhadasMinutos === 0 ? (feriado ? 'feriado' : folgaEscala ? 'folga' : 'sem-registro') : 
                 diferencaMinutos > 0 ? 'extras' : 
                 diferencaMinutos < 0 ? 'debito' : 'meta'
       };
@@ -535,6 +1780,29 @@ export const DateUtils = {
   // UTILITÁRIOS AUXILIARES
   // ===============================
 
+  /**
+   * Converte um saldo de horas digitado pelo usuário para minutos
+   *
+   * Aceita sinal opcional, horas acima de 24 e o sufixo "h" usado por
+   * `formatarMinutos`, permitindo reaproveitar valores exibidos na tela.
+   *
+   * @param {string} saldo - Saldo no formato [+|-]H:MM
+   * @returns {number|null} Minutos (negativo = débito) ou null se inválido
+   *
+   * @example
+   * DateUtils.converterSaldoParaMinutos("+12:30h"); // 750
+   * DateUtils.converterSaldoParaMinutos("-3:15");   // -195
+   * DateUtils.converterSaldoParaMinutos("abc");     // null
+   */
+  converterSaldoParaMinutos: (saldo) => {
+    const correspondencia = String(saldo || '').trim().match(/^([+-])?(\d+):([0-5]\d)h?$/);
+    if (!correspondencia) return null;
+
+    const [, sinal, horas, minutos] = correspondencia;
+    const total = Number(horas) * 60 + Number(minutos);
+    return sinal === '-' ? -total : total;
+  },
+
   /**
    * Converte string de horário (HH:MM) para minutos desde meia-noite
    *
@@ -575,6 +1843,123 @@ export const DateUtils = {
     }
   },
 
+  /**
+   * Combina uma data (YYYY-MM-DD) com um horário (HH:MM) em timestamp ISO
+   *
+   * O horário é interpretado no fuso local, da mesma forma que os inputs
+   * de horário da tabela de registros.
+   *
+   * @param {string} data - Data no formato YYYY-MM-DD
+   * @param {string} horario - Horário no formato HH:MM
+   * @returns {string} Timestamp ISO ou string vazia se o horário for inválido
+   *
+   * @example
+   * DateUtils.combinarDataHorario("2024-03-15", "08:30"); // "2024-03-15T11:30:00.000Z" (UTC-3)
+   * DateUtils.combinarDataHorario("2024-03-15", "");      // ""
+   */
+  combinarDataHorario: (data, horario) => {
+    if (!data || !horario) return '';
+
+    const [horas, minutos] = horario.split(':').map((parte) => parseInt(parte, 10));
+    if (isNaN(horas) || isNaN(minutos)) return '';
+
+    const dataCompleta = new Date(data + 'T00:00:00');
+    if (isNaN(dataCompleta.getTime())) return '';
+
+    dataCompleta.setHours(horas, minutos, 0, 0);
+    return dataCompleta.toISOString();
+  },
+
+  /**
+   * Monta as marcações de um dia a partir do horário padrão
+   *
+   * A saída é calculada para cumprir a meta do dia. Jornadas acima de 6h
+   * com intervalo configurado são divididas no início do intervalo; as
+   * demais ficam em um único par. Jornadas que passam da meia-noite
+   * terminam no dia seguinte.
+   *
+   * @param {string} data - Data no formato YYYY-MM-DD
+   * @param {number} meta - Meta do dia em minutos
+   * @param {Object} jornadaPadrao - Horário padrão (CONFIGURACOES_PADRAO.jornadaPadrao)
+   * @returns {Array<Object>} Pares { entrada, saida } em ISO (vazio sem meta)
+   *
+   * @example
+   * // 8h a partir das 08:00, intervalo de 1h às 12:00
+   * DateUtils.montarIntervalosPadrao('2024-06-17', 480, { entrada: '08:00', inicioIntervalo: '12:00', intervalo: 60 });
+   * // 08:00–12:00 e 13:00–17:00
+   */
+  montarIntervalosPadrao: (data, meta, jornadaPadrao = {}) => {
+    const entrada = DateUtils.combinarDataHorario(data, jornadaPadrao.entrada);
+    if (!entrada || !(meta > 0)) return [];
+
+    const inicio = new Date(entrada).getTime();
+    const horario = (minutos) => new Date(inicio + minutos * 60000).toISOString();
+    const pausa = Number(jornadaPadrao.intervalo) || 0;
+    // Minutos trabalhados antes do intervalo (intervalo após a meia-noite em turnos noturnos)
+    const antesDoIntervalo =
+      (DateUtils.converterHorarioParaMinutos(jornadaPadrao.inicioIntervalo) -
+        DateUtils.converterHorarioParaMinutos(jornadaPadrao.entrada) + 1440) % 1440;
+
+    if (meta <= 360 || pausa <= 0 || antesDoIntervalo <= 0 || antesDoIntervalo >= meta) {
+      return [{ entrada, saida: horario(meta) }];
+    }
+
+    return [
+      { entrada, saida: horario(antesDoIntervalo) },
+      { entrada: horario(antesDoIntervalo + pausa), saida: horario(meta + pausa) }
+    ];
+  },
+
+  /**
+   * Soma (ou subtrai) dias de uma data no formato YYYY-MM-DD
+   *
+   * @param {string} data - Data base (YYYY-MM-DD)
+   * @param {number} dias - Quantidade de dias (pode ser negativa)
+   * @returns {string} Nova data no formato YYYY-MM-DD
+   *
+   * @example
+   * DateUtils.adicionarDias("2024-02-28", 2); // "2024-03-01"
+   */
+  adicionarDias: (data, dias) => {
+    const dateObj = new Date(data + 'T00:00:00');
+    dateObj.setDate(dateObj.getDate() + dias);
+    return DateUtils.formatarDataISO(dateObj);
+  },
+
+  /**
+   * Converte um objeto Date para YYYY-MM-DD usando o fuso local
+   *
+   * Diferente de `toISOString()`, não desloca a data para UTC
+   * (evita "pular" para o dia seguinte após as 21h no Brasil).
+   *
+   * @param {Date} dateObj - Data a converter
+   * @returns {string} Data no formato YYYY-MM-DD
+   *
+   * @example
+   * DateUtils.formatarDataISO(new Date(2024, 2, 15)); // "2024-03-15"
+   */
+  formatarDataISO: (dateObj) => {
+    const ano = dateObj.getFullYear();
+    const mes = String(dateObj.getMonth() + 1).padStart(2, '0');
+    const dia = String(dateObj.getDate()).padStart(2, '0');
+    return `${ano}-${mes}-${dia}`;
+  },
+
+  /**
+   * Obtém a data local (YYYY-MM-DD) de um timestamp ISO
+   *
+   * @param {string} timestamp - Timestamp ISO
+   * @returns {string} Data local ou string vazia se inválido
+   *
+   * @example
+   * DateUtils.obterDataLocal("2024-03-16T09:00:00.000Z"); // "2024-03-16"
+   */
+  obterDataLocal: (timestamp) => {
+    if (!timestamp) return '';
+    const dateObj = new Date(timestamp);
+    return isNaN(dateObj.getTime()) ? '' : DateUtils.formatarDataISO(dateObj);
+  },
+
   /**
    * Obtém informações sobre primeiro e último dia útil do mês
    *
@@ -596,7 +1981,6 @@ export const DateUtils = {
    * console.log(extremos.total);    // 26 (total de dias úteis em março)
    */
   obterExtremosDiasUteis: (mes, ano, escalaId = ESCALA_PADRAO) => {
-    const escalaInfo = DateUtils.obterEscalaInfo(escalaId);
     const diasNoMes = new Date(ano, mes + 1, 0).getDate();
     
     let primeiroDiaUtil = null;
@@ -604,10 +1988,9 @@ export const DateUtils = {
     
     // Percorrer todos os dias do mês procurando primeiro e último dia útil
     for (let dia = 1; dia <= diasNoMes; dia++) {
-      const data = new Date(ano, mes, dia);
-      const diaSemana = data.getDay(); // 0=Dom, 1=Seg, ..., 6=Sáb
+      const data = DateUtils.formatarDataISO(new Date(ano, mes, dia));
       
-      if (escalaInfo.diasUteis.includes(diaSemana)) {
+      if (DateUtils.ehDiaUtil(data, escalaId)) {
         if (!primeiroDiaUtil) {
           primeiroDiaUtil = dia; // Primeiro encontrado
         }
@@ -663,12 +2046,11 @@ export const DateUtils = {
       return estatisticasVazias;
     }
 
-    const escalaInfo = DateUtils.obterEscalaInfo(escalaId);
-    
-    // Calcular jornadas válidas (apenas dias com entrada e saída)
-    const jornadas = registros
-      .map(registro => DateUtils.calcularHorasTrabalhadas(registro.entrada, registro.saida))
-      .filter(horas => horas > 0); // Filtrar apenas jornadas válidas
+    // Calcular resultados dos dias com jornada válida (apenas dias com entrada e saída)
+    const resultados = registros
+      .map(registro => DateUtils.calcularResultadoDia(registro, escalaId))
+      .filter(resultado => resultado.horasTrabalhadas > 0);
+    const jornadas = resultados.map(resultado => resultado.horasTrabalhadas);
 
     if (jornadas.length === 0) {
       return estatisticasVazias;
@@ -681,8 +2063,8 @@ export const DateUtils = {
     const menorJornada = Math.min(...jornadas);
     
     // Análise de distribuição em relação à meta
-    const diasAcimaMeta = jornadas.filter(horas => horas > escalaInfo.horasPorDia).length;
-    const diasAbaixoMeta = jornadas.filter(horas => horas < escalaInfo.horasPorDia).length;
+    const diasAcimaMeta = resultados.filter(resultado => resultado.diferenca > 0).length;
+    const diasAbaixoMeta = resultados.filter(resultado => resultado.diferenca < 0).length;
     
     // Cálculo de consistência (baseado na variação em relação à média)
     let consistencia = 0;
@@ -715,6 +2097,187 @@ export const DateUtils = {
     };
   },
 
+  /**
+   * Calcula o banco de horas acumulado até o mês selecionado
+   *
+   * Agrupa o saldo (extras - débitos) de cada mês e o transporta para
+   * os meses seguintes, partindo do saldo inicial informado pelo usuário.
+   * Registros anteriores ao mês de início do banco são ignorados; se o
+   * mês consultado for anterior ao início, o banco ainda não existe e
+   * todos os valores são zero.
+   *
+   * @param {Array} registros - Todos os registros (qualquer período)
+   * @param {number} mes - Mês consultado (0-11)
+   * @param {number} ano - Ano consultado
+   * @param {string} escalaId - ID da escala de trabalho
+   * @param {Object} [banco] - Configuração do banco de horas
+   * @param {number} [banco.saldoInicial=0] - Saldo de abertura em minutos
+   * @param {string} [banco.inicio] - Mês de abertura (YYYY-MM); vazio usa o primeiro registro
+   * @returns {Object} Banco de horas no mês consultado
+   * @returns {number} returns.saldoAnterior - Saldo transportado dos meses anteriores
+   * @returns {number} returns.movimentoMes - Saldo do mês consultado
+   * @returns {number} returns.saldoAcumulado - Saldo ao final do mês consultado
+   * @returns {Array<Object>} returns.movimentos - Saldo por mês ({ mes, ano, saldo }) em ordem cronológica, até o mês consultado
+   *
+   * @example
+   * // Saldo inicial de 5h em jan/2024, +2h em janeiro e -30min em fevereiro
+   * DateUtils.calcularBancoHoras(registros, 1, 2024, 'escala_5x2_8h', { saldoInicial: 300, inicio: '2024-01' });
+   * // { saldoAnterior: 420, movimentoMes: -30, saldoAcumulado: 390, movimentos: [...] }
+   */
+  calcularBancoHoras: (registros, mes, ano, escalaId = ESCALA_PADRAO, banco = {}) => {
+    const chaveConsultada = `${ano}-${String(mes + 1).padStart(2, '0')}`;
+    const inicio = banco.inicio || '';
+    const saldoInicial = Number(banco.saldoInicial) || 0;
+
+    // Saldo de cada mês (YYYY-MM) até o mês consultado
+    const saldosPorMes = new Map();
+    (registros || []).forEach(registro => {
+      const chave = registro.data?.substring(0, 7);
+      if (!chave || chave > chaveConsultada || (inicio && chave < inicio)) return;
+
+      const { diferenca } = DateUtils.calcularResultadoDia(registro, escalaId);
+      saldosPorMes.set(chave, (saldosPorMes.get(chave) || 0) + diferenca);
+    });
+
+    const movimentos = [...saldosPorMes.keys()]
+      .sort()
+      .map(chave => ({
+        ano: parseInt(chave.substring(0, 4), 10),
+        mes: parseInt(chave.substring(5, 7), 10) - 1,
+        saldo: saldosPorMes.get(chave)
+      }));
+
+    if (inicio && chaveConsultada < inicio) {
+      return { saldoAnterior: 0, movimentoMes: 0, saldoAcumulado: 0, movimentos: [] };
+    }
+
+    const movimentoMes = saldosPorMes.get(chaveConsultada) || 0;
+    const saldoAnterior =
+      movimentos.reduce((total, movimento) => total + movimento.saldo, saldoInicial) - movimentoMes;
+
+    return {
+      saldoAnterior,
+      movimentoMes,
+      saldoAcumulado: saldoAnterior + movimentoMes,
+      movimentos
+    };
+  },
+
+  /**
+   * Distribui o banco de horas em lotes mensais com data de vencimento
+   *
+   * Função pura: cada mês com saldo positivo gera um lote que vence no
+   * último dia do `prazoMeses`-ésimo mês seguinte. Meses com saldo negativo
+   * consomem os lotes ainda válidos do mais antigo para o mais novo (FIFO);
+   * débito sem lote disponível fica pendente e é abatido dos próximos
+   * créditos. Lotes vencidos com horas restantes não podem mais ser
+   * compensados (devem ser pagos).
+   *
+   * @param {Array<Object>} movimentos - Saldo por mês ({ mes, ano, saldo }), como em `calcularBancoHoras`
+   * @param {string} dataReferencia - Data de referência (YYYY-MM-DD) para vencidos e avisos
+   * @param {Object} [opcoes] - Opções do banco
+   * @param {number} [opcoes.saldoInicial=0] - Saldo de abertura (vira o primeiro lote ou débito pendente)
+   * @param {string} [opcoes.inicio] - Mês de abertura (YYYY-MM), origem do lote do saldo inicial
+   * @param {number} [opcoes.prazoMeses=PRAZO_COMPENSACAO_MESES] - Meses para compensar cada crédito
+   * @returns {Object} Situação dos lotes
+   * @returns {Array<Object>} returns.lotes - Lotes ({ origem, credito, restante, vencimento, diasParaVencer, status })
+   * @returns {number} returns.saldoValido - Minutos ainda compensáveis
+   * @returns {number} returns.vencidas - Minutos vencidos sem compensação
+   * @returns {number} returns.debitoPendente - Débito sem lote para abater
+   * @returns {Object} returns.aVencer - Minutos que vencem em cada janela de aviso (ex: { 30: 120, 60: 300 })
+   *
+   * @example
+   * DateUtils.calcularLotesBancoHoras(
+   *   [{ mes: 0, ano: 2024, saldo: 300 }, { mes: 1, ano: 2024, saldo: -120 }],
+   *   '2024-07-10'
+   * );
+   * // lotes: [{ origem: '2024-01', credito: 300, restante: 180, vencimento: '2024-07-31', diasParaVencer: 21, status: 'vence-30' }]
+   */
+  calcularLotesBancoHoras: (movimentos, dataReferencia, opcoes = {}) => {
+    const prazoMeses = opcoes.prazoMeses || PRAZO_COMPENSACAO_MESES;
+    const referencia = new Date(dataReferencia + 'T00:00:00');
+    const janelas = [...ALERTAS_VENCIMENTO_DIAS].sort((a, b) => a - b);
+
+    const lotes = [];
+    let debitoPendente = 0;
+
+    // Aplica o saldo de um mês: créditos quitam débito pendente e viram lote;
+    // débitos consomem lotes válidos (FIFO)
+    const aplicarSaldo = (ano, mes, saldo) => {
+      const inicioMes = DateUtils.formatarDataISO(new Date(ano, mes, 1));
+
+      if (saldo > 0) {
+        const abatido = Math.min(saldo, debitoPendente);
+        debitoPendente -= abatido;
+
+        if (saldo - abatido > 0) {
+          lotes.push({
+            origem: `${ano}-${String(mes + 1).padStart(2, '0')}`,
+            credito: saldo - abatido,
+            restante: saldo - abatido,
+            vencimento: DateUtils.formatarDataISO(new Date(ano, mes + prazoMeses + 1, 0))
+          });
+        }
+        return;
+      }
+
+      let aConsumir = Math.abs(saldo);
+      lotes
+        .filter(lote => lote.restante > 0 && lote.vencimento >= inicioMes)
+        .forEach(lote => {
+          const consumido = Math.min(lote.restante, aConsumir);
+          lote.restante -= consumido;
+          aConsumir -= consumido;
+        });
+      debitoPendente += aConsumir;
+    };
+
+    const ordenados = [...(movimentos || [])].sort((a, b) => a.ano - b.ano || a.mes - b.mes);
+
+    const saldoInicial = Number(opcoes.saldoInicial) || 0;
+    if (saldoInicial !== 0) {
+      const [anoInicio, mesInicio] = opcoes.inicio
+        ? opcoes.inicio.split('-').map(Number)
+        : ordenados.length > 0
+        ? [ordenados[0].ano, ordenados[0].mes + 1]
+        : [referencia.getFullYear(), referencia.getMonth() + 1];
+      aplicarSaldo(anoInicio, mesInicio - 1, saldoInicial);
+    }
+
+    ordenados.forEach(movimento => {
+      if (movimento.saldo !== 0) aplicarSaldo(movimento.ano, movimento.mes, movimento.saldo);
+    });
+
+    // Situação de cada lote na data de referência
+    const aVencer = Object.fromEntries(janelas.map(dias => [dias, 0]));
+    let saldoValido = 0;
+    let vencidas = 0;
+
+    const lotesSituacao = lotes.map(lote => {
+      const vencimento = new Date(lote.vencimento + 'T00:00:00');
+      const diasParaVencer = Math.round((vencimento - referencia) / (24 * 60 * 60 * 1000));
+      let status = 'ativo';
+
+      if (lote.restante === 0) {
+        status = 'compensado';
+      } else if (diasParaVencer < 0) {
+        status = 'vencido';
+        vencidas += lote.restante;
+      } else {
+        saldoValido += lote.restante;
+        const janela = janelas.find(dias => diasParaVencer <= dias);
+        if (janela !== undefined) {
+          status = `vence-${janela}`;
+          janelas.filter(dias => dias >= janela).forEach(dias => { aVencer[dias] += lote.restante; });
+        }
+      }
+
+      return { ...lote, diasParaVencer, status };
+    });
+
+    return { lotes: lotesSituacao, saldoValido, vencidas, debitoPendente, aVencer };
+  },
+
   /**
    * Gera resumo textual inteligente do desempenho
    *
@@ -0,0 +1,396 @@
+import { DateUtils } from './dateUtils';
+
+/**
+ * Monta um registro de teste a partir de pares HH:MM
+ */
+const criarRegistro = (data, pares, extras = {}) => ({
+  id: `registro_${data}`,
+  data,
+  intervalos: pares.map(([entrada, saida]) => ({
+    entrada: DateUtils.combinarDataHorario(data, entrada),
+    saida: DateUtils.combinarDataHorario(data, saida)
+  })),
+  ...extras
+});
+
+/**
+ * Resume as marcações normalizadas como "YYYY-MM-DD HH:MM" (fuso local)
+ */
+const descreverMarcacoes = (registro) =>
+  DateUtils.obterIntervalos(registro).map(({ entrada, saida }) =>
+    [entrada, saida].map((valor) => {
+      const dateObj = new Date(valor);
+      const horario = `${String(dateObj.getHours()).padStart(2, '0')}:${String(dateObj.getMinutes()).padStart(2, '0')}`;
+      return `${DateUtils.obterDataLocal(valor)} ${horario}`;
+    })
+  );
+
+describe('DateUtils.normalizarIntervalos', () => {
+  test('turno noturno termina no dia seguinte', () => {
+    const registro = criarRegistro('2024-03-15', [['22:00', '06:00']]);
+
+    expect(descreverMarcacoes(registro)).toEqual([['2024-03-15 22:00', '2024-03-16 06:00']]);
+    expect(DateUtils.calcularHorasRegistro(registro)).toBe(480);
+  });
+
+  test('pares após um par que cruza a meia-noite continuam no dia seguinte', () => {
+    const registro = criarRegistro('2024-03-15', [['20:00', '01:00'], ['02:00', '05:00']]);
+
+    expect(descreverMarcacoes(registro)).toEqual([
+      ['2024-03-15 20:00', '2024-03-16 01:00'],
+      ['2024-03-16 02:00', '2024-03-16 05:00']
+    ]);
+  });
+
+  test('pausa que cruza a meia-noite vira o dia', () => {
+    const registro = criarRegistro('2024-03-15', [['22:00', '23:30'], ['00:30', '06:00']]);
+
+    expect(descreverMarcacoes(registro)[1]).toEqual(['2024-03-16 00:30', '2024-03-16 06:00']);
+    expect(DateUtils.calcularHorasRegistro(registro)).toBe(420);
+    expect(DateUtils.validarRegistro(registro).valido).toBe(true);
+  });
+
+  test('pares sobrepostos ficam no mesmo dia e são rejeitados', () => {
+    const registro = criarRegistro('2024-03-15', [['08:00', '12:00'], ['11:00', '13:00']]);
+
+    expect(descreverMarcacoes(registro)[1]).toEqual(['2024-03-15 11:00', '2024-03-15 13:00']);
+    expect(DateUtils.validarRegistro(registro)).toEqual({
+      valido: false,
+      mensagem: 'Intervalo 2 começa antes do fim do intervalo anterior'
+    });
+  });
+
+  test('saída igual à entrada indica turno de 24 horas', () => {
+    const registro = criarRegistro('2024-03-15', [['07:00', '07:00']]);
+
+    expect(descreverMarcacoes(registro)).toEqual([['2024-03-15 07:00', '2024-03-16 07:00']]);
+  });
+});
+
+describe('DateUtils.calcularLotesBancoHoras', () => {
+  test('débito consome os lotes do mais antigo para o mais novo (FIFO)', () => {
+    const { lotes, saldoValido } = DateUtils.calcularLotesBancoHoras(
+      [
+        { mes: 0, ano: 2024, saldo: 300 },
+        { mes: 1, ano: 2024, saldo: 200 },
+        { mes: 2, ano: 2024, saldo: -400 }
+      ],
+      '2024-04-10'
+    );
+
+    expect(lotes.map(({ origem, restante, status }) => ({ origem, restante, status }))).toEqual([
+      { origem: '2024-01', restante: 0, status: 'compensado' },
+      { origem: '2024-02', restante: 100, status: 'ativo' }
+    ]);
+    expect(saldoValido).toBe(100);
+  });
+
+  test('débito menor que o lote consome parte dele', () => {
+    const { lotes, saldoValido, debitoPendente } = DateUtils.calcularLotesBancoHoras(
+      [{ mes: 0, ano: 2024, saldo: 300 }, { mes: 1, ano: 2024, saldo: -120 }],
+      '2024-04-10'
+    );
+
+    expect(lotes).toHaveLength(1);
+    expect(lotes[0]).toMatchObject({ credito: 300, restante: 180, vencimento: '2024-07-31' });
+    expect(saldoValido).toBe(180);
+    expect(debitoPendente).toBe(0);
+  });
+
+  test('débito sem lote fica pendente e é abatido do próximo crédito', () => {
+    const { lotes, debitoPendente } = DateUtils.calcularLotesBancoHoras(
+      [{ mes: 0, ano: 2024, saldo: -60 }, { mes: 1, ano: 2024, saldo: 100 }],
+      '2024-04-10'
+    );
+
+    expect(lotes[0]).toMatchObject({ origem: '2024-02', credito: 40, restante: 40 });
+    expect(debitoPendente).toBe(0);
+  });
+
+  test('lote vale até o último dia do sexto mês seguinte', () => {
+    const movimentos = [{ mes: 0, ano: 2024, saldo: 300 }];
+
+    const noVencimento = DateUtils.calcularLotesBancoHoras(movimentos, '2024-07-31');
+    expect(noVencimento.lotes[0]).toMatchObject({ vencimento: '2024-07-31', diasParaVencer: 0, status: 'vence-30' });
+    expect(noVencimento.saldoValido).toBe(300);
+    expect(noVencimento.vencidas).toBe(0);
+
+    const aposVencimento = DateUtils.calcularLotesBancoHoras(movimentos, '2024-08-01');
+    expect(aposVencimento.lotes[0]).toMatchObject({ diasParaVencer: -1, status: 'vencido' });
+    expect(aposVencimento.saldoValido).toBe(0);
+    expect(aposVencimento.vencidas).toBe(300);
+  });
+
+  test('débito após o vencimento não consome o lote vencido', () => {
+    const { vencidas, debitoPendente } = DateUtils.calcularLotesBancoHoras(
+      [{ mes: 0, ano: 2024, saldo: 300 }, { mes: 7, ano: 2024, saldo: -100 }],
+      '2024-08-10'
+    );
+
+    expect(vencidas).toBe(300);
+    expect(debitoPendente).toBe(100);
+  });
+
+  test('separa os minutos a vencer nas janelas de 30 e 60 dias', () => {
+    const { lotes, aVencer } = DateUtils.calcularLotesBancoHoras(
+      [
+        { mes: 0, ano: 2024, saldo: 100 },
+        { mes: 1, ano: 2024, saldo: 200 },
+        { mes: 2, ano: 2024, saldo: 50 }
+      ],
+      '2024-07-15'
+    );
+
+    expect(lotes.map(({ diasParaVencer, status }) => ({ diasParaVencer, status }))).toEqual([
+      { diasParaVencer: 16, status: 'vence-30' },
+      { diasParaVencer: 47, status: 'vence-60' },
+      { diasParaVencer: 77, status: 'ativo' }
+    ]);
+    // A janela de 60 dias inclui os minutos que vencem em 30
+    expect(aVencer).toEqual({ 30: 100, 60: 300 });
+  });
+});
+
+describe('Escalas cíclicas', () => {
+  const escala12x36 = DateUtils.obterEscalaInfo('escala_12x36');
+  const escala24x48 = DateUtils.obterEscalaInfo('escala_24x48');
+  const escala5x1 = DateUtils.obterEscalaInfo('escala_5x1_revezamento');
+
+  test('alterna os dias pela posição no ciclo', () => {
+    expect(['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04']
+      .map((data) => DateUtils.ehDiaDeTrabalhoNaEscala(data, escala12x36))).toEqual([true, false, true, false]);
+    expect(['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04']
+      .map((data) => DateUtils.ehDiaDeTrabalhoNaEscala(data, escala24x48))).toEqual([true, false, false, true]);
+    expect(DateUtils.ehDiaDeTrabalhoNaEscala('2024-01-06', escala5x1)).toBe(false);
+    expect(DateUtils.ehDiaDeTrabalhoNaEscala('2024-01-07', escala5x1)).toBe(true);
+  });
+
+  test('datas anteriores ao início do ciclo seguem a mesma sequência', () => {
+    expect(DateUtils.ehDiaDeTrabalhoNaEscala('2023-12-31', escala12x36)).toBe(false);
+    expect(DateUtils.ehDiaDeTrabalhoNaEscala('2023-12-29', escala24x48)).toBe(true);
+    expect(DateUtils.ehDiaDeTrabalhoNaEscala('2023-12-31', escala5x1)).toBe(false);
+  });
+
+  test('plantão de 24 horas é válido na escala 24x48', () => {
+    const plantao = criarRegistro('2024-01-04', [['07:00', '07:00']]);
+
+    expect(DateUtils.calcularHorasRegistro(plantao)).toBe(24 * 60);
+    expect(DateUtils.validarRegistro(plantao, 'escala_24x48')).toEqual({ valido: true, mensagem: '' });
+    expect(DateUtils.validarRegistro(plantao, 'escala_5x2_8h')).toEqual({
+      valido: false,
+      mensagem: 'Jornada superior a 12 horas - verifique os horários'
+    });
+  });
+});
+
+describe('Histórico de escalas', () => {
+  const historico = [
+    { escalaId: 'escala_12x36', ate: '2024-06-30' },
+    { escalaId: 'escala_5x2_6h', ate: '2024-06-16' }
+  ];
+
+  test('cada período vale até o seu último dia; depois vale a escala atual', () => {
+    expect(DateUtils.obterEscalaNaData('2024-06-16', 'escala_5x2_8h', historico)).toBe('escala_5x2_6h');
+    expect(DateUtils.obterEscalaNaData('2024-06-17', 'escala_5x2_8h', historico)).toBe('escala_12x36');
+    expect(DateUtils.obterEscalaNaData('2024-07-01', 'escala_5x2_8h', historico)).toBe('escala_5x2_8h');
+    expect(DateUtils.obterEscalaNaData('2024-07-01', 'escala_5x2_8h', [])).toBe('escala_5x2_8h');
+  });
+
+  test('divide o período nas escalas vigentes', () => {
+    expect(
+      DateUtils.obterEscalasNoPeriodo('2024-06-01', '2024-07-10', 'escala_5x2_8h', historico)
+        .map(({ escalaId, inicio, fim }) => ({ escalaId, inicio, fim }))
+    ).toEqual([
+      { escalaId: 'escala_5x2_6h', inicio: '2024-06-01', fim: '2024-06-16' },
+      { escalaId: 'escala_12x36', inicio: '2024-06-17', fim: '2024-06-30' },
+      { escalaId: 'escala_5x2_8h', inicio: '2024-07-01', fim: '2024-07-10' }
+    ]);
+  });
+});
+
+describe('DateUtils.calcularResultadoDia (tolerância)', () => {
+  const tolerancia = { ativa: true, minutosPorMarcacao: 3, limiteDiario: 10 };
+
+  test('variação dentro do limite das batidas não gera extra nem débito', () => {
+    const registro = criarRegistro('2024-04-22', [['08:03', '12:00'], ['13:00', '17:00']]);
+    const resultado = DateUtils.calcularResultadoDia(registro, 'escala_5x2_8h', tolerancia);
+
+    expect(resultado.diferencaBruta).toBe(-3);
+    expect(resultado.diferenca).toBe(0);
+  });
+
+  test('pares vazios não contam como batidas', () => {
+    const registro = criarRegistro('2024-04-22', [['08:00', '16:07'], ['', '']]);
+    const resultado = DateUtils.calcularResultadoDia(registro, 'escala_5x2_8h', tolerancia);
+
+    // 2 batidas × 3min = 6min de tolerância
+    expect(resultado.diferenca).toBe(7);
+  });
+
+  test('tolerância desativada mantém a diferença bruta', () => {
+    const registro = criarRegistro('2024-04-22', [['08:03', '12:00'], ['13:00', '17:00']]);
+
+    expect(DateUtils.calcularResultadoDia(registro, 'escala_5x2_8h', { ...tolerancia, ativa: false }).diferenca).toBe(-3);
+  });
+});
+
+describe('Tags', () => {
+  test('agrupa tags sem diferenciar maiúsculas', () => {
+    const registros = [
+      criarRegistro('2024-04-22', [['08:00', '17:00']], { tags: ['Deploy'] }),
+      criarRegistro('2024-04-23', [['08:00', '17:00']], { tags: ['deploy'] })
+    ];
+
+    expect(DateUtils.obterTags(registros)).toEqual(['Deploy']);
+    expect(DateUtils.calcularResumoPorTag(registros, 'escala_5x2_8h')).toMatchObject([{ tag: 'Deploy', dias: 2 }]);
+  });
+
+  test('";" separa tags, como na coluna Tags do CSV', () => {
+    const tags = DateUtils.normalizarTags('#deploy, plantão;noturno');
+
+    expect(tags).toEqual(['deploy', 'plantão', 'noturno']);
+    // Exportação junta com "; " e a importação divide por ";"
+    expect(DateUtils.normalizarTags(tags.join('; ').split(';'))).toEqual(tags);
+  });
+});
+
+describe('DateUtils.calcularHorasNoturnas', () => {
+  test('converte o período noturno inteiro em hora reduzida', () => {
+    const registro = criarRegistro('2024-03-15', [['22:00', '05:00']]);
+
+    expect(DateUtils.calcularHorasNoturnas(registro)).toEqual({ minutos: 420, minutosReduzidos: 480 });
+  });
+
+  test('conta apenas a parcela entre 22:00 e 05:00', () => {
+    const registro = criarRegistro('2024-03-15', [['18:00', '23:00'], ['04:00', '07:00']]);
+
+    // 22:00–23:00 e 04:00–05:00 (pares no dia seguinte após a meia-noite)
+    expect(DateUtils.calcularHorasNoturnas(registro)).toEqual({ minutos: 120, minutosReduzidos: 137 });
+  });
+
+  test('jornada diurna não tem parcela noturna', () => {
+    const registro = criarRegistro('2024-03-15', [['08:00', '12:00'], ['13:00', '17:00']]);
+
+    expect(DateUtils.calcularHorasNoturnas(registro)).toEqual({ minutos: 0, minutosReduzidos: 0 });
+  });
+});
+
+describe('Jornada por dia da semana', () => {
+  test('escala com carga própria no sábado', () => {
+    const escala = DateUtils.obterEscalaInfo('escala_5x1_sabado_4h');
+
+    expect(DateUtils.obterJornadaDiaSemana(escala, 1)).toBe(480);
+    expect(DateUtils.obterJornadaDiaSemana(escala, 6)).toBe(240);
+    expect(DateUtils.obterMetaDiaria('2024-04-20', 'escala_5x1_sabado_4h')).toBe(240);
+    expect(DateUtils.obterMetaDiaria('2024-04-22', 'escala_5x1_sabado_4h')).toBe(480);
+  });
+
+  test('escalas sem carga por dia usam horasPorDia', () => {
+    expect(DateUtils.obterJornadaDiaSemana(DateUtils.obterEscalaInfo('escala_5x2_6h'), 3)).toBe(360);
+  });
+
+  test('folga da escala tem meta zero', () => {
+    expect(DateUtils.obterMetaDiaria('2024-04-14', 'escala_5x1_sabado_4h')).toBe(0);
+  });
+});
+
+describe('Semanas alternadas', () => {
+  const escala = DateUtils.obterEscalaInfo('escala_sabado_alternado');
+
+  test('sábados alternam a partir da semana A', () => {
+    expect(DateUtils.ehDiaDeTrabalhoNaEscala('2024-01-06', escala)).toBe(true);
+    expect(DateUtils.ehDiaDeTrabalhoNaEscala('2024-01-13', escala)).toBe(false);
+    expect(DateUtils.ehDiaDeTrabalhoNaEscala('2024-01-20', escala)).toBe(true);
+    // Semana anterior ao início do padrão é a semana B
+    expect(DateUtils.ehDiaDeTrabalhoNaEscala('2023-12-30', escala)).toBe(false);
+  });
+
+  test('dias úteis valem em todas as semanas', () => {
+    expect(DateUtils.ehDiaDeTrabalhoNaEscala('2024-01-08', escala)).toBe(true);
+    expect(DateUtils.ehDiaDeTrabalhoNaEscala('2024-01-14', escala)).toBe(false);
+  });
+
+  test('lista os próximos sábados trabalhados', () => {
+    expect(DateUtils.obterProximosSabadosTrabalhados('2024-01-02', 'escala_sabado_alternado', 3))
+      .toEqual(['2024-01-06', '2024-01-20', '2024-02-03']);
+  });
+});
+
+describe('DateUtils.obterRegistroDoPonto', () => {
+  test('par aberto de ontem recebe a saída do turno noturno', () => {
+    const registros = [criarRegistro('2024-04-22', [['22:00', '']])];
+    const agora = new Date(2024, 3, 23, 6, 0);
+
+    expect(DateUtils.obterRegistroDoPonto(registros, agora, 'escala_5x2_8h').id).toBe('registro_2024-04-22');
+    expect(DateUtils.obterSaidaPendente(registros, agora, 'escala_5x2_8h')).toBeNull();
+  });
+
+  test('saída esquecida ontem abre o registro de hoje', () => {
+    const registros = [criarRegistro('2024-04-22', [['08:00', '']])];
+    const agora = new Date(2024, 3, 23, 8, 5);
+
+    expect(DateUtils.obterRegistroDoPonto(registros, agora, 'escala_5x2_8h')).toBeNull();
+    expect(DateUtils.obterSaidaPendente(registros, agora, 'escala_5x2_8h').id).toBe('registro_2024-04-22');
+  });
+
+  test('sem par aberto ontem, usa o registro de hoje', () => {
+    const registros = [
+      criarRegistro('2024-04-22', [['08:00', '17:00']]),
+      criarRegistro('2024-04-23', [['08:00', '']])
+    ];
+
+    expect(DateUtils.obterRegistroDoPonto(registros, new Date(2024, 3, 23, 12, 0), 'escala_5x2_8h').id)
+      .toBe('registro_2024-04-23');
+  });
+
+  test('dias de ausência não recebem batidas', () => {
+    const registros = [criarRegistro('2024-04-23', [['', '']], { tipo: 'ferias' })];
+
+    expect(DateUtils.obterRegistroDoPonto(registros, new Date(2024, 3, 23, 8, 0), 'escala_5x2_8h')).toBeNull();
+  });
+});
+
+describe('DateUtils.montarIntervalosPadrao', () => {
+  const descrever = (intervalos) => descreverMarcacoes({ data: '2024-06-17', intervalos });
+
+  test('divide a jornada no início do intervalo', () => {
+    const intervalos = DateUtils.montarIntervalosPadrao('2024-06-17', 480, {
+      entrada: '08:00',
+      inicioIntervalo: '12:00',
+      intervalo: 60
+    });
+
+    expect(descrever(intervalos)).toEqual([
+      ['2024-06-17 08:00', '2024-06-17 12:00'],
+      ['2024-06-17 13:00', '2024-06-17 17:00']
+    ]);
+  });
+
+  test('jornadas de até 6h ficam em um único par', () => {
+    const intervalos = DateUtils.montarIntervalosPadrao('2024-06-17', 360, {
+      entrada: '08:00',
+      inicioIntervalo: '12:00',
+      intervalo: 60
+    });
+
+    expect(descrever(intervalos)).toEqual([['2024-06-17 08:00', '2024-06-17 14:00']]);
+  });
+
+  test('turno noturno termina no dia seguinte', () => {
+    const intervalos = DateUtils.montarIntervalosPadrao('2024-06-17', 480, {
+      entrada: '22:00',
+      inicioIntervalo: '02:00',
+      intervalo: 60
+    });
+
+    expect(descrever(intervalos)).toEqual([
+      ['2024-06-17 22:00', '2024-06-18 02:00'],
+      ['2024-06-18 03:00', '2024-06-18 07:00']
+    ]);
+  });
+
+  test('sem meta ou sem entrada não há marcações', () => {
+    expect(DateUtils.montarIntervalosPadrao('2024-06-17', 0, { entrada: '08:00' })).toEqual([]);
+    expect(DateUtils.montarIntervalosPadrao('2024-06-17', 480, {})).toEqual([]);
+  });
+});
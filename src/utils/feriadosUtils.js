@@ -0,0 +1,190 @@
+import { FERIADOS_NACIONAIS_FIXOS, FERIADOS_MOVEIS } from '../constants/constants';
+import { ConfigService } from '../services/configService';
+
+/**
+ * Converte um objeto Date para YYYY-MM-DD no fuso local
+ *
+ * @param {Date} dateObj - Data a converter
+ * @returns {string} Data no formato YYYY-MM-DD
+ */
+const formatarISO = (dateObj) => {
+  const ano = dateObj.getFullYear();
+  const mes = String(dateObj.getMonth() + 1).padStart(2, '0');
+  const dia = String(dateObj.getDate()).padStart(2, '0');
+  return `${ano}-${mes}-${dia}`;
+};
+
+/**
+ * Cache de feriados por ano (o cálculo é determinístico)
+ */
+const cacheNacionais = new Map();
+
+/**
+ * FeriadosUtils - Calendário de feriados para o cálculo de dias úteis
+ *
+ * Calcula os feriados nacionais de qualquer ano:
+ * - Datas fixas (Tiradentes, Independência, Natal...)
+ * - Datas móveis derivadas da Páscoa (Carnaval, Sexta-feira Santa, Corpus Christi)
+ *
+ * E combina com os feriados cadastrados pelo usuário (municipais, estaduais,
+ * pontes da empresa), que podem ser únicos ou anuais e valer meio período.
+ *
+ * As funções trabalham com datas no formato YYYY-MM-DD. Os feriados do
+ * usuário vêm das configurações salvas, podendo ser informados
+ * explicitamente como último parâmetro.
+ */
+export const FeriadosUtils = {
+
+  /**
+   * Calcula o Domingo de Páscoa de um ano
+   *
+   * Utiliza o algoritmo de Meeus/Jones/Butcher para o calendário gregoriano.
+   *
+   * @param {number} ano - Ano desejado (ex: 2024)
+   * @returns {Date} Data da Páscoa (horário local 00:00)
+   *
+   * @example
+   * FeriadosUtils.calcularPascoa(2024); // 31/03/2024
+   * FeriadosUtils.calcularPascoa(2025); // 20/04/2025
+   */
+  calcularPascoa: (ano) => {
+    const a = ano % 19;
+    const b = Math.floor(ano / 100);
+    const c = ano % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const mes = Math.floor((h + l - 7 * m + 114) / 31); // 3=Março, 4=Abril
+    const dia = ((h + l - 7 * m + 114) % 31) + 1;
+
+    return new Date(ano, mes - 1, dia);
+  },
+
+  /**
+   * Lista os feriados nacionais (fixos e móveis) de um ano
+   *
+   * @param {number} ano - Ano desejado
+   * @returns {Array<{data: string, nome: string, tipo: string}>} Feriados ordenados por data
+   *
+   * @example
+   * FeriadosUtils.obterFeriadosNacionais(2024);
+   * // [{ data: "2024-01-01", nome: "Confraternização Universal", tipo: "nacional" }, ...]
+   */
+  obterFeriadosNacionais: (ano) => {
+    if (cacheNacionais.has(ano)) {
+      return cacheNacionais.get(ano);
+    }
+
+    const fixos = FERIADOS_NACIONAIS_FIXOS
+      .filter((feriado) => !feriado.desde || ano >= feriado.desde)
+      .map((feriado) => ({
+        data: formatarISO(new Date(ano, feriado.mes, feriado.dia)),
+        nome: feriado.nome,
+        tipo: 'nacional'
+      }));
+
+    const pascoa = FeriadosUtils.calcularPascoa(ano);
+    const moveis = FERIADOS_MOVEIS.map((feriado) => {
+      const data = new Date(pascoa);
+      data.setDate(pascoa.getDate() + feriado.deslocamento);
+      return { data: formatarISO(data), nome: feriado.nome, tipo: 'nacional' };
+    });
+
+    const feriados = [...fixos, ...moveis].sort((a, b) => a.data.localeCompare(b.data));
+    cacheNacionais.set(ano, feriados);
+    return feriados;
+  },
+
+  /**
+   * Lista as ocorrências dos feriados do usuário em um ano
+   *
+   * Feriados recorrentes são projetados para o ano informado (mesmo dia/mês);
+   * feriados únicos só aparecem no próprio ano.
+   *
+   * @param {number} ano - Ano desejado
+   * @param {Array<Object>} [personalizados] - Feriados cadastrados pelo usuário
+   * @returns {Array<{data: string, nome: string, tipo: string, meioPeriodo: boolean}>}
+   *
+   * @example
+   * // "Aniversário da cidade" cadastrado em 2023-01-25 como anual
+   * FeriadosUtils.obterFeriadosPersonalizados(2025);
+   * // [{ data: "2025-01-25", nome: "Aniversário da cidade", tipo: "personalizado", meioPeriodo: false }]
+   */
+  obterFeriadosPersonalizados: (ano, personalizados = ConfigService.obter().feriadosPersonalizados) => {
+    return (personalizados || [])
+      .filter((feriado) => feriado.data && (feriado.recorrente || feriado.data.startsWith(`${ano}-`)))
+      .map((feriado) => ({
+        id: feriado.id,
+        data: feriado.recorrente ? `${ano}${feriado.data.substring(4)}` : feriado.data,
+        nome: feriado.nome,
+        tipo: 'personalizado',
+        meioPeriodo: !!feriado.meioPeriodo
+      }))
+      // 29/02 recorrente não existe em anos não bissextos
+      .filter((feriado) => {
+        const dateObj = new Date(feriado.data + 'T00:00:00');
+        return !isNaN(dateObj.getTime()) && formatarISO(dateObj) === feriado.data;
+      });
+  },
+
+  /**
+   * Obtém o feriado de uma data específica, se houver
+   *
+   * Feriados nacionais têm prioridade sobre os do usuário, pois sempre
+   * dispensam a jornada inteira.
+   *
+   * @param {string} data - Data no formato YYYY-MM-DD
+   * @param {Array<Object>} [personalizados] - Feriados cadastrados pelo usuário
+   * @returns {Object|null} Feriado ({ data, nome, tipo, meioPeriodo }) ou null
+   *
+   * @example
+   * FeriadosUtils.obterFeriado("2024-04-21"); // { nome: "Tiradentes", ... }
+   * FeriadosUtils.obterFeriado("2024-04-22"); // null
+   */
+  obterFeriado: (data, personalizados = ConfigService.obter().feriadosPersonalizados) => {
+    if (!data || typeof data !== 'string') return null;
+
+    const ano = parseInt(data.substring(0, 4), 10);
+    if (isNaN(ano)) return null;
+
+    const nacional = FeriadosUtils.obterFeriadosNacionais(ano).find((feriado) => feriado.data === data);
+    if (nacional) return { ...nacional, meioPeriodo: false };
+
+    return FeriadosUtils.obterFeriadosPersonalizados(ano, personalizados)
+      .find((feriado) => feriado.data === data) || null;
+  },
+
+  /**
+   * Lista os feriados (nacionais e do usuário) que caem em um mês
+   *
+   * @param {number} mes - Mês (0-11)
+   * @param {number} ano - Ano
+   * @param {Array<Object>} [personalizados] - Feriados cadastrados pelo usuário
+   * @returns {Array<Object>} Feriados do mês ordenados por data
+   *
+   * @example
+   * FeriadosUtils.obterFeriadosDoMes(3, 2024); // [{ data: "2024-04-21", nome: "Tiradentes", ... }]
+   */
+  obterFeriadosDoMes: (mes, ano, personalizados = ConfigService.obter().feriadosPersonalizados) => {
+    const prefixo = `${ano}-${String(mes + 1).padStart(2, '0')}-`;
+    const datasNacionais = new Set();
+
+    const nacionais = FeriadosUtils.obterFeriadosNacionais(ano)
+      .filter((feriado) => feriado.data.startsWith(prefixo))
+      .map((feriado) => {
+        datasNacionais.add(feriado.data);
+        return { ...feriado, meioPeriodo: false };
+      });
+
+    const doUsuario = FeriadosUtils.obterFeriadosPersonalizados(ano, personalizados)
+      .filter((feriado) => feriado.data.startsWith(prefixo) && !datasNacionais.has(feriado.data));
+
+    return [...nacionais, ...doUsuario].sort((a, b) => a.data.localeCompare(b.data));
+  }
+};
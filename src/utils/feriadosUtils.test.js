@@ -0,0 +1,28 @@
+import { FeriadosUtils } from './feriadosUtils';
+import { DateUtils } from './dateUtils';
+
+describe('FeriadosUtils', () => {
+  test('calcula o Domingo de Páscoa', () => {
+    expect(DateUtils.formatarDataISO(FeriadosUtils.calcularPascoa(2024))).toBe('2024-03-31');
+    expect(DateUtils.formatarDataISO(FeriadosUtils.calcularPascoa(2025))).toBe('2025-04-20');
+    expect(DateUtils.formatarDataISO(FeriadosUtils.calcularPascoa(2026))).toBe('2026-04-05');
+  });
+
+  test('feriados móveis acompanham a Páscoa', () => {
+    const datas = (ano) => FeriadosUtils.obterFeriadosNacionais(ano).map((feriado) => feriado.data);
+
+    expect(datas(2024)).toEqual(expect.arrayContaining(['2024-02-12', '2024-02-13', '2024-03-29', '2024-05-30']));
+    expect(datas(2025)).toEqual(expect.arrayContaining(['2025-03-03', '2025-03-04', '2025-04-18', '2025-06-19']));
+  });
+
+  test('Consciência Negra é nacional a partir de 2024', () => {
+    expect(FeriadosUtils.obterFeriado('2023-11-20', [])).toBeNull();
+    expect(FeriadosUtils.obterFeriado('2024-11-20', [])).toMatchObject({ nome: 'Dia da Consciência Negra' });
+  });
+
+  test('feriados de dia inteiro não são dias úteis', () => {
+    expect(DateUtils.ehDiaUtil('2024-05-30', 'escala_5x2_8h')).toBe(false);
+    expect(DateUtils.ehDiaUtil('2024-05-31', 'escala_5x2_8h')).toBe(true);
+    expect(DateUtils.obterMetaDiaria('2024-05-30', 'escala_5x2_8h')).toBe(0);
+  });
+});
@@ -0,0 +1,207 @@
+import { ESCALA_PADRAO } from '../constants/constants';
+import { DateUtils } from './dateUtils';
+import { ConfigService } from '../services/configService';
+
+/**
+ * ProjetosUtils - Alocação das horas trabalhadas em projetos/clientes
+ *
+ * Cada registro pode dividir os minutos trabalhados do dia entre
+ * projetos do catálogo (CONFIGURACOES_PADRAO.projetos):
+ * `alocacoes: [{ projetoId, minutos }]`. O que não foi alocado aparece
+ * no relatório como "Sem projeto".
+ *
+ * Projetos faturáveis com valor/hora informado geram o valor a faturar
+ * (horas × valor/hora); os demais entram apenas nas horas.
+ */
+export const ProjetosUtils = {
+
+  /**
+   * ID da linha de minutos trabalhados sem projeto no relatório
+   */
+  SEM_PROJETO: 'sem_projeto',
+
+  /**
+   * Nome de exibição de um projeto, com o cliente entre parênteses
+   *
+   * @param {Object} projeto - Projeto do catálogo ({ nome, cliente })
+   * @returns {string} Rótulo (ex: "Portal (ACME)")
+   */
+  rotularProjeto: (projeto) =>
+    projeto.cliente ? `${projeto.nome} (${projeto.cliente})` : projeto.nome,
+
+  /**
+   * Normaliza as alocações de um dia, limitando-as aos minutos trabalhados
+   *
+   * Alocações sem projeto ou sem minutos são descartadas. Se a soma
+   * ultrapassar os minutos trabalhados, as últimas alocações são cortadas.
+   *
+   * @param {Array<Object>} alocacoes - Alocações do registro ({ projetoId, minutos })
+   * @param {number} minutosTrabalhados - Minutos trabalhados no dia
+   * @returns {Array<Object>} Alocações válidas ({ projetoId, minutos })
+   *
+   * @example
+   * ProjetosUtils.normalizarAlocacoes([{ projetoId: 'a', minutos: 300 }, { projetoId: 'b', minutos: 300 }], 480);
+   * // [{ projetoId: 'a', minutos: 300 }, { projetoId: 'b', minutos: 180 }]
+   */
+  normalizarAlocacoes: (alocacoes, minutosTrabalhados) => {
+    let disponivel = Math.max(Number(minutosTrabalhados) || 0, 0);
+
+    return (alocacoes || []).reduce((validas, alocacao) => {
+      const minutos = Math.min(Math.round(Number(alocacao?.minutos) || 0), disponivel);
+      if (!alocacao?.projetoId || minutos <= 0) return validas;
+
+      disponivel -= minutos;
+      return [...validas, { projetoId: alocacao.projetoId, minutos }];
+    }, []);
+  },
+
+  /**
+   * Calcula o valor a faturar de um projeto
+   *
+   * @param {Object} projeto - Projeto do catálogo ({ faturavel, valorHora })
+   * @param {number} minutos - Minutos alocados
+   * @returns {number} Valor em reais (0 para projetos não faturáveis)
+   *
+   * @example
+   * ProjetosUtils.calcularValor({ faturavel: true, valorHora: 150 }, 90); // 225
+   */
+  calcularValor: (projeto, minutos) => {
+    const valorHora = Number(projeto?.valorHora) || 0;
+    return projeto?.faturavel && valorHora > 0 ? (minutos / 60) * valorHora : 0;
+  },
+
+  /**
+   * Totaliza as horas e o valor a faturar de cada projeto no período
+   *
+   * @param {Array} registros - Registros do período
+   * @param {string} escalaId - ID da escala de trabalho
+   * @param {Array<Object>} projetos - Catálogo de projetos (CONFIGURACOES_PADRAO.projetos)
+   * @returns {Object} Relatório do período
+   * @returns {Array<Object>} returns.linhas - Projetos com horas, na ordem do catálogo, e
+   *   "Sem projeto" por último ({ projetoId, nome, cliente, faturavel, valorHora, minutos, dias, valor })
+   * @returns {number} returns.minutosAlocados - Minutos alocados em projetos
+   * @returns {number} returns.minutosFaturaveis - Minutos em projetos faturáveis
+   * @returns {number} returns.valorTotal - Soma dos valores a faturar
+   *
+   * @example
+   * // Dia de 8h com 6h no projeto "Portal" (R$ 150/h, faturável)
+   * ProjetosUtils.calcularRelatorio(registros, 'escala_5x2_8h', projetos).linhas;
+   * // [{ nome: 'Portal', minutos: 360, valor: 900, ... }, { nome: 'Sem projeto', minutos: 120, valor: 0, ... }]
+   */
+  calcularRelatorio: (registros, escalaId = ESCALA_PADRAO, projetos = ConfigService.obter().projetos) => {
+    const porProjeto = {};
+    let minutosSemProjeto = 0;
+    let diasSemProjeto = 0;
+
+    (registros || []).forEach((registro) => {
+      const { horasTrabalhadas } = DateUtils.calcularResultadoDia(registro, escalaId);
+      if (horasTrabalhadas <= 0) return;
+
+      const alocacoes = ProjetosUtils.normalizarAlocacoes(registro.alocacoes, horasTrabalhadas);
+      alocacoes.forEach(({ projetoId, minutos }) => {
+        const total = porProjeto[projetoId] || { minutos: 0, dias: new Set() };
+        total.minutos += minutos;
+        total.dias.add(registro.data);
+        porProjeto[projetoId] = total;
+      });
+
+      const restante = horasTrabalhadas - alocacoes.reduce((soma, alocacao) => soma + alocacao.minutos, 0);
+      if (restante > 0) {
+        minutosSemProjeto += restante;
+        diasSemProjeto++;
+      }
+    });
+
+    // Alocações de projetos removidos do catálogo continuam somando horas
+    const catalogo = [
+      ...projetos,
+      ...Object.keys(porProjeto)
+        .filter((id) => !projetos.some((projeto) => projeto.id === id))
+        .map((id) => ({ id, nome: 'Projeto removido', cliente: '', faturavel: false, valorHora: 0 }))
+    ];
+
+    const linhas = catalogo
+      .filter((projeto) => porProjeto[projeto.id])
+      .map((projeto) => {
+        const { minutos, dias } = porProjeto[projeto.id];
+        return {
+          projetoId: projeto.id,
+          nome: projeto.nome,
+          cliente: projeto.cliente || '',
+          faturavel: !!projeto.faturavel,
+          valorHora: Number(projeto.valorHora) || 0,
+          minutos,
+          dias: dias.size,
+          valor: ProjetosUtils.calcularValor(projeto, minutos)
+        };
+      });
+
+    const minutosAlocados = linhas.reduce((soma, linha) => soma + linha.minutos, 0);
+    const minutosFaturaveis = linhas
+      .filter((linha) => linha.faturavel)
+      .reduce((soma, linha) => soma + linha.minutos, 0);
+    const valorTotal = linhas.reduce((soma, linha) => soma + linha.valor, 0);
+
+    if (minutosSemProjeto > 0) {
+      linhas.push({
+        projetoId: ProjetosUtils.SEM_PROJETO,
+        nome: 'Sem projeto',
+        cliente: '',
+        faturavel: false,
+        valorHora: 0,
+        minutos: minutosSemProjeto,
+        dias: diasSemProjeto,
+        valor: 0
+      });
+    }
+
+    return { linhas, minutosAlocados, minutosFaturaveis, valorTotal };
+  },
+
+  /**
+   * Descreve as alocações de um registro para o CSV (ex: "Portal (ACME) 6:00h; Interno 2:00h")
+   *
+   * @param {Object} registro - Registro de ponto
+   * @param {Array<Object>} projetos - Catálogo de projetos
+   * @returns {string} Alocações separadas por "; " (vazio sem alocações)
+   */
+  descreverAlocacoes: (registro, projetos = ConfigService.obter().projetos) =>
+    (registro.alocacoes || [])
+      .map((alocacao) => {
+        const projeto = projetos.find((item) => item.id === alocacao.projetoId);
+        const minutos = Number(alocacao.minutos) || 0;
+        return projeto && minutos > 0
+          ? `${ProjetosUtils.rotularProjeto(projeto)} ${DateUtils.formatarMinutos(minutos).replace('+', '')}`
+          : '';
+      })
+      .filter(Boolean)
+      .join('; '),
+
+  /**
+   * Converte a coluna "Projetos" do CSV de volta em alocações
+   *
+   * Projetos são localizados pelo rótulo (nome e cliente); os que não
+   * existem no catálogo atual são ignorados.
+   *
+   * @param {string} texto - Alocações no formato de descreverAlocacoes
+   * @param {Array<Object>} projetos - Catálogo de projetos
+   * @returns {Array<Object>} Alocações ({ projetoId, minutos })
+   *
+   * @example
+   * ProjetosUtils.interpretarAlocacoes('Portal (ACME) 6:00h; Interno 2:00h', projetos);
+   * // [{ projetoId: 'projeto_1', minutos: 360 }, { projetoId: 'projeto_2', minutos: 120 }]
+   */
+  interpretarAlocacoes: (texto, projetos = ConfigService.obter().projetos) =>
+    String(texto || '')
+      .split(';')
+      .map((parte) => parte.trim().match(/^(.+)\s+(\d+:[0-5]\dh?)$/))
+      .filter(Boolean)
+      .map(([, rotulo, duracao]) => ({
+        projeto: projetos.find(
+          (projeto) => ProjetosUtils.rotularProjeto(projeto).toLowerCase() === rotulo.toLowerCase()
+        ),
+        minutos: DateUtils.converterSaldoParaMinutos(duracao)
+      }))
+      .filter(({ projeto, minutos }) => projeto && minutos > 0)
+      .map(({ projeto, minutos }) => ({ projetoId: projeto.id, minutos }))
+};
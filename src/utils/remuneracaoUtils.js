@@ -0,0 +1,112 @@
+import { ESCALA_PADRAO } from '../constants/constants';
+import { DateUtils } from './dateUtils';
+
+/**
+ * Formatador de moeda brasileira (reutilizado entre chamadas)
+ */
+const formatadorMoeda = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' });
+
+/**
+ * RemuneracaoUtils - Valoração das horas extras
+ *
+ * Converte os minutos extras do período em reais a partir do perfil de
+ * remuneração do usuário:
+ * - Valor da hora normal = salário mensal ÷ divisor (ex: 220, 200)
+ * - Extras em dias comuns recebem o adicional de dias úteis (ex: 50%)
+ * - Extras em domingos e feriados recebem o adicional maior (ex: 100%)
+ *
+ * Feriados de meio período seguem a regra dos dias comuns, pois parte
+ * da jornada continua sendo devida.
+ */
+export const RemuneracaoUtils = {
+
+  /**
+   * Calcula o valor da hora normal de trabalho
+   *
+   * @param {Object} perfil - Perfil de remuneração
+   * @param {number} perfil.salario - Salário mensal
+   * @param {number} perfil.divisor - Divisor mensal de horas
+   * @returns {number} Valor da hora em reais (0 sem salário ou divisor)
+   *
+   * @example
+   * RemuneracaoUtils.calcularValorHora({ salario: 4400, divisor: 220 }); // 20
+   */
+  calcularValorHora: (perfil) => {
+    const salario = Number(perfil?.salario) || 0;
+    const divisor = Number(perfil?.divisor) || 0;
+    return salario > 0 && divisor > 0 ? salario / divisor : 0;
+  },
+
+  /**
+   * Verifica se as extras de uma data usam o adicional de domingos/feriados
+   *
+   * @param {string} data - Data no formato YYYY-MM-DD
+   * @param {Object|null} feriado - Feriado da data (de calcularResultadoDia)
+   * @returns {boolean} true para domingos e feriados de dia inteiro
+   */
+  ehDomingoOuFeriado: (data, feriado) => {
+    const ehDomingo = new Date(data + 'T00:00:00').getDay() === 0;
+    return ehDomingo || (!!feriado && !feriado.meioPeriodo);
+  },
+
+  /**
+   * Calcula o valor das horas extras do período, separado por adicional
+   *
+   * @param {Array} registros - Registros do período
+   * @param {string} escalaId - ID da escala de trabalho
+   * @param {Object} perfil - Perfil de remuneração (CONFIGURACOES_PADRAO.remuneracao)
+   * @returns {Object} Valores calculados
+   * @returns {number} returns.valorHora - Valor da hora normal
+   * @returns {number} returns.minutosDiasUteis - Extras com adicional de dias comuns
+   * @returns {number} returns.minutosDomingosFeriados - Extras com adicional de domingos/feriados
+   * @returns {number} returns.valorDiasUteis - Valor das extras em dias comuns
+   * @returns {number} returns.valorDomingosFeriados - Valor das extras em domingos/feriados
+   * @returns {number} returns.valorTotal - Soma dos valores
+   *
+   * @example
+   * // Salário 4.400 / 220 = R$ 20/h; 2h extras numa terça a 50%
+   * RemuneracaoUtils.calcularValorExtras(registros, 'escala_5x2_8h', perfil).valorTotal; // 60
+   */
+  calcularValorExtras: (registros, escalaId = ESCALA_PADRAO, perfil = {}) => {
+    const valorHora = RemuneracaoUtils.calcularValorHora(perfil);
+    let minutosDiasUteis = 0;
+    let minutosDomingosFeriados = 0;
+
+    (registros || []).forEach((registro) => {
+      const { diferenca, feriado } = DateUtils.calcularResultadoDia(registro, escalaId);
+      if (diferenca <= 0) return;
+
+      if (RemuneracaoUtils.ehDomingoOuFeriado(registro.data, feriado)) {
+        minutosDomingosFeriados += diferenca;
+      } else {
+        minutosDiasUteis += diferenca;
+      }
+    });
+
+    // Valor da hora extra = hora normal × (1 + adicional)
+    const valorMinutos = (minutos, adicional) =>
+      (minutos / 60) * valorHora * (1 + (Number(adicional) || 0) / 100);
+
+    const valorDiasUteis = valorMinutos(minutosDiasUteis, perfil.adicionalDiasUteis);
+    const valorDomingosFeriados = valorMinutos(minutosDomingosFeriados, perfil.adicionalDomingosFeriados);
+
+    return {
+      valorHora,
+      minutosDiasUteis,
+      minutosDomingosFeriados,
+      valorDiasUteis,
+      valorDomingosFeriados,
+      valorTotal: valorDiasUteis + valorDomingosFeriados
+    };
+  },
+
+  /**
+   * Formata um valor em reais
+   *
+   * @param {number} valor - Valor numérico
+   * @returns {string} Valor formatado (ex: "R$ 1.234,56")
+   */
+  formatarMoeda: (valor) =>
+    // Espaço comum no lugar do não separável (compatível com CSV e PDF)
+    formatadorMoeda.format(Number(valor) || 0).replace(/\u00a0/g, ' ')
+};